@@ -2,26 +2,190 @@
 // - Centers on current GPS at startup
 // - "Update GPS" button re-acquires and recenters
 // - "Auto GPS" toggle uses watchPosition (pauses during draw/edit)
+// - Track: records filtered fixes (IndexedDB), time-coloured breadcrumb, GPX/GeoJSON export, fence from track
+// - Fence alerts: enter/exit/dwell for this device's fixes (accuracy-aware, no flapping at edges), local log, Send log
 // - Queue panel: list, Load for editing (handles), Save, Send, Remove
+// - Fence properties: inclusion/exclusion type, priority, color, altitude band, active time window (payload 1.3)
+// - Shapes: polygon, circle (center + radius), rectangle (two corners), corridor (line + half-width)
+// - Walk perimeter: vertices from GPS fixes (auto by distance/turn, or "Drop point here"), then the usual edit flow
+// - Cut hole: inner rings (exclusion zones) drawn/edited with the same handles
+// - Undo/redo (toolbar, Ctrl+Z / Ctrl+Shift+Z): per fence while editing, per ring while drawing
+// - Stats: perimeter/area on the WGS84 ellipsoid (holes subtracted, antimeridian-safe), unit picker under them
+// - Coordinates: type vertices as MGRS, UTM, DMS or decimal degrees; long-press a vertex to edit it; cursor readout
+// - Simplify (Douglas-Peucker / Visvalingam) and great-circle densify of a ring, previewed in the stats, undoable
+// - Snapping: vertices snap to other fences' vertices/edges or a UTM grid; segment length/bearing labels; ruler
+// - Geometry checks: crossings, zero-length edges, collinear/spike rings (offending edges shown in red)
+// - Workspace: many fences at once, one active for edit/send, "Send all" batch
+// - Import: GeoJSON / KML / GPX parsed in the browser, each area becomes a workspace fence
+// - Send via: Geofence API (JSON) or CoT to TAK over WebSocket, HTTP bridge or the server's UDP/TCP relay
+// - Export: GeoJSON FeatureCollection, KML, CoT drawing shapes (u-d-f) for active/workspace/queued/server fences
+// - Server fences: layer fed by GET /api/geofences (Refresh in map panel), kept current live by /api/events (SSE)
+// - Installable PWA: manifest + sw.js precache of the app shell and vendored Leaflet, "Update available" prompt
+// - Offline map: service worker (sw.js) + IndexedDB tile cache, "Download area", local tile server, MBTiles import
+// - Settings: defaults < config.json < saved settings (localStorage) < URL query (?apiUrl=…&units=…)
 
 (() => {
   // ====== A) Config ======
-  const APP_VERSION = "0.4.0";
-  const API_URL = "http://54.152.250.137:5001/api/geofence"; // ← set your Python endpoint, e.g. "https://example.com/geofences"
-  const ENABLE_OFFLINE_QUEUE = true;
-
-  const MAP_DEFAULT_CENTER = [38.8895, -77.0352]; // only used if GPS fails
-  const MAP_DEFAULT_ZOOM = 13;
-  const MAX_VERTICES = 200;
+  const APP_VERSION = "0.5.0"; // also names the service worker's shell cache (sw.js?v=…): bump on every deploy
+
+  // Runtime-configurable (Settings panel, J5). Layered at startup:
+  //   CONFIG_DEFAULTS < config.json next to index.html < saved settings (localStorage) < URL query
+  const CONFIG_DEFAULTS = {
+    apiUrl: "http://54.152.250.137:5001/api/geofence", // POST target; GET list and CoT relay are its siblings
+    enableOfflineQueue: true,
+    mapDefaultCenter: [38.8895, -77.0352], // only used if GPS fails
+    mapDefaultZoom: 13,
+    maxVertices: 200,
+    units: "metric",                       // metric | imperial | nautical
+    coordFormat: "dd",                     // dd | dms | utm | mgrs: vertex popups, cursor readout, coordinate entry
+    snapTolerancePx: 12,                   // screen distance at which new/dragged vertices snap to other fences
+    tileUrl: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", // or a locally hosted XYZ tile server
+    cotWsUrl: "",                          // TAK WebSocket bridge, e.g. "wss://tak.example.com:8443/cot" (empty = disabled)
+    cotHttpUrl: "",                        // HTTP bridge taking a raw CoT event as the POST body (empty = disabled)
+    defaultFenceName: "",                  // name for new drawings left unnamed; "{n}" = running number
+    defaultFenceNotes: "Drawn on tablet",
+    operatorName: "",                      // shown to other operators in live-sync notices ("New fence from …")
+  };
+  const config = { ...CONFIG_DEFAULTS };
+  const CONNECTION_TEST_TIMEOUT_MS = 5000;
+
+  // Offline tiles (D1). Bulk downloads are capped: the public OSM servers forbid mass prefetching,
+  // so large areas belong on a local tile server or in an MBTiles file.
+  const TILE_DOWNLOAD_MAX = 5000;
+  const TILE_DOWNLOAD_CONCURRENCY = 4;
+  const TILE_AVG_BYTES_ESTIMATE = 20 * 1024; // until real tiles have been measured
+  const MBTILES_URL_TEMPLATE = "tiles/mbtiles/{name}/{z}/{x}/{y}.{ext}"; // virtual path served by sw.js
+  const SQLJS_BASE_URL = "vendor/sql.js/"; // loaded only for MBTiles import
+  // sql.js opens the whole file in memory (file + database copy), which a tablet can't do for big files
+  const MBTILES_MAX_BYTES = 256 * 1024 * 1024;
+
+  // Payload spec:
+  //   1.0  shape is a GeoJSON Polygon
+  //   1.1  circle/rectangle/corridor are still sent as (densified) Polygons so every consumer keeps
+  //        working; their editable parameters ride along in shape.source (see shared/protcol.md)
+  //   1.2  revision / base_revision
+  //   1.3  properties say what the fence means: type, altitude band, schedule, priority, color
+  const PAYLOAD_SPEC_VERSION = "1.3";
+  const FENCE_TYPES = ["inclusion", "exclusion"];
+  const ALTITUDE_REFS = ["AGL", "MSL"];
+  const PRIORITY_MAX = 100;
+  const CIRCLE_SEGMENTS = 64;              // vertices in a densified circle
+  const CORRIDOR_CAP_SEGMENTS = 8;         // vertices per rounded corridor end
+  const CORRIDOR_DEFAULT_HALF_WIDTH_M = 50;
+
+  // WGS84 ellipsoid, for the stats' perimeter and area (computeStatsLL)
+  const WGS84_A = 6378137;
+  const WGS84_F = 1 / 298.257223563;
+  const WGS84_E = Math.sqrt(WGS84_F * (2 - WGS84_F));
+  // Radius of the sphere with the ellipsoid's surface area
+  const AUTHALIC_RADIUS = 6371007.180918;
+
+  const HISTORY_LIMIT = 100; // undo steps kept per fence / per drawing
 
   const VERT_SIZE = 14;   // px (square vertex)
   const MID_SIZE  = 10;   // px (round midpoint)
 
+  // Workspace fences: the active one is highlighted, the rest are muted. The colour comes from the
+  // fence's type (or its own color property); exclusion zones are also dashed so they read as
+  // "keep out" on any colour.
+  const FENCE_STYLE          = { color: "#3b82f6", weight: 2, fillOpacity: 0.08 };
+  const FENCE_STYLE_INACTIVE = { weight: 2, opacity: 0.55, fillOpacity: 0.04 };
+  const FENCE_TYPE_COLORS    = { inclusion: "#3b82f6", exclusion: "#dc2626" };
+
+  // GPX tracks / KML & GeoJSON lines count as closed if they end this close to their start
+  const IMPORT_LINE_CLOSE_TOLERANCE_M = 30;
+  const IMPORT_LINE_SAME_POINT_M = 0.01;  // an end this close to the start is its closing copy
+
+  // Cursor-on-Target drawing shapes (ATAK/WinTAK)
+  const COT_SHAPE_TYPE = "u-d-f";            // freehand/polygon drawing
+  const COT_STALE_MS = 24 * 60 * 60 * 1000;  // how long TAK clients keep a sent/exported shape live
+  const COT_STROKE_WEIGHT = 3;
+
+  // Send transports (I): "http-json" is the JSON POST to config.apiUrl; the cot-* ones send buildCotEvent()
+  const DEFAULT_TRANSPORT = "http-json";
+  const COT_WS_CONNECT_TIMEOUT_MS = 5000;
+
+  // Offline queue auto-sync (I): retry k waits ~BASE·2^(k-1), capped, with jitter so tablets that
+  // come back online together don't retry in lockstep
+  const QUEUE_RETRY_BASE_MS = 5000;
+  const QUEUE_RETRY_MAX_MS = 30 * 60 * 1000;
+  const QUEUE_SYNC_TAG = "geofence-queue"; // Background Sync tag (see sw.js), Web Lock and BroadcastChannel name
+
+  // Queue (I1), breach log (E1) and track (E2) storage: IndexedDB "geofence-ui"; bump the version and
+  // extend the upgrade step to migrate
+  const UI_DB = "geofence-ui";
+  const UI_DB_VERSION = 3;
+  const LEGACY_QUEUE_KEY = "geofenceQueue"; // localStorage array used before v1, migrated once
+  const QUEUE_ACK_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // delivered items stay listed this long
+
+  // Breach monitor (E1): a fix only flips inside/outside when it is clear of the boundary by its accuracy
+  // radius (at least BREACH_MARGIN_M), on BREACH_CONFIRM_FIXES fixes in a row, so walking along an edge
+  // doesn't flap
+  const BREACH_MARGIN_M = 10;
+  const BREACH_CONFIRM_FIXES = 2;
+  const BREACH_MAX_ACCURACY_M = 100;      // coarser fixes are ignored
+  const BREACH_DWELL_MS = 5 * 60 * 1000;  // one "dwell" event after this long inside
+  const BREACH_LOG_LIMIT = 1000;          // newest events kept on the device
+  const BREACH_FLASH_STYLE = { color: "#dc2626", weight: 5, fillOpacity: 0.2, interactive: false };
+
+  // Track recorder (E2): fixes worse than TRACK_MAX_ACCURACY_M, closer to the last kept point than their
+  // accuracy (standing still) or implying more than TRACK_MAX_SPEED_MPS (multipath jumps) are dropped
+  const TRACK_MAX_ACCURACY_M = 25;
+  const TRACK_MIN_STEP_M = 3;
+  const TRACK_MAX_SPEED_MPS = 70;
+  const TRACK_POINT_LIMIT = 50000;        // oldest points are dropped beyond this
+  const TRACK_COLOR_BINS = 12;            // time colouring: oldest blue … newest red
+  const TRACK_SIMPLIFY_TOLERANCE_M = 5;   // "Fence from track" starting tolerance (doubled until it fits maxVertices)
+  const TRACK_REDRAW_MS = 60 * 1000;      // while recording, the colours are redrawn this often; fixes in between extend the newest line
+
+  const COORD_FORMATS = { dd: "Decimal degrees", dms: "DMS", utm: "UTM", mgrs: "MGRS" }; // G2
+  const VERTEX_LONG_PRESS_MS = 500;       // holding a vertex this long (without dragging it) opens its coordinate
+
+  // Snapping (F2): toggles on the map control, remembered per device ("geofenceSnap")
+  const SNAP_DEFAULTS = { fences: true, grid: false, gridM: 10, lengths: true };
+
+  // Simplify / densify (G3): starting tolerance (m) or max segment length (m) per operation
+  const RESHAPE_DEFAULTS = { dp: 5, vw: 5, densify: 500 };
+  const RESHAPE_PREVIEW_STYLE = { color: "#7c3aed", weight: 2, dashArray: "5 5", fill: false, interactive: false };
+
+  const DRAW_HINTS = {
+    polygon:   "Tap to add vertices. Double-tap or press Finish.",
+    circle:    "Tap the center, then tap to set the radius.",
+    rectangle: "Tap one corner, then the opposite corner.",
+    corridor:  "Tap along the route. Double-tap or press Finish.",
+    walk:      "Walk the boundary: points are added as you go and at corners. Press Finish back at the start.",
+  };
+
+  // Walk-the-perimeter capture (F1): vertices come from GPS fixes instead of taps
+  const WALK_MAX_ACCURACY_M = 10;       // worse fixes are rejected
+  const WALK_DEFAULT_SPACING_M = 25;    // auto: a vertex every this many metres along a straight leg…
+  const WALK_TURN_DEG = 30;             // …and at every turn sharper than this
+  const WALK_MIN_LEG_M = 4;             // shorter moves are GPS noise, not a direction
+  const WALK_FIX_MAX_AGE_MS = 10000;    // "Drop point" won't use an older fix
+
+  // Inner rings (holes) while drawing and on their handles
+  const HOLE_DRAW_STYLE = { color: "#dc2626", weight: 2, dashArray: "4 4", fillOpacity: 0.08 };
+
+  // Offending edges from validateCoordsLL()
+  const INVALID_EDGE_STYLE = { color: "#dc2626", weight: 6, opacity: 0.85, interactive: false };
+
+  // Server fences are read-only: dashed amber so they never read as the polygon being drawn
+  const SERVER_FENCE_STYLE = { color: "#d97706", weight: 2, dashArray: "6 6", fillOpacity: 0.04 };
+  // The server's copy while a revision conflict is being resolved
+  const CONFLICT_STYLE = { color: "#dc2626", weight: 3, dashArray: "4 6", fillOpacity: 0.06 };
+
   // ====== B) State & DOM ======
   const state = {
     leafletMap: null,
-    drawnItems: null,       // FeatureGroup for final polygon
-    drawnLayer: null,       // Final polygon layer
+    drawnItems: null,       // FeatureGroup holding every workspace fence
+    drawnLayer: null,       // Layer of the active fence (what Edit/Send/Clear act on)
+    fences: [],             // workspace: [{ id, fenceId, name, layer, shape, queueId, sentKeys }]
+    activeFenceId: null,
+    invalidEdges: null,     // LayerGroup highlighting edges that make the active geometry invalid
+    serverItems: null,      // FeatureGroup for fences fetched from the server (open one to edit it)
+    serverFences: [],       // raw rows from GET /api/geofences
+    conflict: null,         // { fence, current } while the conflict panel is open
+    conflictLayer: null,    // the server's copy drawn next to the local edit
     mode: "idle",           // idle | drawing | editing | ready | sending | success | error
 
     // Geolocation
@@ -30,13 +194,38 @@
     gpsWatchId: null,       // watchPosition id
     userMovedMap: false,    // prevent unwanted auto recenters while user pans
 
+    // Breach monitor (E1)
+    breachMonitor: false,   // check each fix against workspace, queued and server fences
+    breachSound: localStorage.getItem("geofenceAlertSound") !== "off",
+    breachStates: new Map(),  // fence_id -> { inside, pending, count, since, dwelled, name }
+    breachLog: [],          // newest first; mirrors the "breaches" store
+    breachFlash: null,      // highlighted fence after an alert
+    audioCtx: null,         // created on the click that turns the monitor on (autoplay rules)
+
+    // Track recorder (E2)
+    trackRecording: false,
+    trackSeg: 0,            // segment id (start time) of the recording in progress; each start begins a new one
+    track: [],              // { id, seg, t, lat, lon, accuracy, alt } oldest first; mirrors the "track" store
+    trackLayer: null,       // LayerGroup with the time-coloured breadcrumb
+    trackTail: null,        // its polyline ending at the newest point, extended fix by fix
+    trackDrawnAt: 0,        // when trackLayer was last rebuilt
+    trackLengthM: 0,        // length of all segments, kept up to date as points come and go
+
     // Payload + queue
-    fenceName: "",
-    geojson: null,
+    fenceName: "",          // name input (active fence, or the one being drawn)
+    fenceProps: null,       // properties editor (same): see defaultFenceProps()
+    geojson: null,          // payload of the active fence
     queue: [],
-    loadedQueueId: null,    // id of queue item currently loaded for edit
     online: navigator.onLine,
 
+    // Offline map (D1)
+    tileLayer: null,
+    baseMap: "online",      // "online" (config.tileUrl) | "mbtiles:<name>"
+    tileDownload: null,     // { cancelled, done, total, bytes } while "Download area" runs
+    sqlJs: null,            // Promise<SQL> once sql.js is requested
+    tileDb: null,           // Promise<IDBDatabase> for "geofence-tiles"
+    updateAccepted: false,  // this tab asked the waiting service worker to take over
+
     // Custom edit/draw UI
     editLayerGroup: null,
     vertexMarkers: [],
@@ -44,7 +233,47 @@
 
     // Custom draw mode
     drawRing: [],           // Array<LatLng> while drawing
+    drawTarget: null,       // "outer" (new fence) | "hole" (inner ring of the active fence)
+    drawKind: "polygon",    // polygon | circle | rectangle | corridor
+    drawShape: null,        // circle/rectangle parameters while placing
+    corridorHalfWidth: CORRIDOR_DEFAULT_HALF_WIDTH_M,
+    drawFenceId: null,      // fence_id reserved for the fence being drawn
     drawTempPolygon: null,
+    drawHistory: null,      // { undo, redo } for the ring being drawn; edit history lives on each fence
+    walk: null,             // F1 capture while walking a perimeter: { auto, spacing_m, fix, at, pivot, lead, control }
+    readout: null,          // G2 cursor readout: { latlng, center (no cursor: map center), at }
+
+    // Snapping & measuring (F2)
+    snap: loadSnapSettings(), // { fences, grid, gridM, lengths }
+    snapIndicator: null,    // ring on the point last snapped to
+    snapIndicatorTimer: null,
+    segmentLabels: null,    // LayerGroup: length/bearing of each segment being drawn
+    ruler: null,            // { points, layer } while the ruler is on
+    reshapeLayer: null,     // G3 dashed preview of the simplified/densified fence
+
+    // Settings (J5): config = configBase < saved settings < configQuery
+    configBase: { ...CONFIG_DEFAULTS }, // defaults + config.json
+    configQuery: {},                    // valid overrides from the page URL
+
+    // Sending
+    transport: DEFAULT_TRANSPORT, // key of TRANSPORTS
+    cotSocket: null,              // open WebSocket for "cot-ws"
+    syncTimer: null,              // setTimeout for the next due queue retry
+    syncing: false,               // a queue drain is running
+    queueChannel: null,           // BroadcastChannel telling other tabs which item changed
+    queueStorageError: "",        // last failed queue write, shown in the Queue panel until one succeeds
+    unsavedQueueIds: new Set(),   // items whose write failed: they exist only in this tab's memory
+    uiDb: null,                   // Promise<IDBDatabase> for "geofence-ui"
+
+    // Live sync (J2): GET /api/events pushes other operators' creates/updates/deletes
+    clientId: uuidv4(),           // sent as X-Client-Id so this tab can skip its own events
+    events: null,                 // EventSource while subscribed
+    eventsUrl: "",                // events URL the stream belongs to (reset when the server changes)
+    eventCursor: null,            // id of the last event applied; resume point after a reconnect
+    eventRetries: 0,              // failed reconnects in a row (backoff)
+    eventRetryTimer: null,
+    eventNotices: [],             // notices collected while a burst of events arrives
+    eventNoticeTimer: null,
   };
 
   const dom = {
@@ -52,26 +281,58 @@
     map:           document.getElementById("map"),
 
     btnDraw:       document.getElementById("btnDraw"),
+    drawShape:     document.getElementById("drawShape"),
     btnEdit:       document.getElementById("btnEdit"),
     btnClear:      document.getElementById("btnClear"),
+    btnUndo:       document.getElementById("btnUndo"),
+    btnRedo:       document.getElementById("btnRedo"),
+    btnHole:       document.getElementById("btnHole"),
     btnRecenter:   document.getElementById("btnRecenter"), // will be retitled to "Update GPS"
+    btnSettings:   document.getElementById("btnSettings"),
     btnSend:       document.getElementById("btnSend"),
+    btnSendAll:    document.getElementById("btnSendAll"),
     btnQueue:      document.getElementById("btnRetryQueue"), // repurposed as "Queue"
+    btnImport:     document.getElementById("btnImport"),
+    btnExport:     document.getElementById("btnExport"),
+    btnOfflineMap: document.getElementById("btnOfflineMap"),
+    btnAlerts:     document.getElementById("btnAlerts"),
+    btnTrack:      document.getElementById("btnTrack"),
+    btnCoords:     document.getElementById("btnCoords"),
+    btnReshape:    document.getElementById("btnReshape"),
+    transport:     document.getElementById("transport"),
+    importFile:    document.getElementById("importFile"),
     fenceName:     document.getElementById("fenceName"),
+    fenceProps:    document.getElementById("fencePropsRow"),
+    fencePropsSummary: document.getElementById("fencePropsSummary"),
+    fencePropsError:   document.getElementById("fencePropsError"),
+    shapeParamRow: document.getElementById("shapeParamRow"),
+    shapeParamLabel: document.getElementById("shapeParamLabel"),
+    shapeParam:    document.getElementById("shapeParam"),
     infoSheet:     document.getElementById("infoSheet"),
     jsonPreview:   document.getElementById("jsonPreview"),
     statusToast:   document.getElementById("statusToast"),
     statVertices:  document.getElementById("statVertices"),
     statPerimeter: document.getElementById("statPerimeter"),
     statArea:      document.getElementById("statArea"),
+    statUnits:     document.getElementById("statUnits"),
+    fenceListRow:  document.getElementById("fenceListRow"),
+    fenceList:     document.getElementById("fenceList"),
   };
 
   // ====== C) Boot ======
-  window.addEventListener("DOMContentLoaded", init);
+  window.addEventListener("DOMContentLoaded", () => {
+    init().catch((err) => {
+      console.error(err);
+      toast(`Startup failed: ${err.message || err}. Reload to try again.`, "error", 4000);
+    });
+  });
 
-  function init() {
+  async function init() {
     if (dom.appVersion) dom.appVersion.textContent = `v${APP_VERSION}`;
 
+    // Map center, server URL etc. may come from config.json, so load it before anything uses them
+    await loadConfig();
+
     // Rename buttons for clarity
     dom.btnRecenter.textContent = "Update GPS";
     dom.btnQueue.textContent = "Queue";
@@ -80,9 +341,19 @@
     injectAutoGpsToggle();
 
     bindUI();
-    loadQueue();
+    renderUnitsSelect();
+    state.fenceProps = defaultFenceProps();
+    renderFencePropsForm();
+    await loadQueue();
+    loadBreachLog();
+    loadTrack();
+    loadTransport();
 
     initMap();
+    injectServerFencesControl();
+    injectCoordReadout();
+    injectSnapControl();
+    loadServerFences(false);
 
     // Immediately try to geolocate and center on startup
     acquireAndCenterGPS(true);
@@ -91,11 +362,86 @@
     renderSheet(false);
     renderStats();
     renderJsonPreview();
+    renderFenceList();
     refreshQueueBadge();
 
     window.addEventListener("online", onOnline);
     window.addEventListener("offline", onOffline);
     if (!state.online) onOffline();
+    // Timers are throttled in background tabs; catch up on anything due when the app is shown again
+    document.addEventListener("visibilitychange", () => { if (!document.hidden) syncQueue(); });
+
+    registerServiceWorker();
+    syncQueue();
+  }
+
+  // ====== C1) App shell (service worker, updates) ======
+  async function registerServiceWorker() {
+    if (!("serviceWorker" in navigator) || !window.isSecureContext) return;
+    try {
+      const reg = await navigator.serviceWorker.register(`sw.js?v=${encodeURIComponent(APP_VERSION)}`);
+      watchForUpdate(reg);
+      // Background Sync wakes the worker when connectivity returns; it asks open tabs to drain the queue
+      navigator.serviceWorker.addEventListener("message", (e) => {
+        if (e.data?.type === "SYNC_QUEUE") syncQueue({ all: true });
+      });
+      if (outstandingQueue().length) requestBackgroundSync();
+      checkForNewVersion();
+    } catch (err) {
+      console.warn("Service worker registration failed:", err);
+    }
+  }
+
+  function watchForUpdate(reg) {
+    const hadController = !!navigator.serviceWorker.controller; // false on the very first install
+    if (reg.waiting && hadController) showUpdatePrompt(reg.waiting);
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      worker?.addEventListener("statechange", () => {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+      });
+    });
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (!hadController) return;
+      // Only the tab that accepted reloads on its own; others might be mid-drawing
+      if (state.updateAccepted) location.reload();
+      else toast("App updated in another tab. Reload when convenient.", "success", 4000);
+    });
+  }
+
+  // The shell is served from cache, so a deploy is noticed by reading APP_VERSION from the network copy
+  // of app.js; registering sw.js under the new ?v= installs (and precaches) that version.
+  async function checkForNewVersion() {
+    if (!navigator.onLine || !navigator.serviceWorker?.controller) return;
+    try {
+      const res = await fetch("app.js", { cache: "no-store" });
+      const m = res.ok && (await res.text()).match(/const APP_VERSION = "([^"]+)"/);
+      if (m && m[1] !== APP_VERSION) await navigator.serviceWorker.register(`sw.js?v=${encodeURIComponent(m[1])}`);
+    } catch (err) {
+      console.warn("Update check failed:", err); // offline or server down: keep the cached shell
+    }
+  }
+
+  function showUpdatePrompt(worker) {
+    if (dom.updateBanner) dom.updateBanner.remove();
+    const banner = document.createElement("div");
+    banner.className = "update-banner";
+    banner.setAttribute("role", "alert");
+    banner.innerHTML = `
+      <span>A new version is available.</span>
+      <button class="btn" type="button" data-act="later">Later</button>
+      <button class="btn btn-primary" type="button" data-act="reload">Reload</button>
+    `;
+    banner.querySelector('[data-act="later"]').addEventListener("click", () => banner.remove());
+    banner.querySelector('[data-act="reload"]').addEventListener("click", () => {
+      // Queued items survive a reload; workspace drafts don't
+      const drafts = state.fences.filter((f) => fenceStatus(f) === "draft").length;
+      if (drafts && !confirm(`${drafts} unsent fence(s) in the workspace will be lost. Reload now?`)) return;
+      state.updateAccepted = true;
+      worker.postMessage({ type: "SKIP_WAITING" });
+    });
+    document.body.appendChild(banner);
+    dom.updateBanner = banner;
   }
 
   // ====== D) Map ======
@@ -103,19 +449,417 @@
     const map = L.map(dom.map, { zoomControl: true });
     state.leafletMap = map;
 
-    L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OSM</a>',
-      maxZoom: 19,
-    }).addTo(map);
+    setBaseMap(localStorage.getItem("geofenceBaseMap") || "online");
 
-    map.setView(MAP_DEFAULT_CENTER, MAP_DEFAULT_ZOOM);
+    map.setView(config.mapDefaultCenter, config.mapDefaultZoom);
 
     // If the user starts panning/zooming, don't auto-yank later
     map.on("movestart", () => { state.userMovedMap = true; });
 
-    // Feature group for the final polygon
+    // Server fences sit underneath the working polygon
+    state.serverItems = new L.FeatureGroup();
+    map.addLayer(state.serverItems);
+
+    // Feature group for workspace fences
     state.drawnItems = new L.FeatureGroup();
     map.addLayer(state.drawnItems);
+
+    state.invalidEdges = L.layerGroup().addTo(map);
+    state.trackLayer = L.layerGroup().addTo(map);
+  }
+
+  // ====== D1) Offline map (tile cache, Download area, MBTiles) ======
+  // sw.js answers tile requests from IndexedDB "geofence-tiles" first. Where no service worker
+  // controls the page (plain http:// deployments, first visit) this layer reads the same cache itself.
+  const CachedTileLayer = L.TileLayer.extend({
+    createTile(coords, done) {
+      if (navigator.serviceWorker?.controller) return L.TileLayer.prototype.createTile.call(this, coords, done);
+      const tile = document.createElement("img");
+      tile.alt = "";
+      tile.setAttribute("role", "presentation");
+      const url = this.getTileUrl(coords);
+      tile.onload = () => done(null, tile);
+      tile.onerror = (e) => done(e, tile);
+      tileGet(tileKey(url))
+        .catch(() => null)
+        .then((rec) => {
+          if (rec) {
+            tile.addEventListener("load", () => URL.revokeObjectURL(tile.src), { once: true });
+            tile.src = URL.createObjectURL(rec.blob);
+          } else if (isMbtilesUrl(url)) {
+            done(new Error("Tile not in MBTiles"), tile);
+          } else {
+            tile.src = url;
+          }
+        });
+      return tile;
+    },
+  });
+
+  function setBaseMap(id) {
+    const ds = id.startsWith("mbtiles:") && getMbtilesDatasets().find((d) => `mbtiles:${d.name}` === id);
+    if (!ds) id = "online";
+    state.baseMap = id;
+    localStorage.setItem("geofenceBaseMap", id);
+
+    if (state.tileLayer) state.tileLayer.remove();
+    const isOsm = /tile\.openstreetmap\.org/.test(config.tileUrl);
+    state.tileLayer = ds
+      ? new CachedTileLayer(mbtilesTemplate(ds), {
+          minZoom: 0, maxZoom: 19, maxNativeZoom: ds.maxzoom,
+          attribution: escapeHTML(ds.attribution || `${ds.name} (MBTiles)`),
+        })
+      : new CachedTileLayer(config.tileUrl, {
+          maxZoom: 19,
+          attribution: isOsm
+            ? '&copy; <a href="https://www.openstreetmap.org/copyright">OSM</a>'
+            : `Tiles: ${escapeHTML(tileHost(config.tileUrl))}`,
+        });
+    state.tileLayer.addTo(state.leafletMap);
+    state.tileLayer.bringToBack();
+  }
+
+  function mbtilesTemplate(ds) {
+    return L.Util.template(MBTILES_URL_TEMPLATE, { name: encodeURIComponent(ds.name), ext: ds.format === "jpg" ? "jpg" : ds.format, z: "{z}", x: "{x}", y: "{y}" });
+  }
+
+  function isMbtilesUrl(url) {
+    return new URL(url, location.href).pathname.includes("/tiles/mbtiles/");
+  }
+
+  function tileHost(template) {
+    return template.replace(/^\w+:\/\//, "").split("/")[0].replace(/^\{s\}\./, "");
+  }
+
+  // Must match tileKey() in sw.js: a/b/c subdomains share one cache entry
+  function tileKey(url) {
+    const u = new URL(url, location.href);
+    return u.host.replace(/^[a-c]\./, "") + u.pathname;
+  }
+
+  function openTileDb() {
+    state.tileDb = state.tileDb || new Promise((resolve, reject) => {
+      const req = indexedDB.open("geofence-tiles", 1);
+      req.onupgradeneeded = () => req.result.createObjectStore("tiles");
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { state.tileDb = null; reject(req.error); };
+    });
+    return state.tileDb;
+  }
+
+  async function tileStore(mode, fn) {
+    const db = await openTileDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction("tiles", mode);
+      const result = fn(tx.objectStore("tiles"));
+      tx.oncomplete = () => resolve(result?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Tile cache write aborted"));
+    });
+  }
+
+  function tileGet(key) {
+    return tileStore("readonly", (store) => store.get(key));
+  }
+
+  // entries: [[key, { blob, type, size, at, pinned }], …] in one transaction. pinned marks tiles that were
+  // downloaded or imported on purpose; sw.js only evicts the unpinned ones it cached while browsing.
+  function tilePutMany(entries) {
+    return tileStore("readwrite", (store) => entries.forEach(([key, rec]) => store.put(rec, key)));
+  }
+
+  // --- Panel ---
+  function openOfflineMapPanel() {
+    ensureOfflineMapPanel();
+    dom.offlineMapPanel.classList.remove("is-hidden");
+    renderOfflineMapPanel();
+    renderSheet(true);
+  }
+
+  function ensureOfflineMapPanel() {
+    if (dom.offlineMapPanel) return;
+    const panel = document.createElement("div");
+    panel.className = "sheet__row is-hidden";
+    panel.innerHTML = `
+      <div style="display:flex;align-items:center;justify-content:space-between;">
+        <h3 style="margin:0;font-size:16px;">Offline map</h3>
+        <button class="btn" type="button" data-act="close">Close</button>
+      </div>
+      <div style="display:grid;gap:6px;">
+        <label class="label" for="baseMapSelect">Base map</label>
+        <select id="baseMapSelect" class="input" data-role="base"></select>
+
+        <span class="label">Download area</span>
+        <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
+          <select class="input" data-role="area" aria-label="Area to download">
+            <option value="view">Current map view</option>
+            <option value="fence">Active fence</option>
+          </select>
+          <label style="font-size:14px;">Zoom <input class="input" data-role="zmin" type="number" min="0" max="19" step="1" style="width:64px;" /></label>
+          <label style="font-size:14px;">to <input class="input" data-role="zmax" type="number" min="0" max="19" step="1" style="width:64px;" /></label>
+        </div>
+        <span data-role="estimate" style="font-size:12px;color:#667085;"></span>
+        <progress data-role="progress" max="1" value="0" class="is-hidden" style="width:100%;"></progress>
+        <div style="display:flex;gap:8px;justify-content:flex-end;flex-wrap:wrap;">
+          <button class="btn btn-ghost" type="button" data-act="clear">Clear cache</button>
+          <button class="btn btn-ghost" type="button" data-act="mbtiles">Import MBTiles…</button>
+          <button class="btn" type="button" data-act="cancel" hidden>Cancel</button>
+          <button class="btn btn-primary" type="button" data-act="download">Download</button>
+        </div>
+        <input type="file" data-role="mbtiles-file" accept=".mbtiles" hidden />
+        <span data-role="sw" style="font-size:12px;color:#667085;"></span>
+      </div>
+    `;
+    dom.infoSheet.querySelector(".sheet__content").appendChild(panel);
+    dom.offlineMapPanel = panel;
+    const q = (sel) => panel.querySelector(sel);
+    dom.baseMapSelect = q('[data-role="base"]');
+    dom.tileArea = q('[data-role="area"]');
+    dom.tileZmin = q('[data-role="zmin"]');
+    dom.tileZmax = q('[data-role="zmax"]');
+    dom.tileEstimate = q('[data-role="estimate"]');
+    dom.tileProgress = q('[data-role="progress"]');
+    dom.btnTileDownload = q('[data-act="download"]');
+    dom.btnTileCancel = q('[data-act="cancel"]');
+    dom.mbtilesFile = q('[data-role="mbtiles-file"]');
+
+    q('[data-act="close"]').addEventListener("click", () => panel.classList.add("is-hidden"));
+    dom.baseMapSelect.addEventListener("change", () => { setBaseMap(dom.baseMapSelect.value); renderOfflineMapPanel(); });
+    [dom.tileArea, dom.tileZmin, dom.tileZmax].forEach((el) => el.addEventListener("input", renderTileEstimate));
+    dom.btnTileDownload.addEventListener("click", downloadTileArea);
+    dom.btnTileCancel.addEventListener("click", () => { if (state.tileDownload) state.tileDownload.cancelled = true; });
+    q('[data-act="clear"]').addEventListener("click", clearTileCache);
+    q('[data-act="mbtiles"]').addEventListener("click", () => dom.mbtilesFile.click());
+    dom.mbtilesFile.addEventListener("change", async (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = "";
+      if (file) await importMbtiles(file);
+    });
+
+    const z = state.leafletMap.getZoom();
+    dom.tileZmin.value = String(z);
+    dom.tileZmax.value = String(Math.min(z + 3, 17));
+  }
+
+  function renderOfflineMapPanel() {
+    if (!dom.offlineMapPanel) return;
+    dom.baseMapSelect.innerHTML = [
+      `<option value="online">Tile server: ${escapeHTML(tileHost(config.tileUrl))}</option>`,
+      ...getMbtilesDatasets().map((d) => `<option value="mbtiles:${escapeHTML(d.name)}">MBTiles: ${escapeHTML(d.name)} (z${d.minzoom}–${d.maxzoom})</option>`),
+    ].join("");
+    dom.baseMapSelect.value = state.baseMap;
+    dom.tileArea.querySelector('option[value="fence"]').disabled = !state.drawnLayer;
+    if (!state.drawnLayer) dom.tileArea.value = "view";
+    const sw = navigator.serviceWorker?.controller
+      ? "Cached tiles are served by the service worker, also after a reload offline."
+      : "No service worker (needs HTTPS or localhost): cached tiles are still used while this page stays open.";
+    dom.offlineMapPanel.querySelector('[data-role="sw"]').textContent = sw;
+    renderTileEstimate();
+  }
+
+  function tileDownloadBounds() {
+    return dom.tileArea.value === "fence" && state.drawnLayer ? state.drawnLayer.getBounds() : state.leafletMap.getBounds();
+  }
+
+  // Slippy-map tile ranges covering bounds at each zoom
+  function tileRanges(bounds, zmin, zmax) {
+    const ranges = [];
+    for (let z = zmin; z <= zmax; z++) {
+      const n = 2 ** z;
+      const x = (lng) => Math.min(n - 1, Math.max(0, Math.floor(((lng + 180) / 360) * n)));
+      const y = (lat) => {
+        const r = (Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI) / 180;
+        return Math.min(n - 1, Math.max(0, Math.floor(((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2) * n)));
+      };
+      ranges.push({ z, x0: x(bounds.getWest()), x1: x(bounds.getEast()), y0: y(bounds.getNorth()), y1: y(bounds.getSouth()) });
+    }
+    return ranges;
+  }
+
+  function countTiles(ranges) {
+    return ranges.reduce((n, r) => n + (r.x1 - r.x0 + 1) * (r.y1 - r.y0 + 1), 0);
+  }
+
+  function readZoomRange() {
+    const zmin = Number(dom.tileZmin.value), zmax = Number(dom.tileZmax.value);
+    if (!Number.isInteger(zmin) || !Number.isInteger(zmax) || zmin < 0 || zmax > 19 || zmin > zmax) return null;
+    return { zmin, zmax };
+  }
+
+  async function renderTileEstimate() {
+    if (state.tileDownload) return;
+    const zr = readZoomRange();
+    const canDownload = state.baseMap === "online";
+    dom.btnTileDownload.disabled = !zr || !canDownload;
+    if (!canDownload) { dom.tileEstimate.textContent = "MBTiles base maps are already offline."; return; }
+    if (!zr) { dom.tileEstimate.textContent = "Zoom range must be 0–19, lowest first."; return; }
+    const total = countTiles(tileRanges(tileDownloadBounds(), zr.zmin, zr.zmax));
+    dom.btnTileDownload.disabled = total > TILE_DOWNLOAD_MAX;
+    let text = `≈ ${total.toLocaleString()} tiles, ~${formatBytes(total * TILE_AVG_BYTES_ESTIMATE)}`;
+    if (total > TILE_DOWNLOAD_MAX) text += ` — over the ${TILE_DOWNLOAD_MAX.toLocaleString()} tile limit; zoom in or lower the max zoom.`;
+    const est = await navigator.storage?.estimate?.().catch(() => null);
+    if (est?.quota) text += ` • storage ${formatBytes(est.usage)} used of ${formatBytes(est.quota)}`;
+    dom.tileEstimate.textContent = text;
+  }
+
+  async function downloadTileArea() {
+    const zr = readZoomRange();
+    if (!zr || state.tileDownload || state.baseMap !== "online") return;
+    const ranges = tileRanges(tileDownloadBounds(), zr.zmin, zr.zmax);
+    const total = countTiles(ranges);
+    if (total > TILE_DOWNLOAD_MAX) return toast("Area too large to download.", "error");
+
+    const job = { cancelled: false, done: 0, failed: 0, total, bytes: 0 };
+    state.tileDownload = job;
+    dom.btnTileDownload.disabled = true;
+    dom.btnTileCancel.hidden = false;
+    dom.tileProgress.classList.remove("is-hidden");
+    dom.tileProgress.max = total;
+
+    function* coords() {
+      for (const r of ranges) {
+        for (let x = r.x0; x <= r.x1; x++) for (let y = r.y0; y <= r.y1; y++) yield { z: r.z, x, y };
+      }
+    }
+    const queue = coords();
+    const subdomains = "abc";
+    const worker = async () => {
+      for (let next = queue.next(); !next.done && !job.cancelled; next = queue.next()) {
+        const { z, x, y } = next.value;
+        try {
+          const url = L.Util.template(config.tileUrl, { s: subdomains[(x + y) % 3], z, x, y, r: "" });
+          const key = tileKey(url);
+          const cached = await tileGet(key);
+          if (cached) {
+            job.bytes += cached.size || 0;
+            if (!cached.pinned) await tilePutMany([[key, { ...cached, pinned: true }]]);
+          } else {
+            const res = await fetch(url, { mode: "cors", credentials: "omit" });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const blob = await res.blob();
+            job.bytes += blob.size;
+            // Replaces the unpinned copy a service worker in control has just stored
+            await tilePutMany([[key, { blob, type: blob.type || "image/png", size: blob.size, at: Date.now(), pinned: true }]]);
+          }
+        } catch (err) {
+          job.failed++;
+          if (err?.name === "QuotaExceededError") job.cancelled = true;
+        }
+        job.done++;
+        dom.tileProgress.value = job.done;
+        dom.tileEstimate.textContent = `${job.done.toLocaleString()} / ${total.toLocaleString()} tiles • ${formatBytes(job.bytes)}${job.failed ? ` • ${job.failed} failed` : ""}`;
+      }
+    };
+    try {
+      await Promise.all(Array.from({ length: TILE_DOWNLOAD_CONCURRENCY }, worker));
+    } finally {
+      state.tileDownload = null;
+      dom.btnTileCancel.hidden = true;
+      dom.tileProgress.classList.add("is-hidden");
+      dom.btnTileDownload.disabled = false;
+    }
+    const ok = job.done - job.failed;
+    if (job.cancelled) toast(`Download stopped: ${ok} of ${total} tiles saved.`, "error", 3200);
+    else toast(`Saved ${ok} tiles (${formatBytes(job.bytes)})${job.failed ? `; ${job.failed} failed` : ""}.`, job.failed ? "error" : "success", 3200);
+  }
+
+  async function clearTileCache() {
+    if (state.tileDownload) return;
+    if (!confirm("Delete all cached map tiles and imported MBTiles?")) return;
+    try {
+      await tileStore("readwrite", (store) => store.clear());
+      localStorage.removeItem("geofenceMbtiles");
+      setBaseMap("online");
+      renderOfflineMapPanel();
+      toast("Tile cache cleared.", "success");
+    } catch (err) {
+      toast(`Couldn’t clear tiles: ${err.message || err}`, "error");
+    }
+  }
+
+  // --- MBTiles ---
+  function getMbtilesDatasets() {
+    try { return JSON.parse(localStorage.getItem("geofenceMbtiles") || "[]"); } catch { return []; }
+  }
+
+  function loadSqlJs() {
+    state.sqlJs = state.sqlJs || new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = `${SQLJS_BASE_URL}sql-wasm.js`;
+      script.onload = () => window.initSqlJs({ locateFile: (f) => `${SQLJS_BASE_URL}${f}` }).then(resolve, reject);
+      script.onerror = () => reject(new Error("Couldn’t load sql.js."));
+      document.head.appendChild(script);
+    }).catch((err) => { state.sqlJs = null; throw err; });
+    return state.sqlJs;
+  }
+
+  // Copies a raster MBTiles file into the tile cache under the virtual MBTILES_URL_TEMPLATE path
+  async function importMbtiles(file) {
+    if (file.size > MBTILES_MAX_BYTES) {
+      return toast(`${file.name} is ${formatBytes(file.size)}; MBTiles import takes up to ${formatBytes(MBTILES_MAX_BYTES)}. ` +
+        "Export a smaller area or zoom range, or serve it from a local tile server (tileUrl).", "error", 6000);
+    }
+    setBusy(true);
+    dom.tileEstimate.textContent = `Reading ${file.name}…`;
+    let db = null;
+    try {
+      const SQL = await loadSqlJs();
+      db = new SQL.Database(new Uint8Array(await file.arrayBuffer()));
+      const meta = {};
+      const metaStmt = db.prepare("SELECT name, value FROM metadata");
+      while (metaStmt.step()) { const [k, v] = metaStmt.get(); meta[k] = v; }
+      metaStmt.free();
+
+      const format = String(meta.format || "png").toLowerCase();
+      if (!["png", "jpg", "jpeg", "webp"].includes(format)) throw new Error(`“${format}” tiles aren't supported; use a raster (png/jpg/webp) MBTiles.`);
+      const ds = {
+        name: fileSlug(meta.name || file.name.replace(/\.mbtiles$/i, "")),
+        format: format === "jpeg" ? "jpg" : format,
+        attribution: meta.attribution ? String(meta.attribution).replace(/<[^>]*>/g, "") : "",
+        bounds: meta.bounds ? String(meta.bounds).split(",").map(Number) : null, // west,south,east,north
+        minzoom: 19, maxzoom: 0, count: 0,
+      };
+      const type = ds.format === "jpg" ? "image/jpeg" : `image/${ds.format}`;
+      const template = mbtilesTemplate(ds);
+
+      const stmt = db.prepare("SELECT zoom_level, tile_column, tile_row, tile_data FROM tiles");
+      let batch = [];
+      while (stmt.step()) {
+        const [z, x, tmsY, data] = stmt.get();
+        const y = 2 ** z - 1 - tmsY; // MBTiles rows are TMS (origin bottom-left); XYZ counts from the top
+        const blob = new Blob([data], { type });
+        batch.push([tileKey(L.Util.template(template, { z, x, y })), { blob, type, size: blob.size, at: Date.now(), pinned: true }]);
+        ds.minzoom = Math.min(ds.minzoom, z);
+        ds.maxzoom = Math.max(ds.maxzoom, z);
+        if (batch.length >= 500) {
+          await tilePutMany(batch);
+          ds.count += batch.length;
+          batch = [];
+          dom.tileEstimate.textContent = `Importing ${file.name}: ${ds.count.toLocaleString()} tiles…`;
+        }
+      }
+      stmt.free();
+      if (batch.length) await tilePutMany(batch);
+      ds.count += batch.length;
+      if (!ds.count) throw new Error("No tiles in that file.");
+
+      localStorage.setItem("geofenceMbtiles", JSON.stringify([...getMbtilesDatasets().filter((d) => d.name !== ds.name), ds]));
+      setBaseMap(`mbtiles:${ds.name}`);
+      if (ds.bounds?.length === 4 && ds.bounds.every(isFinite)) {
+        const [w, s, e, n] = ds.bounds;
+        state.userMovedMap = true;
+        state.leafletMap.fitBounds([[s, w], [n, e]]);
+      }
+      toast(`Imported ${ds.count.toLocaleString()} tiles from ${file.name}.`, "success", 3200);
+    } catch (err) {
+      console.error(err);
+      const quota = err?.name === "QuotaExceededError";
+      toast(quota ? "Not enough storage for that MBTiles file." : `MBTiles import failed: ${err.message || err}`, "error", 4000);
+    } finally {
+      db?.close();
+      setBusy(false);
+      renderOfflineMapPanel();
+    }
   }
 
   // ====== E) Geolocation ======
@@ -125,11 +869,7 @@
       return;
     }
     navigator.geolocation.getCurrentPosition(
-      (pos) => {
-        const { latitude, longitude, accuracy } = pos.coords;
-        state.currentPosition = { lat: latitude, lon: longitude, accuracy };
-        centerMapOnCurrentPos(true);
-      },
+      (pos) => handleGpsFix(pos, true),
       (err) => {
         console.warn("Geolocation error:", err);
         if (showToastOnFail) toast("Couldn’t get GPS; using default view.", "error");
@@ -138,6 +878,24 @@
     );
   }
 
+  // Every fix (one-shot or Auto GPS) lands here: map/accuracy circle, then the breach monitor
+  function handleGpsFix(pos, forceCenter) {
+    const { latitude, longitude, accuracy } = pos.coords;
+    state.currentPosition = { lat: latitude, lon: longitude, accuracy };
+    centerMapOnCurrentPos(forceCenter);
+    checkBreaches(state.currentPosition, pos.timestamp || Date.now());
+    recordTrackPoint(pos);
+    walkCaptureFix(state.currentPosition);
+  }
+
+  // Monitors that need a stream of fixes switch Auto GPS on (and tick its toggle)
+  function ensureAutoGPS() {
+    if (state.gpsWatchId !== null) return;
+    const chk = document.getElementById("toggleAutoGPS");
+    if (chk) chk.checked = true;
+    startAutoGPS();
+  }
+
   function centerMapOnCurrentPos(force = false) {
     if (!state.currentPosition) return;
     // Do not recenter while drawing/editing unless forced (explicit Update GPS)
@@ -171,20 +929,8 @@
     if (state.gpsWatchId !== null) navigator.geolocation.clearWatch(state.gpsWatchId);
 
     state.gpsWatchId = navigator.geolocation.watchPosition(
-      (pos) => {
-        state.currentPosition = {
-          lat: pos.coords.latitude,
-          lon: pos.coords.longitude,
-          accuracy: pos.coords.accuracy
-        };
-        // Auto center only if not drawing/editing and user hasn't panned
-        if (!state.userMovedMap && state.mode !== "drawing" && state.mode !== "editing") {
-          centerMapOnCurrentPos(false);
-        } else {
-          // Still update the accuracy circle silently
-          centerMapOnCurrentPos(false);
-        }
-      },
+      // Not forced: no recenter while drawing/editing, the accuracy circle still follows
+      (pos) => handleGpsFix(pos, false),
       (err) => {
         console.warn("watchPosition error:", err);
         toast("Auto GPS error.", "error");
@@ -198,643 +944,5171 @@
     if (state.gpsWatchId !== null) {
       navigator.geolocation.clearWatch(state.gpsWatchId);
       state.gpsWatchId = null;
-      toast("Auto GPS off.", "success");
+      const paused = [state.breachMonitor && "Fence alerts", state.trackRecording && "Track recording"].filter(Boolean);
+      toast(paused.length ? `Auto GPS off. ${paused.join(" and ")} paused until it is back on.` : "Auto GPS off.", "success");
+      renderAlertsPanel();
+      renderTrackPanel();
     }
   }
 
-  // ====== F) Custom DRAW MODE (shows handles while placing) ======
-  function startCustomDraw() {
-    state.userMovedMap = true; // don't auto yank while drawing
+  // ====== E1) Breach monitor (enter / exit / dwell alerts for this device) ======
+  function setBreachMonitor(on) {
+    state.breachMonitor = on;
+    state.breachStates.clear();
+    if (on) {
+      // Needs a stream of fixes, and sound needs a context created during this click
+      ensureAutoGPS();
+      if (!state.audioCtx && window.AudioContext) state.audioCtx = new AudioContext();
+      state.audioCtx?.resume?.();
+    }
+    clearBreachFlash();
+    renderAlertsPanel();
+  }
 
-    if (state.drawnLayer) clearPolygon();
+  // Workspace copies win over queued ones, queued over the server list (the freshest geometry).
+  // Fences outside their schedule are left out; one that becomes active with the device inside reports
+  // an entry on the next confirmed fixes.
+  function monitoredFences(at = Date.now()) {
+    const seen = new Set();
+    const out = [];
+    const add = (fenceId, name, rings, props, source) => {
+      if (!fenceId || seen.has(fenceId) || !rings?.length || rings[0].length < 3) return;
+      seen.add(fenceId);
+      if (fenceActiveAt(props, at)) out.push({ fenceId, name: name || fenceId, rings, props, source });
+    };
+    for (const f of state.fences) add(f.fenceId, f.name, getRingsLatLngs(f.layer), f.props, "workspace");
+    for (const item of outstandingQueue()) {
+      const p = item.payload;
+      add(p?.fence_id, p?.properties?.name, coordinatesToLatLngRings(p?.shape?.coordinates), fencePropsFrom(p?.properties), "queued");
+    }
+    for (const row of state.serverFences) add(row.fence_id, row.name, serverRowToLatLngRings(row), serverRowProps(row), "server");
+    return out;
+  }
 
-    cleanupEditLayer();
-    state.editLayerGroup = L.layerGroup().addTo(state.leafletMap);
-    state.vertexMarkers = [];
-    state.midMarkers = [];
-    state.drawRing = [];
+  function checkBreaches(fix, at) {
+    if (!state.breachMonitor) return;
+    if (!(fix.accuracy <= BREACH_MAX_ACCURACY_M)) return renderAlertsPanel();
+
+    const ll = L.latLng(fix.lat, fix.lon);
+    const margin = Math.max(fix.accuracy, BREACH_MARGIN_M);
+    const watched = new Set();
+    for (const fence of monitoredFences(at)) {
+      watched.add(fence.fenceId);
+      const d = signedBoundaryDistanceM(ll, fence.rings);
+      const now = d >= margin ? true : d <= -margin ? false : null; // null: within the accuracy band
+      let s = state.breachStates.get(fence.fenceId);
+      if (!s) state.breachStates.set(fence.fenceId, s = { inside: null, pending: null, count: 0, since: 0, dwelled: false });
+      s.name = fence.name;
+
+      if (now === null || now === s.inside) {
+        s.pending = null;
+        s.count = 0;
+      } else {
+        if (s.pending !== now) { s.pending = now; s.count = 0; }
+        if (++s.count >= BREACH_CONFIRM_FIXES) {
+          const was = s.inside;
+          Object.assign(s, { inside: now, pending: null, count: 0, since: at, dwelled: false });
+          // The first confirmed fix only counts as an entry: "outside" is the normal state
+          if (now) recordBreach("enter", fence, fix, at);
+          else if (was) recordBreach("exit", fence, fix, at);
+        }
+      }
+      if (s.inside && !s.dwelled && at - s.since >= BREACH_DWELL_MS) {
+        s.dwelled = true;
+        recordBreach("dwell", fence, fix, at, { dwell_s: Math.round((at - s.since) / 1000) });
+      }
+    }
+    // Removed or deleted fences stop being tracked (no exit for a fence that no longer exists)
+    for (const id of state.breachStates.keys()) if (!watched.has(id)) state.breachStates.delete(id);
+    renderAlertsPanel();
+  }
 
-    if (state.drawTempPolygon) {
-      state.drawTempPolygon.remove(); state.drawTempPolygon = null;
+  // Metres from ll to the nearest edge of the fence, negative outside (inside a hole counts as outside)
+  function signedBoundaryDistanceM(ll, rings) {
+    const inside = pointInRingLL(ll, rings[0]) && !rings.slice(1).some((hole) => pointInRingLL(ll, hole));
+    // Local flat frame around the fix; fine at fence scale
+    const ky = 111320;
+    const kx = ky * Math.cos((ll.lat * Math.PI) / 180);
+    let min = Infinity;
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length; i++) {
+        const a = ring[i], b = ring[(i + 1) % ring.length];
+        const d = pointSegmentDistance([0, 0], [(a.lng - ll.lng) * kx, (a.lat - ll.lat) * ky], [(b.lng - ll.lng) * kx, (b.lat - ll.lat) * ky]);
+        min = Math.min(min, d);
+      }
     }
-    state.drawTempPolygon = L.polygon([], {
-      color: "#3b82f6", weight: 2, fillOpacity: 0.08,
-    }).addTo(state.leafletMap);
+    return inside ? min : -min;
+  }
 
-    state.leafletMap.on("click", onMapClickAddVertex);
-    state.leafletMap.on("dblclick", finishCustomDraw);
-    state.leafletMap.doubleClickZoom.disable();
+  function recordBreach(kind, fence, fix, at, extra = {}) {
+    const ev = {
+      id: uuidv4(),
+      kind,
+      fence_id: fence.fenceId,
+      fence_name: fence.name,
+      source: fence.source,
+      at: new Date(at).toISOString(),
+      lat: round6(fix.lat),
+      lon: round6(fix.lon),
+      accuracy_m: Math.round(fix.accuracy),
+      ...extra,
+      sent_at: null,
+    };
+    state.breachLog.unshift(ev);
+    const dropped = state.breachLog.splice(BREACH_LOG_LIMIT);
+    uiStore("breaches", "readwrite", (store) => {
+      store.put(ev);
+      for (const old of dropped) store.delete(old.id);
+    }).catch((err) => console.warn("Breach log write failed:", err));
+    alertBreach(ev, fence);
+  }
 
-    state.mode = "drawing";
-    renderButtons();
-    renderSheet(true);
-    toast("Tap to add vertices. Double-tap or press Finish.", "success", 3200);
+  function alertBreach(ev, fence) {
+    const verb = { enter: "Entered", exit: "Left", dwell: "Still inside" }[ev.kind];
+    const dwell = ev.kind === "dwell" ? ` (${Math.round(ev.dwell_s / 60)} min)` : "";
+    const zone = fence.props?.type === "exclusion" ? "exclusion zone " : "";
+    toast(`${verb} ${zone}"${fence.name}"${dwell}`, "error", 5000);
+
+    clearBreachFlash();
+    state.breachFlash = L.polygon(fence.rings, BREACH_FLASH_STYLE).addTo(state.leafletMap);
+    setTimeout(clearBreachFlash, 5000);
+    document.body.classList.remove("breach-alert");
+    void document.body.offsetWidth; // restart the animation
+    document.body.classList.add("breach-alert");
+
+    if (!state.breachSound) return;
+    navigator.vibrate?.(ev.kind === "dwell" ? [400] : [200, 100, 200]);
+    // Rising pair for enter, falling for exit, one long tone for dwell
+    const tones = { enter: [660, 880], exit: [880, 660], dwell: [740] }[ev.kind];
+    const ctx = state.audioCtx;
+    if (!ctx) return;
+    tones.forEach((hz, i) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      const start = ctx.currentTime + i * 0.25;
+      const len = tones.length === 1 ? 0.6 : 0.2;
+      osc.frequency.value = hz;
+      gain.gain.setValueAtTime(0.25, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + len);
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(start);
+      osc.stop(start + len);
+    });
   }
 
-  function onMapClickAddVertex(e) {
-    const latlng = e.latlng;
-    state.drawRing.push(latlng);
-    addVertexMarker(latlng, state.drawRing.length - 1, /*forDraw=*/true);
-    refreshDrawPreviewAndMids();
-    liveUpdateStatsFromRing(state.drawRing);
+  function clearBreachFlash() {
+    if (state.breachFlash) state.leafletMap.removeLayer(state.breachFlash);
+    state.breachFlash = null;
   }
 
-  function refreshDrawPreviewAndMids() {
-    state.drawTempPolygon.setLatLngs([state.drawRing]);
-    state.midMarkers.forEach(({ marker }) => marker.remove());
-    state.midMarkers = [];
-    for (let i = 0; i < state.drawRing.length; i++) {
-      const j = (i + 1) % state.drawRing.length;
-      if (state.drawRing.length >= 2) addMidMarkerBetween(i, j, /*forDraw=*/true);
+  async function loadBreachLog() {
+    try {
+      const events = (await uiStore("breaches", "readonly", (store) => store.getAll())) || [];
+      state.breachLog = events.sort((a, b) => b.at.localeCompare(a.at));
+    } catch (err) {
+      console.warn("Breach log unavailable:", err);
     }
+    renderAlertsPanel();
   }
 
-  function finishCustomDraw() {
-    if (state.mode !== "drawing") return;
-    if (state.drawRing.length < 3) return toast("Need at least 3 vertices.", "error");
+  async function sendBreachLog() {
+    const url = serverSiblingUrl(config.apiUrl, "/breaches");
+    if (!url) return toast("Set the Server URL in Settings first.", "error");
+    const unsent = state.breachLog.filter((ev) => !ev.sent_at);
+    if (!unsent.length) return toast("Every logged event is already on the server.", "success");
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...operatorHeaders() },
+        // The server ignores ids it already has, so a retry after a lost response is harmless
+        body: JSON.stringify({ events: unsent.map(({ sent_at, ...ev }) => ev) }),
+      });
+      if (!res.ok) throw await httpError("Server", res);
+      const sentAt = new Date().toISOString();
+      for (const ev of unsent) ev.sent_at = sentAt;
+      await uiStore("breaches", "readwrite", (store) => unsent.forEach((ev) => store.put(ev))).catch((err) => console.warn(err));
+      toast(`Sent ${unsent.length} alert event(s).`, "success");
+    } catch (err) {
+      console.error(err);
+      toast(`Sending the alert log failed: ${err.message || err}`, "error", 3200);
+    }
+    renderAlertsPanel();
+  }
 
-    // Stop draw listeners
-    state.leafletMap.off("click", onMapClickAddVertex);
-    state.leafletMap.off("dblclick", finishCustomDraw);
-    state.leafletMap.doubleClickZoom.enable();
+  async function clearBreachLog() {
+    const unsent = state.breachLog.filter((ev) => !ev.sent_at).length;
+    if (unsent && !confirm(`${unsent} event(s) were not sent to the server yet. Clear the log anyway?`)) return;
+    state.breachLog = [];
+    await uiStore("breaches", "readwrite", (store) => store.clear()).catch((err) => console.warn(err));
+    renderAlertsPanel();
+  }
 
-    if (state.drawTempPolygon) { state.drawTempPolygon.remove(); state.drawTempPolygon = null; }
+  function openAlertsPanel() {
+    ensureAlertsPanel();
+    dom.alertsPanel.classList.remove("is-hidden");
+    renderAlertsPanel();
+    renderSheet(true);
+  }
 
-    const finalPoly = L.polygon(state.drawRing, { color: "#3b82f6", weight: 2, fillOpacity: 0.08 });
-    state.drawnItems.addLayer(finalPoly);
-    state.drawnLayer = finalPoly;
+  function ensureAlertsPanel() {
+    if (dom.alertsPanel) return;
+    const panel = document.createElement("div");
+    panel.className = "sheet__row is-hidden";
+    panel.innerHTML = `
+      <div style="display:flex;align-items:center;justify-content:space-between;">
+        <h3 style="margin:0;font-size:16px;">Fence alerts</h3>
+        <button class="btn" type="button" data-act="close">Close</button>
+      </div>
+      <label style="display:flex;gap:8px;align-items:center;font-size:14px;">
+        <input type="checkbox" data-role="enabled" /> Alert when I enter, leave or stay in a fence
+      </label>
+      <label style="display:flex;gap:8px;align-items:center;font-size:14px;">
+        <input type="checkbox" data-role="sound" /> Sound and vibration
+      </label>
+      <span data-role="status" style="font-size:12px;color:var(--muted);"></span>
+      <div data-role="log" style="display:grid;gap:4px;max-height:220px;overflow:auto;"></div>
+      <div style="display:flex;gap:8px;justify-content:flex-end;flex-wrap:wrap;">
+        <button class="btn btn-ghost" type="button" data-act="clear">Clear log</button>
+        <button class="btn btn-primary" type="button" data-act="send">Send log</button>
+      </div>
+    `;
+    dom.infoSheet.querySelector(".sheet__content").appendChild(panel);
+    dom.alertsPanel = panel;
+    const q = (sel) => panel.querySelector(sel);
+    q('[data-act="close"]').addEventListener("click", () => panel.classList.add("is-hidden"));
+    q('[data-role="enabled"]').addEventListener("change", (e) => setBreachMonitor(e.target.checked));
+    q('[data-role="sound"]').addEventListener("change", (e) => {
+      state.breachSound = e.target.checked;
+      localStorage.setItem("geofenceAlertSound", state.breachSound ? "on" : "off");
+    });
+    q('[data-act="send"]').addEventListener("click", sendBreachLog);
+    q('[data-act="clear"]').addEventListener("click", clearBreachLog);
+  }
 
-    enterCustomEditMode(/*fromDraw=*/true);
-    buildAndRenderPayload();
+  function renderAlertsPanel() {
+    dom.btnAlerts.textContent = state.breachMonitor ? "Alerts (on)" : "Alerts";
+    if (!dom.alertsPanel) return;
+    const q = (sel) => dom.alertsPanel.querySelector(sel);
+    q('[data-role="enabled"]').checked = state.breachMonitor;
+    q('[data-role="sound"]').checked = state.breachSound;
+    q('[data-role="status"]').textContent = alertsStatusText();
+
+    const unsent = state.breachLog.filter((ev) => !ev.sent_at).length;
+    const send = q('[data-act="send"]');
+    send.textContent = unsent ? `Send log (${unsent})` : "Send log";
+    send.disabled = !unsent;
+    q('[data-act="clear"]').disabled = !state.breachLog.length;
+
+    const verbs = { enter: "Entered", exit: "Left", dwell: "Dwelling in" };
+    q('[data-role="log"]').innerHTML = state.breachLog.length
+      ? state.breachLog.slice(0, 100).map((ev) => `
+          <div style="font-size:13px;display:flex;justify-content:space-between;gap:8px;">
+            <span><strong>${verbs[ev.kind]}</strong> ${escapeHTML(ev.fence_name || ev.fence_id)}${ev.dwell_s ? ` (${Math.round(ev.dwell_s / 60)} min)` : ""}</span>
+            <span style="color:var(--muted);white-space:nowrap;">${new Date(ev.at).toLocaleString()} • ±${ev.accuracy_m} m${ev.sent_at ? " • sent" : ""}</span>
+          </div>`).join("")
+      : `<span style="font-size:13px;color:var(--muted);">No alerts yet.</span>`;
   }
 
-  function cancelCustomDraw() {
-    state.leafletMap.off("click", onMapClickAddVertex);
-    state.leafletMap.off("dblclick", finishCustomDraw);
-    state.leafletMap.doubleClickZoom.enable();
-    if (state.drawTempPolygon) { state.drawTempPolygon.remove(); state.drawTempPolygon = null; }
-    state.drawRing = [];
-    cleanupEditLayer();
-    state.mode = "idle";
-    renderButtons();
-    renderStats();
-    renderJsonPreview();
+  function alertsStatusText() {
+    if (!state.breachMonitor) return "Off. Fixes are checked against workspace, queued and server fences.";
+    if (state.gpsWatchId === null) return "Paused: turn Auto GPS on.";
+    const fix = state.currentPosition;
+    if (!fix) return "Waiting for a GPS fix…";
+    if (!(fix.accuracy <= BREACH_MAX_ACCURACY_M)) {
+      return `GPS accuracy ±${Math.round(fix.accuracy)} m is too coarse (needs ±${BREACH_MAX_ACCURACY_M} m or better); waiting.`;
+    }
+    const inside = [...state.breachStates.values()].filter((s) => s.inside).map((s) => s.name);
+    const watched = state.breachStates.size;
+    return `${inside.length ? `Inside: ${inside.join(", ")}` : "Outside all fences"} • ${watched} fence(s) watched • ±${Math.round(fix.accuracy)} m`;
   }
 
-  // ====== G) Custom EDIT MODE ======
-  function enterCustomEditMode(fromDraw = false) {
-    if (!state.drawnLayer) return;
+  // ====== E2) Track recorder (breadcrumb for after-action review) ======
+  function setTrackRecording(on) {
+    state.trackRecording = on;
+    if (on) {
+      state.trackSeg = Date.now();
+      ensureAutoGPS();
+    }
+    renderTrackPanel();
+  }
 
-    cleanupEditLayer();
-    state.editLayerGroup = L.layerGroup().addTo(state.leafletMap);
-    state.vertexMarkers = [];
-    state.midMarkers = [];
+  function recordTrackPoint(pos) {
+    if (!state.trackRecording) return;
+    const { latitude: lat, longitude: lon, accuracy, altitude } = pos.coords;
+    const t = pos.timestamp || Date.now();
+    if (!(accuracy <= TRACK_MAX_ACCURACY_M)) return;
+
+    const last = state.track[state.track.length - 1];
+    if (last && last.seg === state.trackSeg) {
+      const d = haversineMeters(last.lat, last.lon, lat, lon);
+      if (d < Math.max(TRACK_MIN_STEP_M, accuracy)) return;
+      if (t > last.t && d / ((t - last.t) / 1000) > TRACK_MAX_SPEED_MPS) return;
+    }
 
-    const ring = getRingLatLngs(state.drawnLayer);
-    ring.forEach((latlng, i) => addVertexMarker(latlng, i, /*forDraw=*/false));
-    addAllMidMarkers(/*forDraw=*/false);
+    const point = { seg: state.trackSeg, t, lat: round6(lat), lon: round6(lon), accuracy: Math.round(accuracy) };
+    if (Number.isFinite(altitude)) point.alt = Math.round(altitude * 10) / 10;
+    if (last && last.seg === point.seg) state.trackLengthM += haversineMeters(last.lat, last.lon, point.lat, point.lon);
+    state.track.push(point);
+    const dropped = state.track.splice(0, Math.max(state.track.length - TRACK_POINT_LIMIT, 0));
+    dropped.forEach((old, i) => {
+      const next = dropped[i + 1] || state.track[0];
+      if (next.seg === old.seg) state.trackLengthM -= haversineMeters(old.lat, old.lon, next.lat, next.lon);
+    });
+    uiStore("track", "readwrite", (store) => {
+      const req = store.add(point);
+      req.onsuccess = () => { point.id = req.result; };
+      for (const old of dropped) if (old.id != null) store.delete(old.id);
+    }).catch((err) => console.warn("Track write failed:", err));
+    extendTrackLayer(last, point);
+    renderTrackPanel();
+  }
 
-    state.mode = "editing";
-    renderButtons();
-    if (!fromDraw) toast("Drag squares to move. Tap a square to remove. Tap a dot to insert.", "success", 3200);
+  async function loadTrack() {
+    try {
+      state.track = (await uiStore("track", "readonly", (store) => store.getAll())) || [];
+    } catch (err) {
+      console.warn("Track unavailable:", err);
+    }
+    state.trackLengthM = trackSegments().reduce((m, seg) => m + trackLengthMeters(seg), 0);
+    renderTrackLayer();
+    renderTrackPanel();
   }
 
-  function exitCustomEditMode(save = true) {
-    if (save && state.drawnLayer) {
-      buildAndRenderPayload();
-      // If we’re editing a loaded queue item, keep UI hint visible in queue panel
+  function trackSegments() {
+    const segs = new Map();
+    for (const p of state.track) {
+      if (!segs.has(p.seg)) segs.set(p.seg, []);
+      segs.get(p.seg).push(p);
     }
-    state.mode = state.drawnLayer ? "ready" : "idle";
-    cleanupEditLayer();
-    renderButtons();
+    return [...segs.values()];
   }
 
-  function cleanupEditLayer() {
-    if (state.editLayerGroup) { state.editLayerGroup.remove(); state.editLayerGroup = null; }
-    state.vertexMarkers = [];
-    state.midMarkers = [];
+  // One polyline per colour band, so thousands of points stay a handful of layers
+  function renderTrackLayer() {
+    if (!state.trackLayer) return;
+    state.trackLayer.clearLayers();
+    state.trackTail = null;
+    state.trackDrawnAt = Date.now();
+    if (state.track.length < 2) return;
+    const newest = state.track[state.track.length - 1];
+    const t0 = state.track[0].t, span = newest.t - t0 || 1;
+    const bin = (p) => Math.min(TRACK_COLOR_BINS - 1, Math.floor(((p.t - t0) / span) * TRACK_COLOR_BINS));
+    for (const seg of trackSegments()) {
+      let run = [seg[0]];
+      for (let i = 1; i < seg.length; i++) {
+        run.push(seg[i]);
+        if (bin(seg[i]) !== bin(run[0]) || i === seg.length - 1) {
+          const line = L.polyline(run.map((p) => [p.lat, p.lon]), { color: trackColor(bin(run[0])), weight: 4, opacity: 0.85, interactive: false })
+            .addTo(state.trackLayer);
+          if (seg[i] === newest) state.trackTail = line;
+          run = [seg[i]];
+        }
+      }
+    }
   }
 
-  // --- Handles (shared by draw & edit) ---
-  function addVertexMarker(latlng, index, forDraw) {
-    const marker = L.marker(latlng, {
-      draggable: true,
-      icon: L.divIcon({
-        className: "",
-        iconSize: [VERT_SIZE, VERT_SIZE],
-        html: `<div style="
-          width:${VERT_SIZE}px;height:${VERT_SIZE}px;
-          background:#fff;border:2px solid #3b82f6;border-radius:4px;
-          box-shadow:0 1px 3px rgba(0,0,0,.25);
-        "></div>`,
-      }),
-      zIndexOffset: 1000,
-    });
+  // A new fix only lengthens the newest line; the bands are recoloured by the next full redraw. Dropped
+  // old points also stay drawn until then.
+  function extendTrackLayer(prev, point) {
+    if (!state.trackLayer) return;
+    const stale = Date.now() - state.trackDrawnAt > TRACK_REDRAW_MS;
+    if (stale || !state.trackTail || prev?.seg !== point.seg) return renderTrackLayer();
+    state.trackTail.addLatLng([point.lat, point.lon]);
+  }
 
-    let dragged = false;
+  function trackColor(bin) {
+    const f = TRACK_COLOR_BINS > 1 ? bin / (TRACK_COLOR_BINS - 1) : 1;
+    return `hsl(${Math.round(240 * (1 - f))}, 85%, 45%)`;
+  }
 
-    marker.on("dragstart", () => { dragged = false; });
+  function trackLengthMeters(points) {
+    let m = 0;
+    for (let i = 1; i < points.length; i++) m += haversineMeters(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon);
+    return m;
+  }
 
-    marker.on("drag", (e) => {
-      dragged = true;
-      const newLL = e.target.getLatLng();
+  async function clearTrack() {
+    if (!state.track.length || !confirm(`Delete all ${state.track.length} recorded track point(s) from this device?`)) return;
+    state.track = [];
+    state.trackLengthM = 0;
+    if (state.trackRecording) state.trackSeg = Date.now();
+    await uiStore("track", "readwrite", (store) => store.clear()).catch((err) => console.warn(err));
+    renderTrackLayer();
+    renderTrackPanel();
+  }
 
-      if (state.mode === "drawing" && forDraw) {
-        state.drawRing[index] = newLL;
-        refreshDrawPreviewAndMids();
-        liveUpdateStatsFromRing(state.drawRing);
-      } else if (state.drawnLayer) {
-        const ring = getRingLatLngs(state.drawnLayer);
-        ring[index] = newLL;
-        setRingLatLngs(state.drawnLayer, ring);
-        refreshAdjacentMidMarkers(index);
-        liveUpdateStatsFromRing(ring);
-      }
-      state.vertexMarkers[index].setLatLng(newLL);
-    });
+  function exportTrack(format) {
+    if (!state.track.length) return toast("No track recorded yet.", "error");
+    const stamp = new Date(state.track[0].t).toISOString().slice(0, 10);
+    const file = format === "gpx"
+      ? new File([trackToGPX()], `track-${stamp}.gpx`, { type: "application/gpx+xml" })
+      : new File([JSON.stringify(trackToGeoJSON(), null, 2)], `track-${stamp}.geojson`, { type: "application/geo+json" });
+    downloadBlob(file, file.name);
+  }
 
-    marker.on("dragend", () => {
-      if (state.mode !== "drawing") buildAndRenderPayload();
-    });
+  function trackToGPX() {
+    const segs = trackSegments().map((seg) => `
+      <trkseg>
+${seg.map((p) => `        <trkpt lat="${p.lat}" lon="${p.lon}">${p.alt != null ? `<ele>${p.alt}</ele>` : ""}<time>${new Date(p.t).toISOString()}</time></trkpt>`).join("\n")}
+      </trkseg>`).join("");
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Geofence UI" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>${escapeHTML(config.operatorName ? `${config.operatorName} track` : "Track")}</name>${segs}
+  </trk>
+</gpx>
+`;
+  }
 
-    marker.on("click", () => {
-      if (dragged) return;
-      if (state.mode === "drawing" && forDraw) {
-        if (state.drawRing.length <= 3) return toast("Need ≥ 3 vertices.", "error");
-        state.drawRing.splice(index, 1);
-        rebuildHandlesForCurrentMode();
-      } else if (state.drawnLayer) {
-        const ring = getRingLatLngs(state.drawnLayer);
-        if (ring.length <= 3) return toast("Need ≥ 3 vertices.", "error");
-        ring.splice(index, 1);
-        setRingLatLngs(state.drawnLayer, ring);
-        rebuildHandlesForCurrentMode();
-        buildAndRenderPayload();
-      }
+  // Per-point times and accuracies ride along as coordinateProperties (as in @mapbox/togeojson)
+  function trackToGeoJSON() {
+    const segs = trackSegments();
+    return {
+      type: "FeatureCollection",
+      features: [{
+        type: "Feature",
+        geometry: { type: "MultiLineString", coordinates: segs.map((seg) => seg.map((p) => (p.alt != null ? [p.lon, p.lat, p.alt] : [p.lon, p.lat]))) },
+        properties: {
+          name: config.operatorName ? `${config.operatorName} track` : "Track",
+          coordinateProperties: {
+            times: segs.map((seg) => seg.map((p) => new Date(p.t).toISOString())),
+            accuracy_m: segs.map((seg) => seg.map((p) => p.accuracy)),
+          },
+        },
+      }],
+    };
+  }
+
+  // Closes the latest recording into a ring and simplifies it until it fits maxVertices
+  function fenceFromTrack() {
+    const segs = trackSegments();
+    const path = (segs[segs.length - 1] || []).map((p) => L.latLng(p.lat, p.lon));
+    if (path.length < 3) return toast("Record at least 3 track points first.", "error");
+    if (state.mode === "drawing") cancelCustomDraw();
+    if (state.mode === "editing") exitCustomEditMode(true);
+
+    let tolerance = TRACK_SIMPLIFY_TOLERANCE_M, ring;
+    do {
+      ring = simplifyDouglasPeucker(path, tolerance);
+      // Walking back to the start leaves the last point on top of the first
+      if (ring.length > 3 && ring[0].distanceTo(ring[ring.length - 1]) <= tolerance) ring.pop();
+      tolerance *= 2;
+    } while (ring.length > config.maxVertices);
+    if (ring.length < 3) return toast("The track is too straight to enclose an area.", "error");
+
+    const fence = addFenceToWorkspace([ring], { name: `Track ${new Date(segs[segs.length - 1][0].t).toLocaleString()}` });
+    selectFence(fence.id);
+    state.userMovedMap = true;
+    state.leafletMap.fitBounds(fence.layer.getBounds(), { padding: [24, 24] });
+    buildAndRenderPayload();
+    renderButtons();
+    const val = validateCoordsLL([ring]);
+    if (val.ok) toast(`Fence with ${ring.length} vertices made from the track.`, "success", 3200);
+    else {
+      // Usually the path crossed itself: open the handles so the red edges can be fixed
+      enterCustomEditMode();
+      toast(`Fence made from the track needs fixing: ${val.reason}`, "error", 4000);
+    }
+  }
+
+  function openTrackPanel() {
+    ensureTrackPanel();
+    dom.trackPanel.classList.remove("is-hidden");
+    renderTrackPanel();
+    renderSheet(true);
+  }
+
+  function ensureTrackPanel() {
+    if (dom.trackPanel) return;
+    const panel = document.createElement("div");
+    panel.className = "sheet__row is-hidden";
+    panel.innerHTML = `
+      <div style="display:flex;align-items:center;justify-content:space-between;">
+        <h3 style="margin:0;font-size:16px;">Track</h3>
+        <button class="btn" type="button" data-act="close">Close</button>
+      </div>
+      <label style="display:flex;gap:8px;align-items:center;font-size:14px;">
+        <input type="checkbox" data-role="record" /> Record my track
+      </label>
+      <label style="display:flex;gap:8px;align-items:center;font-size:14px;">
+        <input type="checkbox" data-role="show" checked /> Show on map
+      </label>
+      <span data-role="status" style="font-size:12px;color:var(--muted);"></span>
+      <div data-role="legend" class="track-legend"><span></span><span></span></div>
+      <div style="display:flex;gap:8px;justify-content:flex-end;flex-wrap:wrap;">
+        <button class="btn btn-ghost" type="button" data-act="clear">Clear</button>
+        <button class="btn btn-ghost" type="button" data-act="gpx">GPX</button>
+        <button class="btn btn-ghost" type="button" data-act="geojson">GeoJSON</button>
+        <button class="btn btn-primary" type="button" data-act="fence" title="Close the latest recording into a fence">Fence from track</button>
+      </div>
+    `;
+    dom.infoSheet.querySelector(".sheet__content").appendChild(panel);
+    dom.trackPanel = panel;
+    const q = (sel) => panel.querySelector(sel);
+    q('[data-act="close"]').addEventListener("click", () => panel.classList.add("is-hidden"));
+    q('[data-role="record"]').addEventListener("change", (e) => setTrackRecording(e.target.checked));
+    q('[data-role="show"]').addEventListener("change", (e) => {
+      if (e.target.checked) state.leafletMap.addLayer(state.trackLayer);
+      else state.leafletMap.removeLayer(state.trackLayer);
     });
+    q('[data-act="clear"]').addEventListener("click", clearTrack);
+    q('[data-act="gpx"]').addEventListener("click", () => exportTrack("gpx"));
+    q('[data-act="geojson"]').addEventListener("click", () => exportTrack("geojson"));
+    q('[data-act="fence"]').addEventListener("click", fenceFromTrack);
+  }
+
+  function renderTrackPanel() {
+    dom.btnTrack.textContent = state.trackRecording ? "Track (rec)" : "Track";
+    if (!dom.trackPanel) return;
+    const q = (sel) => dom.trackPanel.querySelector(sel);
+    q('[data-role="record"]').checked = state.trackRecording;
+
+    const pts = state.track;
+    const paused = state.trackRecording && state.gpsWatchId === null ? " • paused: turn Auto GPS on" : "";
+    q('[data-role="status"]').textContent = pts.length
+      ? `${pts.length} point(s) • ${formatMeters(state.trackLengthM)} • ${new Date(pts[0].t).toLocaleString()} – ${new Date(pts[pts.length - 1].t).toLocaleTimeString()}${paused}`
+      : `No track recorded.${paused}`;
+
+    const legend = q('[data-role="legend"]');
+    legend.hidden = pts.length < 2;
+    if (pts.length >= 2) {
+      const stops = Array.from({ length: TRACK_COLOR_BINS }, (_, i) => trackColor(i));
+      legend.style.background = `linear-gradient(to right, ${stops.join(", ")})`;
+      legend.children[0].textContent = new Date(pts[0].t).toLocaleTimeString();
+      legend.children[1].textContent = new Date(pts[pts.length - 1].t).toLocaleTimeString();
+    }
+    for (const act of ["clear", "gpx", "geojson"]) q(`[data-act="${act}"]`).disabled = !pts.length;
+    q('[data-act="fence"]').disabled = pts.length < 3;
+  }
+
+  // ====== F) Custom DRAW MODE (shows handles while placing) ======
+  function startCustomDraw(choice = dom.drawShape.value || "polygon") {
+    state.userMovedMap = true; // don't auto yank while drawing
+
+    // Park the active fence; the new drawing becomes a fence of its own
+    if (state.mode === "editing") exitCustomEditMode(true);
+    if (state.drawnLayer) deselectFence();
+
+    state.drawFenceId = `ui-${uuidv4()}`;
+    state.drawKind = choice === "walk" ? "polygon" : choice; // a walked perimeter is a plain polygon
+    beginDrawRing("outer");
+    if (choice === "walk") startWalkCapture();
+    renderSheet(true);
+    toast(DRAW_HINTS[choice], "success", 3200);
+  }
+
+  // Draws an inner ring (exclusion) into the active fence with the same handles
+  function startHoleDraw() {
+    if (!state.drawnLayer || state.mode === "drawing" || state.mode === "sending") return;
+    state.userMovedMap = true;
+    if (state.mode === "editing") exitCustomEditMode(true);
+
+    state.drawKind = "polygon";
+    beginDrawRing("hole");
+    toast("Tap inside the fence to outline the hole. Double-tap or press Finish.", "success", 3200);
+  }
+
+  function beginDrawRing(target) {
+    stopRuler();
+    cleanupEditLayer();
+    state.editLayerGroup = L.layerGroup().addTo(state.leafletMap);
+    state.vertexMarkers = [];
+    state.midMarkers = [];
+    state.drawRing = [];
+    state.drawShape = null;
+    state.drawTarget = target;
+    state.drawHistory = newHistory();
+
+    if (state.drawTempPolygon) {
+      state.drawTempPolygon.remove(); state.drawTempPolygon = null;
+    }
+    state.drawTempPolygon = L.polygon([], target === "hole" ? HOLE_DRAW_STYLE : fenceStyle(state.fenceProps, true)).addTo(state.leafletMap);
+
+    state.leafletMap.on("click", onMapClickAddVertex);
+    state.leafletMap.on("dblclick", finishCustomDraw);
+    if (isTwoPointKind(state.drawKind)) state.leafletMap.on("mousemove", onMapMoveSizeShape);
+    state.leafletMap.doubleClickZoom.disable();
+
+    state.mode = "drawing";
+    renderButtons();
+    renderShapeParamRow();
+  }
+
+  function stopDrawListeners() {
+    state.leafletMap.off("click", onMapClickAddVertex);
+    state.leafletMap.off("dblclick", finishCustomDraw);
+    state.leafletMap.off("mousemove", onMapMoveSizeShape);
+    state.leafletMap.doubleClickZoom.enable();
+    if (state.drawTempPolygon) { state.drawTempPolygon.remove(); state.drawTempPolygon = null; }
+    clearDrawSegmentLabels();
+    stopWalkCapture();
+  }
+
+  function onMapClickAddVertex(e) {
+    placeDrawPoint(snapLatLng(e.latlng, getActiveFence()));
+  }
+
+  // Exact points (typed coordinates) skip snapping
+  function placeDrawPoint(latlng) {
+    if (isTwoPointKind(state.drawKind)) return onMapClickTwoPoint(latlng);
+    addDrawVertex(latlng);
+  }
+
+  function addDrawVertex(latlng, label = "Add vertex") {
+    checkpoint(label);
+    state.drawRing.push(latlng);
+    addVertexMarker(latlng, state.drawRing.length - 1, /*forDraw=*/true);
+    refreshDrawPreviewAndMids();
+    liveUpdateStatsFromRings(getDrawPreviewRings(), getDrawPreviewShape());
+  }
+
+  // Circle: tap center, then tap (or move to) the radius. Rectangle: tap two opposite corners.
+  function onMapClickTwoPoint(latlng) {
+    if (!state.drawShape) {
+      checkpoint("Place point");
+      state.drawShape = state.drawKind === "circle"
+        ? { kind: "circle", center: latlng, radius_m: 0 }
+        : { kind: "rectangle", corners: [latlng, latlng] };
+      addDrawAnchorMarker();
+      return;
+    }
+    sizeDrawShape(latlng);
+    state.drawShape.done = true;
+    finishCustomDraw();
+  }
 
+  // First point of a circle/rectangle being drawn
+  function addDrawAnchorMarker() {
+    const sh = state.drawShape;
+    const marker = L.marker(sh.kind === "circle" ? sh.center : sh.corners[0], { icon: vertexIcon("#3b82f6"), interactive: false });
     marker.addTo(state.editLayerGroup);
-    state.vertexMarkers[index] = marker;
+    state.vertexMarkers.push(marker);
   }
 
-  function addMidMarkerBetween(i, j, forDraw) {
-    const ring = (state.mode === "drawing" && forDraw) ? state.drawRing : getRingLatLngs(state.drawnLayer);
-    const a = ring[i], b = ring[j];
-    const mid = L.latLng((a.lat + b.lat) / 2, (a.lng + b.lng) / 2);
-    const m = L.marker(mid, {
-      draggable: false,
-      icon: L.divIcon({
-        className: "",
-        iconSize: [MID_SIZE, MID_SIZE],
-        html: `<div style="
-          width:${MID_SIZE}px;height:${MID_SIZE}px;
-          background:#fff;border:2px solid #9aa3af;border-radius:999px;
-          box-shadow:0 1px 2px rgba(0,0,0,.2);
-        " title="Add vertex"></div>`,
-      }),
-      zIndexOffset: 900,
+  function onMapMoveSizeShape(e) {
+    if (!state.drawShape || state.drawShape.done) return;
+    sizeDrawShape(e.latlng);
+  }
+
+  function sizeDrawShape(latlng) {
+    const sh = state.drawShape;
+    if (sh.kind === "circle") sh.radius_m = haversineMeters(sh.center.lat, sh.center.lng, latlng.lat, latlng.lng);
+    else sh.corners = [sh.corners[0], latlng];
+    refreshDrawPreviewAndMids();
+    liveUpdateStatsFromRings(getDrawPreviewRings(), getDrawPreviewShape());
+  }
+
+  function refreshDrawPreviewAndMids() {
+    state.drawTempPolygon.setLatLngs([getDrawOuterRing()]);
+    state.midMarkers.forEach(({ marker }) => marker.remove());
+    state.midMarkers = [];
+    if (state.drawRing.length >= 2) addAllMidMarkers(/*forDraw=*/true);
+    renderDrawSegmentLabels();
+  }
+
+  // Parametric shape being drawn (null while drawing a plain polygon or a hole)
+  function getDrawShape() {
+    if (state.drawTarget === "hole" || state.drawKind === "polygon") return null;
+    if (state.drawKind === "corridor") {
+      return state.drawRing.length >= 2
+        ? { kind: "corridor", line: [...state.drawRing], half_width_m: state.corridorHalfWidth }
+        : null;
+    }
+    return state.drawShape;
+  }
+
+  function getDrawOuterRing() {
+    if (state.drawTarget === "hole" || state.drawKind === "polygon") return state.drawRing;
+    const shape = getDrawShape();
+    return shape ? shapeToOuterRing(shape) : [];
+  }
+
+  function getDrawPreviewShape() {
+    return state.drawTarget === "hole" ? getActiveFence()?.shape || null : getDrawShape();
+  }
+
+  // Rings the stats/preview should reflect while a ring is being placed
+  function getDrawPreviewRings() {
+    if (state.drawTarget !== "hole") return [getDrawOuterRing()];
+    const rings = getRingsLatLngs(state.drawnLayer);
+    if (state.drawRing.length >= 3) rings.push(state.drawRing);
+    return rings;
+  }
+
+  function finishCustomDraw() {
+    if (state.mode !== "drawing") return;
+    const kind = state.drawTarget === "hole" ? "polygon" : state.drawKind;
+    if (kind === "polygon" && state.drawRing.length < 3) return toast("Need at least 3 vertices.", "error");
+    if (kind === "corridor" && state.drawRing.length < 2) return toast("Need at least 2 points for a corridor.", "error");
+    if (isTwoPointKind(kind)) {
+      if (!state.drawShape?.done) return toast("Tap a second point to set the size.", "error");
+      if (!shapeHasSize(state.drawShape)) {
+        state.drawShape.done = false;
+        return toast("Too small — tap farther from the first point.", "error");
+      }
+    }
+
+    if (state.drawTarget === "hole") {
+      const rings = getRingsLatLngs(state.drawnLayer);
+      const outer = rings[0];
+      if (!state.drawRing.every((ll) => pointInRingLL(ll, outer))) {
+        return toast("Hole must lie inside the fence.", "error");
+      }
+      if (rings.slice(1).some((hole) => state.drawRing.some((ll) => pointInRingLL(ll, hole)))) {
+        return toast("Hole overlaps another hole.", "error");
+      }
+    }
+
+    // Stop draw listeners
+    stopDrawListeners();
+
+    if (state.drawTarget === "hole") {
+      const rings = getRingsLatLngs(state.drawnLayer);
+      // The finished cut is one step in the fence's own history
+      pushHistory(getActiveFence().history, "Cut hole", snapshotFence(getActiveFence()));
+      rings.push(state.drawRing);
+      setRingsLatLngs(state.drawnLayer, rings);
+    } else {
+      const shape = getDrawShape();
+      if (shape) delete shape.done;
+      const outer = shape ? shapeToOuterRing(shape) : state.drawRing;
+      const name = state.fenceName || defaultFenceName();
+      const fence = addFenceToWorkspace([outer], { name, fenceId: state.drawFenceId, shape, props: state.fenceProps });
+      setActiveFence(fence);
+    }
+    state.drawRing = [];
+    state.drawShape = null;
+    state.drawFenceId = null;
+    state.drawTarget = null;
+    state.drawHistory = null;
+
+    enterCustomEditMode(/*fromDraw=*/true);
+    buildAndRenderPayload();
+  }
+
+  function cancelCustomDraw() {
+    stopDrawListeners();
+    state.drawRing = [];
+    state.drawShape = null;
+    state.drawFenceId = null;
+    state.drawTarget = null;
+    state.drawHistory = null;
+    cleanupEditLayer();
+    // A cancelled hole leaves its fence active
+    state.mode = state.drawnLayer ? "ready" : "idle";
+    renderButtons();
+    renderShapeParamRow();
+    buildAndRenderPayload();
+  }
+
+  // ====== F1) Walk-the-perimeter capture (draw mode fed by GPS fixes) ======
+  function startWalkCapture() {
+    state.walk = {
+      auto: true,
+      spacing_m: WALK_DEFAULT_SPACING_M,
+      fix: null,          // last fix within WALK_MAX_ACCURACY_M
+      at: 0,              // when it arrived (Date.now)
+      accuracy: null,     // accuracy of the latest fix, accepted or not
+      pivot: null,        // latest fix clear of the noise since the last vertex; where a turn happened
+      closeHinted: false,
+      lead: L.polyline([], { ...FENCE_STYLE, dashArray: "4 6", interactive: false }).addTo(state.leafletMap),
+      control: null,
+    };
+    const WalkControl = L.Control.extend({
+      options: { position: "bottomleft" },
+      onAdd() {
+        const el = L.DomUtil.create("div", "map-panel walk-panel");
+        el.innerHTML = `
+          <button class="btn btn-primary" type="button" data-act="drop">Drop point here</button>
+          <label style="display:inline-flex;align-items:center;gap:6px;">
+            <input type="checkbox" data-role="auto" checked style="width:18px;height:18px;">
+            Auto every <input class="input" data-role="spacing" type="number" min="5" max="500" step="5" style="width:64px;"> m and at turns
+          </label>
+          <span class="map-panel__meta" data-role="status"></span>
+        `;
+        L.DomEvent.disableClickPropagation(el);
+        L.DomEvent.disableScrollPropagation(el);
+        return el;
+      },
+    });
+    const el = (state.walk.control = new WalkControl().addTo(state.leafletMap)).getContainer();
+    el.querySelector('[data-role="spacing"]').value = String(state.walk.spacing_m);
+    el.querySelector('[data-act="drop"]').addEventListener("click", dropWalkPoint);
+    el.querySelector('[data-role="auto"]').addEventListener("change", (e) => {
+      state.walk.auto = e.target.checked;
+      state.walk.pivot = null;
+    });
+    el.querySelector('[data-role="spacing"]').addEventListener("input", (e) => {
+      const v = Number(e.target.value);
+      if (isFinite(v) && v >= 5) state.walk.spacing_m = v;
     });
+    ensureAutoGPS();
+    renderWalkControl();
+  }
 
-    m.on("click", () => {
-      if (state.mode === "drawing" && forDraw) {
-        state.drawRing.splice(j, 0, m.getLatLng());
-        rebuildHandlesForCurrentMode();
-        liveUpdateStatsFromRing(state.drawRing);
-      } else if (state.drawnLayer) {
-        const ring2 = getRingLatLngs(state.drawnLayer);
-        ring2.splice(j, 0, m.getLatLng());
-        setRingLatLngs(state.drawnLayer, ring2);
-        rebuildHandlesForCurrentMode();
-        buildAndRenderPayload();
+  function stopWalkCapture() {
+    if (!state.walk) return;
+    state.walk.lead.remove();
+    state.walk.control.remove();
+    state.walk = null;
+  }
+
+  function walkCaptureFix(fix) {
+    const walk = state.walk;
+    if (!walk || state.mode !== "drawing") return;
+    walk.accuracy = fix.accuracy;
+    if (!(fix.accuracy <= WALK_MAX_ACCURACY_M)) return renderWalkControl();
+
+    const here = L.latLng(fix.lat, fix.lon);
+    walk.fix = here;
+    walk.at = Date.now();
+    // The map stays put while drawing; keep the walker on screen anyway
+    if (!state.leafletMap.getBounds().pad(-0.2).contains(here)) state.leafletMap.panTo(here);
+    if (walk.auto) autoWalkVertex(here);
+
+    const ring = state.drawRing;
+    if (ring.length >= 3 && !walk.closeHinted && here.distanceTo(ring[0]) <= Math.max(walk.spacing_m / 2, fix.accuracy * 2)) {
+      walk.closeHinted = true;
+      toast("Back at the start. Press Finish to close the fence.", "success", 4000);
+    }
+    renderWalkControl();
+  }
+
+  // Straight legs get a vertex every spacing_m; a turn puts one at the corner (the pivot we just passed)
+  function autoWalkVertex(here) {
+    const walk = state.walk;
+    const last = state.drawRing[state.drawRing.length - 1];
+    if (!last) {
+      walk.pivot = null;
+      return addDrawVertex(here, "Walk point");
+    }
+    const pivot = walk.pivot;
+    if (pivot && last.distanceTo(pivot) >= WALK_MIN_LEG_M && pivot.distanceTo(here) >= WALK_MIN_LEG_M &&
+        turnDegrees(initialBearingDeg(last, pivot), initialBearingDeg(pivot, here)) >= WALK_TURN_DEG) {
+      addDrawVertex(pivot, "Walk point");
+      walk.pivot = here;
+      return;
+    }
+    if (last.distanceTo(here) >= walk.spacing_m) {
+      walk.pivot = null;
+      return addDrawVertex(here, "Walk point");
+    }
+    if (!pivot || pivot.distanceTo(here) >= WALK_MIN_LEG_M) walk.pivot = here;
+  }
+
+  function turnDegrees(b1, b2) {
+    const d = Math.abs(b2 - b1) % 360;
+    return d > 180 ? 360 - d : d;
+  }
+
+  function dropWalkPoint() {
+    const walk = state.walk;
+    if (!walk?.fix || Date.now() - walk.at > WALK_FIX_MAX_AGE_MS) {
+      return toast(`No GPS fix within ±${WALK_MAX_ACCURACY_M} m yet. Hold still a moment and try again.`, "error");
+    }
+    addDrawVertex(walk.fix, "Drop point");
+    walk.pivot = null;
+    renderWalkControl();
+  }
+
+  function renderWalkControl() {
+    const walk = state.walk;
+    if (!walk) return;
+    const last = state.drawRing[state.drawRing.length - 1];
+    walk.lead.setLatLngs(last && walk.fix ? [last, walk.fix] : []);
+    const status = walk.control.getContainer().querySelector('[data-role="status"]');
+    const pts = `${state.drawRing.length} point(s)`;
+    if (walk.accuracy === null) status.textContent = `Waiting for GPS… • ${pts}`;
+    else if (walk.accuracy > WALK_MAX_ACCURACY_M) {
+      status.textContent = `GPS ±${Math.round(walk.accuracy)} m: too coarse (needs ±${WALK_MAX_ACCURACY_M} m), fix ignored • ${pts}`;
+    } else status.textContent = `GPS ±${Math.round(walk.accuracy)} m • ${pts}`;
+  }
+
+  // ====== F2) Snapping & measuring (snap to other fences / UTM grid, segment labels, ruler) ======
+  // Vertices within config.snapTolerancePx of a displayed fence's vertex (first choice) or edge land
+  // exactly on it, so neighbouring fences share their boundary. The grid rounds UTM easting/northing,
+  // so it lines up with MGRS squares. Typed coordinates and GPS points are never snapped.
+  function loadSnapSettings() {
+    try {
+      return { ...SNAP_DEFAULTS, ...JSON.parse(localStorage.getItem("geofenceSnap") || "{}") };
+    } catch {
+      return { ...SNAP_DEFAULTS };
+    }
+  }
+
+  function saveSnapSettings() {
+    localStorage.setItem("geofenceSnap", JSON.stringify(state.snap));
+  }
+
+  // exclude: the fence whose own handles are moving (it must not snap to itself)
+  function snapLatLng(latlng, exclude = null) {
+    const map = state.leafletMap;
+    let hit = null;
+    if (state.snap.fences) {
+      // Unrounded pixels (latLngToContainerPoint rounds), so an edge hit lies exactly on the edge
+      const p = map.project(latlng);
+      const tol = config.snapTolerancePx;
+      let bestVertex = tol, bestEdge = tol;
+      for (const { rings, bounds } of snapTargets(exclude)) {
+        const nw = map.project(bounds.getNorthWest()), se = map.project(bounds.getSouthEast());
+        if (p.x < nw.x - tol || p.x > se.x + tol || p.y < nw.y - tol || p.y > se.y + tol) continue;
+        for (const ring of rings) {
+          const pts = ring.map((ll) => map.project(ll));
+          pts.forEach((a, i) => {
+            const d = a.distanceTo(p);
+            if (d <= bestVertex) { bestVertex = d; hit = { latlng: ring[i], kind: "vertex" }; }
+            if (hit?.kind === "vertex") return;
+            const b = pts[(i + 1) % pts.length];
+            const q = L.LineUtil.closestPointOnSegment(p, a, b);
+            const de = q.distanceTo(p);
+            if (de <= bestEdge) { bestEdge = de; hit = { latlng: map.unproject(q), kind: "edge" }; }
+          });
+        }
+      }
+    }
+    if (!hit && state.snap.grid) {
+      const u = toUTM(latlng.lat, latlng.lng);
+      const step = state.snap.gridM;
+      if (u) hit = { latlng: fromUTM(u.zone, latlng.lat >= 0, Math.round(u.easting / step) * step, Math.round(u.northing / step) * step), kind: "grid" };
+    }
+    showSnapIndicator(hit);
+    return hit ? hit.latlng : latlng;
+  }
+
+  // Workspace fences plus the server layer while it is shown
+  function snapTargets(exclude) {
+    const out = [];
+    for (const f of state.fences) {
+      if (f === exclude) continue;
+      out.push({ rings: getRingsLatLngs(f.layer), bounds: f.layer.getBounds() });
+    }
+    if (state.leafletMap.hasLayer(state.serverItems)) {
+      for (const row of state.serverFences) {
+        if (exclude && row.fence_id === exclude.fenceId) continue;
+        let cached = snapRowCache.get(row);
+        if (!cached) {
+          const rings = serverRowToLatLngRings(row).filter((r) => r.length >= 3);
+          cached = rings.length ? { rings, bounds: L.latLngBounds(rings[0]) } : null;
+          snapRowCache.set(row, cached);
+        }
+        if (cached) out.push(cached);
       }
+    }
+    return out;
+  }
+  const snapRowCache = new WeakMap(); // server row -> parsed rings (rows are replaced on reload)
+
+  function showSnapIndicator(hit) {
+    clearTimeout(state.snapIndicatorTimer);
+    if (!hit) return state.snapIndicator?.remove();
+    if (!state.snapIndicator) {
+      state.snapIndicator = L.circleMarker(hit.latlng, { radius: 9, color: "#f59e0b", weight: 3, fill: false, interactive: false });
+    }
+    state.snapIndicator.setLatLng(hit.latlng).addTo(state.leafletMap);
+    state.snapIndicatorTimer = setTimeout(() => state.snapIndicator.remove(), 800);
+  }
+
+  // "125 m · 045°": length and initial bearing (true north) of a → b
+  function segmentLabel(a, b) {
+    const bearing = Math.round(initialBearingDeg(a, b)) % 360;
+    return `${formatMeters(haversineMeters(a.lat, a.lng, b.lat, b.lng))} · ${String(bearing).padStart(3, "0")}°`;
+  }
+
+  function labelSegments(group, points, closed) {
+    const n = points.length;
+    const segs = closed && n >= 3 ? n : n - 1;
+    for (let i = 0; i < segs; i++) {
+      const a = points[i], b = points[(i + 1) % n];
+      L.marker(L.latLng((a.lat + b.lat) / 2, (a.lng + b.lng) / 2), {
+        icon: L.divIcon({ className: "segment-label", iconSize: null, html: `<span>${segmentLabel(a, b)}</span>` }),
+        interactive: false,
+        keyboard: false,
+      }).addTo(group);
+    }
+  }
+
+  // Labels on the ring being drawn (circle/rectangle show their size in the stats instead)
+  function renderDrawSegmentLabels() {
+    if (!state.segmentLabels) state.segmentLabels = L.layerGroup().addTo(state.leafletMap);
+    state.segmentLabels.clearLayers();
+    if (state.mode !== "drawing" || !state.snap.lengths || isTwoPointKind(state.drawKind)) return;
+    labelSegments(state.segmentLabels, state.drawRing, state.drawTarget === "hole" || state.drawKind === "polygon");
+  }
+
+  function clearDrawSegmentLabels() {
+    state.segmentLabels?.clearLayers();
+  }
+
+  // --- Ruler: a throwaway polyline, nothing is saved ---
+  function toggleRuler() {
+    if (state.ruler) return stopRuler();
+    if (state.mode === "drawing" || state.mode === "editing" || state.mode === "sending") {
+      return toast("Finish drawing or editing first.", "error");
+    }
+    state.ruler = { points: [], layer: L.layerGroup().addTo(state.leafletMap) };
+    state.leafletMap.on("click", onRulerClick);
+    state.leafletMap.doubleClickZoom.disable();
+    renderRuler();
+    toast("Tap points to measure. Tap Ruler again to finish.", "success", 2400);
+  }
+
+  function stopRuler() {
+    if (!state.ruler) return;
+    state.ruler.layer.remove();
+    state.leafletMap.off("click", onRulerClick);
+    state.leafletMap.doubleClickZoom.enable();
+    state.ruler = null;
+    renderRuler();
+  }
+
+  function onRulerClick(e) {
+    state.ruler.points.push(snapLatLng(e.latlng));
+    renderRuler();
+  }
+
+  function undoRulerPoint() {
+    state.ruler?.points.pop();
+    renderRuler();
+  }
+
+  function renderRuler() {
+    const el = dom.snapControl;
+    const ruler = state.ruler;
+    el.querySelector('[data-act="ruler"]').textContent = ruler ? "Stop ruler" : "Ruler";
+    el.querySelector('[data-act="ruler-undo"]').hidden = !ruler?.points.length;
+    const meta = el.querySelector('[data-role="ruler"]');
+    if (!ruler) { meta.textContent = ""; return; }
+
+    const pts = ruler.points;
+    ruler.layer.clearLayers();
+    L.polyline(pts, { color: "#111827", weight: 2, dashArray: "6 4", interactive: false }).addTo(ruler.layer);
+    pts.forEach((p) => L.circleMarker(p, { radius: 4, color: "#111827", fillColor: "#fff", fillOpacity: 1, weight: 2, interactive: false }).addTo(ruler.layer));
+    labelSegments(ruler.layer, pts, false);
+    let total = 0;
+    for (let i = 1; i < pts.length; i++) total += haversineMeters(pts[i - 1].lat, pts[i - 1].lng, pts[i].lat, pts[i].lng);
+    meta.textContent = pts.length < 2
+      ? "Tap the map to start measuring"
+      : `Total ${formatMeters(total)} over ${pts.length - 1} segment(s). Start → end: ${segmentLabel(pts[0], pts[pts.length - 1])}`;
+  }
+
+  function injectSnapControl() {
+    const SnapControl = L.Control.extend({
+      options: { position: "topleft" },
+      onAdd() {
+        const el = L.DomUtil.create("div", "map-panel snap-panel");
+        el.innerHTML = `
+          <label><input type="checkbox" data-role="fences"> Snap to fences</label>
+          <label><input type="checkbox" data-role="grid"> Grid
+            <input class="input" data-role="gridM" type="number" min="1" max="100000" step="1" inputmode="numeric" aria-label="Grid spacing (m)"> m</label>
+          <label><input type="checkbox" data-role="lengths"> Segment lengths</label>
+          <div style="display:flex;gap:6px;">
+            <button class="btn btn-ghost" type="button" data-act="ruler" title="Measure distances and bearings">Ruler</button>
+            <button class="btn btn-ghost" type="button" data-act="ruler-undo" hidden>Undo point</button>
+          </div>
+          <span class="map-panel__meta" data-role="ruler"></span>
+        `;
+        L.DomEvent.disableClickPropagation(el);
+        L.DomEvent.disableScrollPropagation(el);
+        return el;
+      },
     });
+    const el = (dom.snapControl = new SnapControl().addTo(state.leafletMap).getContainer());
+    const q = (sel) => el.querySelector(sel);
+    q('[data-role="fences"]').checked = state.snap.fences;
+    q('[data-role="grid"]').checked = state.snap.grid;
+    q('[data-role="gridM"]').value = String(state.snap.gridM);
+    q('[data-role="lengths"]').checked = state.snap.lengths;
+    for (const key of ["fences", "grid", "lengths"]) {
+      q(`[data-role="${key}"]`).addEventListener("change", (e) => {
+        state.snap[key] = e.target.checked;
+        saveSnapSettings();
+        if (key === "lengths") renderDrawSegmentLabels();
+      });
+    }
+    q('[data-role="gridM"]').addEventListener("change", (e) => {
+      const v = Number(e.target.value);
+      if (Number.isFinite(v) && v >= 1) state.snap.gridM = v;
+      e.target.value = String(state.snap.gridM);
+      saveSnapSettings();
+    });
+    q('[data-act="ruler"]').addEventListener("click", toggleRuler);
+    q('[data-act="ruler-undo"]').addEventListener("click", undoRulerPoint);
+    renderRuler();
+  }
 
-    m.addTo(state.editLayerGroup);
-    state.midMarkers.push({ marker: m, i, j });
+  // ====== G) Custom EDIT MODE ======
+  function enterCustomEditMode(fromDraw = false) {
+    if (!state.drawnLayer) return;
+    stopRuler();
+
+    cleanupEditLayer();
+    state.editLayerGroup = L.layerGroup().addTo(state.leafletMap);
+    state.vertexMarkers = [];
+    state.midMarkers = [];
+
+    addEditHandles();
+
+    state.mode = "editing";
+    renderButtons();
+    renderShapeParamRow();
+    if (!fromDraw) toast("Drag squares to move. Tap a square to remove, long-press it to type its coordinate. Tap a dot to insert.", "success", 3600);
   }
 
-  function addAllMidMarkers(forDraw) {
-    const ring = (state.mode === "drawing" && forDraw) ? state.drawRing : getRingLatLngs(state.drawnLayer);
-    for (let i = 0; i < ring.length; i++) {
-      const j = (i + 1) % ring.length;
-      addMidMarkerBetween(i, j, forDraw);
+  function exitCustomEditMode(save = true) {
+    if (save && state.drawnLayer) {
+      buildAndRenderPayload();
+      // If we’re editing a loaded queue item, keep UI hint visible in queue panel
     }
+    state.mode = state.drawnLayer ? "ready" : "idle";
+    cleanupEditLayer();
+    renderButtons();
   }
 
-  function refreshAdjacentMidMarkers() {
-    state.midMarkers.forEach(({ marker }) => marker.remove());
+  function cleanupEditLayer() {
+    if (state.editLayerGroup) { state.editLayerGroup.remove(); state.editLayerGroup = null; }
+    state.vertexMarkers = [];
     state.midMarkers = [];
+  }
+
+  // Vertex handles for polygon rings; circle/rectangle/corridor outlines get shape handles instead
+  function addEditHandles() {
+    const fence = getActiveFence();
+    const rings = getRingsLatLngs(state.drawnLayer);
+    rings.forEach((ring, r) => {
+      if (r === 0 && fence?.shape) return;
+      ring.forEach((latlng, i) => addVertexMarker(latlng, i, /*forDraw=*/false, r));
+    });
+    if (fence?.shape) addShapeHandles(fence);
     addAllMidMarkers(/*forDraw=*/false);
   }
 
-  function rebuildHandlesForCurrentMode() {
-    if (!state.editLayerGroup) return;
-    state.vertexMarkers.forEach((m) => m.remove());
-    state.midMarkers.forEach(({ marker }) => marker.remove());
-    state.vertexMarkers = [];
-    state.midMarkers = [];
+  // --- Handles (shared by draw & edit) ---
+  function vertexIcon(color) {
+    return L.divIcon({
+      className: "",
+      iconSize: [VERT_SIZE, VERT_SIZE],
+      html: `<div style="
+        width:${VERT_SIZE}px;height:${VERT_SIZE}px;
+        background:#fff;border:2px solid ${color};border-radius:4px;
+        box-shadow:0 1px 3px rgba(0,0,0,.25);
+      "></div>`,
+    });
+  }
+
+  function midIcon(title = "Add vertex") {
+    return L.divIcon({
+      className: "",
+      iconSize: [MID_SIZE, MID_SIZE],
+      html: `<div style="
+        width:${MID_SIZE}px;height:${MID_SIZE}px;
+        background:#fff;border:2px solid #9aa3af;border-radius:999px;
+        box-shadow:0 1px 2px rgba(0,0,0,.2);
+      " title="${title}"></div>`,
+    });
+  }
+
+  // ringIdx: 0 = outer ring, 1.. = holes (edit mode only; draw mode always works on state.drawRing)
+  function addVertexMarker(latlng, index, forDraw, ringIdx = 0) {
+    const isHole = forDraw ? state.drawTarget === "hole" : ringIdx > 0;
+    const marker = L.marker(latlng, {
+      draggable: true,
+      icon: vertexIcon(isHole ? HOLE_DRAW_STYLE.color : "#3b82f6"),
+      zIndexOffset: 1000,
+    });
+
+    let dragged = false;
+    let held = false; // a long-press opened the popup: the click that follows must not delete
+
+    marker.on("dragstart", () => { dragged = false; cancelPress(); });
+
+    marker.on("drag", (e) => {
+      if (!dragged) checkpoint("Move vertex");
+      dragged = true;
+      const newLL = snapLatLng(e.target.getLatLng(), getActiveFence());
+      e.target.setLatLng(newLL);
+
+      if (state.mode === "drawing" && forDraw) {
+        state.drawRing[index] = newLL;
+        refreshDrawPreviewAndMids();
+        liveUpdateStatsFromRings(getDrawPreviewRings(), getDrawPreviewShape());
+      } else if (state.drawnLayer) {
+        const rings = getRingsLatLngs(state.drawnLayer);
+        rings[ringIdx][index] = newLL;
+        setRingsLatLngs(state.drawnLayer, rings);
+        refreshAdjacentMidMarkers(index);
+        liveUpdateStatsFromRings(rings);
+      }
+    });
+
+    marker.on("dragend", () => {
+      if (state.mode !== "drawing") buildAndRenderPayload();
+    });
+
+    const ref = { forDraw: state.mode === "drawing" && forDraw, ringIdx, index };
+    marker.on("click", () => {
+      if (held) held = false;
+      else if (!dragged) deleteVertex(ref);
+    });
+    // Long-press (touch) or right-click: the coordinate, editable in the chosen format (G2)
+    marker.on("contextmenu", (e) => {
+      L.DomEvent.preventDefault(e.originalEvent);
+      if (held) return; // the long-press timer got there first
+      cancelPress();
+      openVertexPopup(marker, ref);
+    });
+    // iOS Safari fires no contextmenu for a long touch, so time the press here. Moving the finger
+    // starts a drag, which cancels it.
+    let pressTimer = null;
+    function cancelPress() {
+      clearTimeout(pressTimer);
+      pressTimer = null;
+    }
+    marker.on("add", () => {
+      const el = marker.getElement();
+      L.DomEvent.on(el, "touchstart", (e) => {
+        cancelPress();
+        held = false;
+        if (e.touches.length !== 1) return;
+        pressTimer = setTimeout(() => {
+          pressTimer = null;
+          held = true;
+          openVertexPopup(marker, ref);
+        }, VERTEX_LONG_PRESS_MS);
+      });
+      L.DomEvent.on(el, "touchend touchcancel", cancelPress);
+    });
+    marker.on("remove", cancelPress);
+
+    marker.addTo(state.editLayerGroup);
+    state.vertexMarkers.push(marker);
+  }
+
+  function deleteVertex({ forDraw, ringIdx, index }) {
+    if (forDraw) {
+      const min = state.drawKind === "corridor" ? 2 : 3;
+      if (state.drawRing.length <= min) return toast(`Need ≥ ${min} vertices.`, "error");
+      checkpoint("Delete vertex");
+      state.drawRing.splice(index, 1);
+      rebuildHandlesForCurrentMode();
+    } else if (state.drawnLayer) {
+      const rings = getRingsLatLngs(state.drawnLayer);
+      if (rings[ringIdx].length <= 3 && ringIdx === 0) return toast("Need ≥ 3 vertices.", "error");
+      checkpoint("Delete vertex");
+      if (rings[ringIdx].length <= 3) {
+        // Removing a hole's third-to-last vertex removes the hole itself
+        rings.splice(ringIdx, 1);
+        toast("Hole removed.", "success");
+      } else {
+        rings[ringIdx].splice(index, 1);
+      }
+      setRingsLatLngs(state.drawnLayer, rings);
+      rebuildHandlesForCurrentMode();
+      buildAndRenderPayload();
+    }
+  }
+
+  function addMidMarkerBetween(i, j, forDraw, ringIdx = 0) {
+    const ring = (state.mode === "drawing" && forDraw) ? state.drawRing : getRingsLatLngs(state.drawnLayer)[ringIdx];
+    const a = ring[i], b = ring[j];
+    const mid = L.latLng((a.lat + b.lat) / 2, (a.lng + b.lng) / 2);
+    const m = L.marker(mid, {
+      draggable: false,
+      icon: midIcon(),
+      zIndexOffset: 900,
+    });
+
+    m.on("click", () => {
+      checkpoint("Insert vertex");
+      if (state.mode === "drawing" && forDraw) {
+        state.drawRing.splice(j, 0, m.getLatLng());
+        rebuildHandlesForCurrentMode();
+        liveUpdateStatsFromRings(getDrawPreviewRings(), getDrawPreviewShape());
+      } else if (state.drawnLayer) {
+        const rings = getRingsLatLngs(state.drawnLayer);
+        rings[ringIdx].splice(j, 0, m.getLatLng());
+        setRingsLatLngs(state.drawnLayer, rings);
+        rebuildHandlesForCurrentMode();
+        buildAndRenderPayload();
+      }
+    });
+
+    m.addTo(state.editLayerGroup);
+    state.midMarkers.push({ marker: m, i, j, ringIdx });
+  }
+
+  function addAllMidMarkers(forDraw) {
+    if (state.mode === "drawing" && forDraw) {
+      // A corridor centerline is open: no closing segment
+      const n = state.drawRing.length;
+      const segs = state.drawKind === "corridor" ? n - 1 : n;
+      for (let i = 0; i < segs; i++) addMidMarkerBetween(i, (i + 1) % n, forDraw);
+      return;
+    }
+    const fence = getActiveFence();
+    getRingsLatLngs(state.drawnLayer).forEach((ring, r) => {
+      if (r === 0 && fence?.shape) return;
+      for (let i = 0; i < ring.length; i++) {
+        const j = (i + 1) % ring.length;
+        addMidMarkerBetween(i, j, forDraw, r);
+      }
+    });
+    if (fence?.shape?.kind === "corridor") addCorridorMidMarkers(fence);
+  }
+
+  function refreshAdjacentMidMarkers() {
+    state.midMarkers.forEach(({ marker }) => marker.remove());
+    state.midMarkers = [];
+    addAllMidMarkers(/*forDraw=*/false);
+  }
+
+  function rebuildHandlesForCurrentMode() {
+    if (!state.editLayerGroup) return;
+    state.vertexMarkers.forEach((m) => m.remove());
+    state.midMarkers.forEach(({ marker }) => marker.remove());
+    state.vertexMarkers = [];
+    state.midMarkers = [];
+
+    if (state.mode === "drawing") {
+      state.drawRing.forEach((ll, i) => addVertexMarker(ll, i, /*forDraw=*/true));
+      if (state.drawShape) addDrawAnchorMarker();
+      refreshDrawPreviewAndMids();
+    } else if (state.drawnLayer) {
+      addEditHandles();
+    }
+  }
+
+  // --- Shape handles (circle center/radius, rectangle corners, corridor centerline) ---
+  function addShapeHandles(fence) {
+    const sh = fence.shape;
+    const handles = [];
+    const add = (pos, set, { round = false, onTap = null } = {}) => {
+      const marker = L.marker(pos(), {
+        draggable: true,
+        icon: round ? midIcon("Drag to resize") : vertexIcon("#3b82f6"),
+        zIndexOffset: 1000,
+      });
+      let dragged = false;
+      marker.on("dragstart", () => { dragged = false; });
+      marker.on("drag", (e) => {
+        if (!dragged) checkpoint(round ? "Resize" : "Move handle");
+        dragged = true;
+        set(snapLatLng(e.target.getLatLng(), fence));
+        applyFenceShape(fence);
+        handles.forEach((h) => { if (h.marker !== marker) h.marker.setLatLng(h.pos()); });
+        refreshAdjacentMidMarkers();
+        liveUpdateStatsFromRings(getRingsLatLngs(fence.layer));
+      });
+      marker.on("dragend", () => {
+        marker.setLatLng(pos());
+        buildAndRenderPayload();
+        renderShapeParamRow();
+      });
+      if (onTap) marker.on("click", () => { if (!dragged) onTap(); });
+      marker.addTo(state.editLayerGroup);
+      state.vertexMarkers.push(marker);
+      handles.push({ marker, pos });
+    };
+
+    if (sh.kind === "circle") {
+      add(() => sh.center, (ll) => { sh.center = ll; });
+      add(() => destinationLL(sh.center, sh.radius_m, 90), (ll) => {
+        sh.radius_m = Math.max(haversineMeters(sh.center.lat, sh.center.lng, ll.lat, ll.lng), 1);
+      }, { round: true });
+    } else if (sh.kind === "rectangle") {
+      // Corner k takes its lat from corners[latIdx] and its lng from corners[lngIdx]
+      [[0, 0], [0, 1], [1, 1], [1, 0]].forEach(([latIdx, lngIdx]) => {
+        add(() => L.latLng(sh.corners[latIdx].lat, sh.corners[lngIdx].lng), (ll) => {
+          sh.corners[latIdx] = L.latLng(ll.lat, sh.corners[latIdx].lng);
+          sh.corners[lngIdx] = L.latLng(sh.corners[lngIdx].lat, ll.lng);
+        });
+      });
+    } else if (sh.kind === "corridor") {
+      sh.line.forEach((_, k) => {
+        add(() => sh.line[k], (ll) => { sh.line[k] = ll; }, {
+          onTap: () => {
+            if (sh.line.length <= 2) return toast("Need ≥ 2 points.", "error");
+            checkpoint("Delete point");
+            sh.line.splice(k, 1);
+            applyFenceShape(fence);
+            rebuildHandlesForCurrentMode();
+            buildAndRenderPayload();
+          },
+        });
+      });
+    }
+  }
+
+  function addCorridorMidMarkers(fence) {
+    const line = fence.shape.line;
+    for (let i = 0; i < line.length - 1; i++) {
+      const a = line[i], b = line[i + 1];
+      const m = L.marker(L.latLng((a.lat + b.lat) / 2, (a.lng + b.lng) / 2), {
+        draggable: false,
+        icon: midIcon(),
+        zIndexOffset: 900,
+      });
+      m.on("click", () => {
+        checkpoint("Insert point");
+        line.splice(i + 1, 0, m.getLatLng());
+        applyFenceShape(fence);
+        rebuildHandlesForCurrentMode();
+        buildAndRenderPayload();
+      });
+      m.addTo(state.editLayerGroup);
+      state.midMarkers.push({ marker: m, i, j: i + 1, ringIdx: 0 });
+    }
+  }
+
+  // Regenerates the outer ring from the fence's shape parameters; holes are kept
+  function applyFenceShape(fence) {
+    const rings = getRingsLatLngs(fence.layer);
+    rings[0] = shapeToOuterRing(fence.shape);
+    setRingsLatLngs(fence.layer, rings);
+  }
+
+  // Radius (circle) / half-width (corridor) as a typed number, for "300 m around this point"
+  function renderShapeParamRow() {
+    const drawingCorridor = state.mode === "drawing" && state.drawTarget === "outer" && state.drawKind === "corridor";
+    const shape = state.mode === "drawing" ? null : getActiveFence()?.shape;
+    let label = null, value = null;
+    if (drawingCorridor) {
+      label = "Corridor half-width (m, each side)"; value = state.corridorHalfWidth;
+    } else if (shape?.kind === "corridor") {
+      label = "Corridor half-width (m, each side)"; value = shape.half_width_m;
+    } else if (shape?.kind === "circle") {
+      label = "Circle radius (m)"; value = shape.radius_m;
+    }
+    dom.shapeParamRow.classList.toggle("is-hidden", label === null);
+    if (label === null) return;
+    dom.shapeParamLabel.textContent = label;
+    if (document.activeElement !== dom.shapeParam) dom.shapeParam.value = String(Math.round(value));
+  }
+
+  function onShapeParamInput(e) {
+    const v = Number(e.target.value);
+    if (!isFinite(v) || v < 1) return;
+    // merge: typing "300" is one undo step, not three
+    if (state.mode === "drawing") {
+      checkpoint("Half-width", { merge: true });
+      state.corridorHalfWidth = v;
+      refreshDrawPreviewAndMids();
+      liveUpdateStatsFromRings(getDrawPreviewRings(), getDrawPreviewShape());
+      return;
+    }
+    const fence = getActiveFence();
+    if (!fence?.shape) return;
+    checkpoint(fence.shape.kind === "circle" ? "Radius" : "Half-width", { merge: true });
+    if (fence.shape.kind === "circle") fence.shape.radius_m = v;
+    else if (fence.shape.kind === "corridor") fence.shape.half_width_m = v;
+    applyFenceShape(fence);
+    rebuildHandlesForCurrentMode();
+    buildAndRenderPayload();
+  }
+
+  // ====== G1) Undo / Redo ======
+  // Snapshot commands: checkpoint() stores the geometry *before* a mutation and undo swaps it with the
+  // current one. While drawing, the stack covers the ring being placed; otherwise it belongs to the
+  // active fence and is cleared when that fence is sent or removed.
+  function newHistory() {
+    return { undo: [], redo: [] };
+  }
+
+  function getHistory() {
+    if (state.mode === "drawing") return state.drawHistory;
+    return getActiveFence()?.history || null;
+  }
+
+  function checkpoint(label, { merge = false } = {}) {
+    const history = getHistory();
+    if (history) pushHistory(history, label, takeSnapshot(), { merge });
+  }
+
+  function pushHistory(history, label, snap, { merge = false } = {}) {
+    const last = history.undo[history.undo.length - 1];
+    if (merge && last?.label === label && !history.redo.length && Date.now() - last.at < 1500) {
+      last.at = Date.now();
+      return;
+    }
+    history.undo.push({ label, at: Date.now(), snap });
+    if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+    history.redo = [];
+    renderButtons();
+  }
+
+  function undo() { stepHistory("undo", "redo"); }
+  function redo() { stepHistory("redo", "undo"); }
+
+  function stepHistory(from, to) {
+    if (state.mode === "sending") return;
+    const history = getHistory();
+    const entry = history?.[from].pop();
+    if (!entry) return;
+    history[to].push({ label: entry.label, at: 0, snap: takeSnapshot() });
+    restoreSnapshot(entry.snap);
+    toast(`${from === "undo" ? "Undo" : "Redo"}: ${entry.label}`, "success", 1200);
+    renderButtons();
+  }
+
+  function takeSnapshot() {
+    if (state.mode !== "drawing") return snapshotFence(getActiveFence());
+    return { ring: [...state.drawRing], shape: cloneShape(state.drawShape), halfWidth: state.corridorHalfWidth };
+  }
+
+  function snapshotFence(fence) {
+    return { rings: getRingsLatLngs(fence.layer), shape: cloneShape(fence.shape) };
+  }
+
+  function restoreSnapshot(snap) {
+    if (state.mode === "drawing") {
+      state.drawRing = snap.ring;
+      state.drawShape = snap.shape;
+      state.corridorHalfWidth = snap.halfWidth;
+      rebuildHandlesForCurrentMode();
+      renderShapeParamRow();
+      liveUpdateStatsFromRings(getDrawPreviewRings(), getDrawPreviewShape());
+      return;
+    }
+    const fence = getActiveFence();
+    fence.shape = snap.shape;
+    setRingsLatLngs(fence.layer, snap.rings);
+    rebuildHandlesForCurrentMode();
+    renderShapeParamRow();
+    buildAndRenderPayload();
+  }
+
+  // Shapes hold LatLngs that handles mutate in place, so snapshots need their own copies
+  function cloneShape(sh) {
+    if (!sh) return null;
+    const copy = (ll) => L.latLng(ll.lat, ll.lng);
+    const out = { ...sh };
+    if (sh.center) out.center = copy(sh.center);
+    if (sh.corners) out.corners = sh.corners.map(copy);
+    if (sh.line) out.line = sh.line.map(copy);
+    return out;
+  }
+
+  function onHistoryKey(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest?.("input, textarea, select")) return; // keep native text undo
+    const key = e.key.toLowerCase();
+    if (key === "z") {
+      e.preventDefault();
+      if (e.shiftKey) redo(); else undo();
+    } else if (key === "y") {
+      e.preventDefault();
+      redo();
+    }
+  }
+
+  // ====== G2) Coordinates (DD / DMS / UTM / MGRS: entry panel, vertex popups, cursor readout) ======
+  // UTM/MGRS on WGS84 via Krüger's series (sub-millimetre within a zone). Polar UPS zones (MGRS A/B/Y/Z)
+  // are not supported: UTM covers 80°S–84°N.
+  const UTM_K0 = 0.9996;
+  const UTM_BANDS = "CDEFGHJKLMNPQRSTUVWX"; // 8° each from 80°S; X is 12° (72–84°N)
+  const MGRS_COLUMN_SETS = ["ABCDEFGH", "JKLMNPQR", "STUVWXYZ"]; // by (zone - 1) % 3
+  const MGRS_ROWS = "ABCDEFGHJKLMNPQRSTUV";                      // shifted by 5 in even zones
+  const UTM_SERIES = (() => {
+    const n = WGS84_F / (2 - WGS84_F), n2 = n * n, n3 = n2 * n, n4 = n3 * n;
+    return {
+      A: (WGS84_A / (1 + n)) * (1 + n2 / 4 + n4 / 64),
+      alpha: [n / 2 - (2 * n2) / 3 + (5 * n3) / 16 + (41 * n4) / 180, (13 * n2) / 48 - (3 * n3) / 5 + (557 * n4) / 1440,
+        (61 * n3) / 240 - (103 * n4) / 140, (49561 * n4) / 161280],
+      beta: [n / 2 - (2 * n2) / 3 + (37 * n3) / 96 - n4 / 360, n2 / 48 + n3 / 15 - (437 * n4) / 1440,
+        (17 * n3) / 480 - (37 * n4) / 840, (4397 * n4) / 161280],
+      delta: [2 * n - (2 * n2) / 3 - 2 * n3 + (116 * n4) / 45, (7 * n2) / 3 - (8 * n3) / 5 - (227 * n4) / 45,
+        (56 * n3) / 15 - (136 * n4) / 35, (4279 * n4) / 630],
+    };
+  })();
+
+  function formatCoord(latlng, format = config.coordFormat) {
+    const { lat, lng } = latlng;
+    if (format === "dms") return `${dmsPart(lat, "N", "S")} ${dmsPart(wrapDeltaLon(lng), "E", "W")}`;
+    if (format === "utm" || format === "mgrs") {
+      const u = toUTM(lat, lng);
+      if (!u) return "Outside UTM (polar)";
+      if (format === "mgrs") return toMGRS(u);
+      return `${u.zone}${u.band} ${Math.round(u.easting)}mE ${Math.round(u.northing)}mN`;
+    }
+    return `${lat.toFixed(6)}, ${wrapDeltaLon(lng).toFixed(6)}`;
+  }
+
+  // 38°53'22.20"N; rounded on hundredths of a second so 59.999" never shows as 60"
+  function dmsPart(value, pos, neg) {
+    const cs = Math.round(Math.abs(value) * 360000);
+    const d = Math.floor(cs / 360000), m = Math.floor((cs % 360000) / 6000), s = (cs % 6000) / 100;
+    return `${d}°${String(m).padStart(2, "0")}'${s.toFixed(2).padStart(5, "0")}"${value < 0 ? neg : pos}`;
+  }
+
+  function utmZone(lat, lon) {
+    lon = wrapDeltaLon(lon);
+    if (lat >= 56 && lat < 64 && lon >= 3 && lon < 12) return 32; // southern Norway
+    if (lat >= 72 && lat < 84 && lon >= 0 && lon < 42) return lon < 9 ? 31 : lon < 21 ? 33 : lon < 33 ? 35 : 37; // Svalbard
+    return Math.min(60, Math.floor((lon + 180) / 6) + 1);
+  }
+
+  function toUTM(lat, lon, zone = utmZone(lat, lon)) {
+    if (!(lat >= -80 && lat < 84)) return null;
+    const toR = Math.PI / 180, e = WGS84_E, { A, alpha } = UTM_SERIES;
+    const lam = wrapDeltaLon(lon - (zone * 6 - 183)) * toR;
+    const sinPhi = Math.sin(lat * toR);
+    const t = Math.sinh(Math.atanh(sinPhi) - e * Math.atanh(e * sinPhi));
+    const xiP = Math.atan2(t, Math.cos(lam));
+    const etaP = Math.atanh(Math.sin(lam) / Math.sqrt(1 + t * t));
+    let x = etaP, y = xiP;
+    alpha.forEach((a, j) => {
+      const k = 2 * (j + 1);
+      x += a * Math.cos(k * xiP) * Math.sinh(k * etaP);
+      y += a * Math.sin(k * xiP) * Math.cosh(k * etaP);
+    });
+    return {
+      zone,
+      band: UTM_BANDS[Math.min(19, Math.floor((lat + 80) / 8))],
+      easting: 500000 + UTM_K0 * A * x,
+      northing: (lat < 0 ? 10000000 : 0) + UTM_K0 * A * y,
+    };
+  }
+
+  function fromUTM(zone, northern, easting, northing) {
+    const toD = 180 / Math.PI, { A, beta, delta } = UTM_SERIES;
+    const xi = (northing - (northern ? 0 : 10000000)) / (UTM_K0 * A);
+    const eta = (easting - 500000) / (UTM_K0 * A);
+    let xiP = xi, etaP = eta;
+    beta.forEach((b, j) => {
+      const k = 2 * (j + 1);
+      xiP -= b * Math.sin(k * xi) * Math.cosh(k * eta);
+      etaP -= b * Math.cos(k * xi) * Math.sinh(k * eta);
+    });
+    const chi = Math.asin(Math.sin(xiP) / Math.cosh(etaP));
+    const phi = delta.reduce((p, d, j) => p + d * Math.sin(2 * (j + 1) * chi), chi);
+    return L.latLng(phi * toD, wrapDeltaLon(zone * 6 - 183 + Math.atan2(Math.sinh(etaP), Math.cos(xiP)) * toD));
+  }
+
+  // "18S UJ 23480 06470": 1 m digits, truncated (the point lies in the square the reference names)
+  function toMGRS(u, digits = 5) {
+    const col = MGRS_COLUMN_SETS[(u.zone - 1) % 3][Math.floor(u.easting / 1e5) - 1];
+    const row = MGRS_ROWS[(Math.floor(u.northing / 1e5) + (u.zone % 2 ? 0 : 5)) % 20];
+    const scale = 10 ** (5 - digits);
+    const part = (v) => String(Math.floor((v % 1e5) / scale)).padStart(digits, "0");
+    return `${u.zone}${u.band} ${col}${row} ${part(u.easting)} ${part(u.northing)}`;
+  }
+
+  // Text → { latlng, format }. Throws an Error whose message can go straight to the operator.
+  function parseCoord(text) {
+    const s = String(text).toUpperCase()
+      .replace(/[′’‘`]/g, "'").replace(/[″”“]|''/g, '"').replace(/º/g, "°")
+      .replace(/\s+/g, " ").trim();
+    if (!s) throw new Error("Enter a coordinate.");
+    let m = s.match(/^(?:MGRS )?(\d{1,2}) ?([C-HJ-NP-X]) ?([A-HJ-NP-Z]) ?([A-HJ-NP-V]) ?(\d*) ?(\d*)$/);
+    if (m) return { latlng: parseMGRS(m), format: "mgrs" };
+    if (/^(?:MGRS )?[ABYZ] ?[A-Z]{2} ?\d/.test(s)) throw new Error("Polar (UPS) grid references are not supported.");
+    m = s.match(/^(?:UTM )?(\d{1,2}) ?([C-HJ-NP-X]) (\d+(?:\.\d+)?) ?(?:ME)?(?:, ?| )(\d+(?:\.\d+)?) ?(?:MN)?$/);
+    if (m) return { latlng: parseUTM(m), format: "utm" };
+    return parseLatLon(s);
+  }
+
+  function parseMGRS([, zoneText, band, col, row, d1, d2]) {
+    const zone = Number(zoneText);
+    if (zone < 1 || zone > 60) throw new Error(`MGRS zone ${zone} does not exist (1–60).`);
+    let e = d1, n = d2;
+    if (!d2) {
+      if (d1.length % 2) throw new Error("MGRS needs the same number of easting and northing digits.");
+      e = d1.slice(0, d1.length / 2);
+      n = d1.slice(d1.length / 2);
+    }
+    if (e.length !== n.length || e.length > 5) throw new Error("MGRS needs 0–5 easting digits and as many northing digits.");
+    const ci = MGRS_COLUMN_SETS[(zone - 1) % 3].indexOf(col);
+    if (ci < 0) throw new Error(`Column letter ${col} is not used in zone ${zone}.`);
+    const ri = (MGRS_ROWS.indexOf(row) - (zone % 2 ? 0 : 5) + 20) % 20;
+    // Center of the named square: half its size off the south-west corner
+    const scale = 10 ** (5 - e.length);
+    const easting = (ci + 1) * 1e5 + Number(e || 0) * scale + scale / 2;
+    let northing = ri * 1e5 + Number(n || 0) * scale + scale / 2;
+    // The row letters repeat every 2000 km; the band says which repeat. 100 km of slack covers
+    // parallels curving away from the central meridian.
+    const bandSouth = -80 + UTM_BANDS.indexOf(band) * 8;
+    const minNorthing = toUTM(bandSouth, zone * 6 - 183, zone).northing - 1e5;
+    while (northing < minNorthing) northing += 2e6;
+    return fromUTM(zone, band >= "N", easting, northing);
+  }
+
+  // The letter after the zone is read as a latitude band ("18S" = band S, north). "N"/"S" can also
+  // mean the hemisphere; a band S position outside 32–40°N is taken as southern hemisphere.
+  function parseUTM([, zoneText, letter, eText, nText]) {
+    const zone = Number(zoneText), easting = Number(eText), northing = Number(nText);
+    if (zone < 1 || zone > 60) throw new Error(`UTM zone ${zone} does not exist (1–60).`);
+    if (easting < 100000 || easting > 900000) throw new Error("UTM easting must be 100000–900000 m.");
+    if (northing < 0 || northing > 10000000) throw new Error("UTM northing must be 0–10000000 m.");
+    let northern = letter >= "N";
+    if (letter === "S") {
+      const lat = fromUTM(zone, true, easting, northing).lat;
+      northern = lat >= 32 && lat < 40;
+    }
+    return fromUTM(zone, northern, easting, northing);
+  }
+
+  // Decimal degrees or degrees/minutes/seconds, latitude first unless N/S/E/W say otherwise:
+  // "38.8895, -77.0353", "38°53'22.2"N 77°02'07"W", "N38 53 22.2 W77 2 7", "385322N 0770207W"
+  function parseLatLon(s) {
+    const compact = s.match(/^(\d{4,6}(?:\.\d+)?) ?([NS]),? ?(\d{5,7}(?:\.\d+)?) ?([EW])$/);
+    if (compact) {
+      const part = (digits, degLen) => {
+        const [int, frac = ""] = digits.split(".");
+        const nums = [int.slice(0, degLen), int.slice(degLen, degLen + 2), int.slice(degLen + 2) + (frac && `.${frac}`)];
+        return nums.filter(Boolean).map(Number);
+      };
+      return finishLatLon([
+        { nums: part(compact[1], 2), hemi: compact[2] },
+        { nums: part(compact[3], 3), hemi: compact[4] },
+      ], "dms");
+    }
+
+    const tokens = [];
+    const re = / ?(?:([NSEW])|([-+]?\d+(?:\.\d+)?) ?([°'":])?|([,;])) ?/y;
+    while (re.lastIndex < s.length) {
+      const m = re.exec(s);
+      if (!m) throw new Error("Not a coordinate this app reads (decimal degrees, DMS, UTM or MGRS).");
+      tokens.push(m[1] ? { hemi: m[1] } : m[4] ? { sep: true } : { num: Number(m[2]), unit: m[3] });
+    }
+
+    let parts;
+    const sepAt = tokens.findIndex((t) => t.sep);
+    const hemis = tokens.filter((t) => t.hemi);
+    if (sepAt !== -1) {
+      parts = [tokens.slice(0, sepAt), tokens.slice(sepAt + 1)];
+    } else if (hemis.length === 2) {
+      const cut = tokens[0].hemi ? tokens.indexOf(hemis[1]) : tokens.indexOf(hemis[0]) + 1;
+      parts = [tokens.slice(0, cut), tokens.slice(cut)];
+    } else {
+      const degAt = tokens.findIndex((t, i) => i > 0 && t.unit === "°");
+      const half = tokens.length / 2;
+      if (degAt !== -1) parts = [tokens.slice(0, degAt), tokens.slice(degAt)];
+      else if (!hemis.length && [2, 4, 6].includes(tokens.length)) parts = [tokens.slice(0, half), tokens.slice(half)];
+      else throw new Error("Give a latitude and a longitude.");
+    }
+    const comps = parts.map((list) => {
+      const nums = list.filter((t) => "num" in t).map((t) => t.num);
+      const letters = list.filter((t) => t.hemi);
+      if (letters.length > 1 || list.some((t) => t.sep)) throw new Error("Give a latitude and a longitude.");
+      return { nums, hemi: letters[0]?.hemi };
+    });
+    return finishLatLon(comps, comps.some((c) => c.nums.length > 1) ? "dms" : "dd");
+  }
+
+  function finishLatLon(comps, format) {
+    const values = comps.map(({ nums, hemi }) => {
+      if (!nums.length || nums.length > 3) throw new Error("Use degrees, degrees and minutes, or degrees, minutes and seconds.");
+      const [deg, min = 0, sec = 0] = nums;
+      if (nums.length > 1 && !Number.isInteger(deg)) throw new Error("Only the last of degrees/minutes/seconds can have decimals.");
+      if (nums.length > 2 && !Number.isInteger(min)) throw new Error("Only the last of degrees/minutes/seconds can have decimals.");
+      if (min < 0 || min >= 60 || sec < 0 || sec >= 60) throw new Error("Minutes and seconds must be below 60.");
+      const abs = Math.abs(deg) + min / 60 + sec / 3600;
+      const negative = deg < 0 || Object.is(deg, -0) || hemi === "S" || hemi === "W";
+      return { value: negative ? -abs : abs, axis: hemi ? (hemi === "N" || hemi === "S" ? "lat" : "lon") : null };
+    });
+    if (values[0].axis && values[0].axis === values[1].axis) throw new Error("Give one latitude (N/S) and one longitude (E/W).");
+    const latFirst = values[0].axis ? values[0].axis === "lat" : values[1].axis !== "lat";
+    const [lat, lon] = latFirst ? [values[0].value, values[1].value] : [values[1].value, values[0].value];
+    if (Math.abs(lat) > 90) throw new Error("Latitude must be within ±90°.");
+    if (Math.abs(lon) > 180) throw new Error("Longitude must be within ±180°.");
+    return { latlng: L.latLng(lat, lon), format };
+  }
+
+  // --- Vertex moves shared by the popups and the panel ---
+  // ref: { forDraw, ringIdx, index } as in addVertexMarker()
+  function moveVertexTo(ref, latlng) {
+    checkpoint("Move vertex");
+    if (ref.forDraw) {
+      state.drawRing[ref.index] = latlng;
+      rebuildHandlesForCurrentMode();
+      liveUpdateStatsFromRings(getDrawPreviewRings(), getDrawPreviewShape());
+      return;
+    }
+    const rings = getRingsLatLngs(state.drawnLayer);
+    rings[ref.ringIdx][ref.index] = latlng;
+    setRingsLatLngs(state.drawnLayer, rings);
+    rebuildHandlesForCurrentMode();
+    buildAndRenderPayload();
+  }
+
+  // Long-press / right-click on a vertex handle
+  function openVertexPopup(marker, ref) {
+    const el = document.createElement("form");
+    el.className = "vertex-popup";
+    const ringName = ref.forDraw ? "" : ref.ringIdx ? ` (hole ${ref.ringIdx})` : "";
+    el.innerHTML = `
+      <strong>Vertex ${ref.index + 1}${ringName}</strong>
+      <input class="input" data-role="coord" spellcheck="false" autocomplete="off" aria-label="Coordinate" />
+      <span data-role="msg" class="map-panel__meta"></span>
+      <div style="display:flex;gap:6px;justify-content:flex-end;">
+        <button class="btn btn-ghost" type="button" data-act="delete">Delete</button>
+        <button class="btn btn-primary" type="submit">Move</button>
+      </div>
+    `;
+    const input = el.querySelector('[data-role="coord"]');
+    const msg = el.querySelector('[data-role="msg"]');
+    input.value = formatCoord(marker.getLatLng());
+    msg.textContent = COORD_FORMATS[config.coordFormat];
+    el.addEventListener("submit", (e) => {
+      e.preventDefault();
+      try {
+        const { latlng } = parseCoord(input.value);
+        state.leafletMap.closePopup();
+        moveVertexTo(ref, latlng);
+      } catch (err) {
+        msg.textContent = err.message;
+      }
+    });
+    el.querySelector('[data-act="delete"]').addEventListener("click", () => {
+      state.leafletMap.closePopup();
+      deleteVertex(ref);
+    });
+    L.DomEvent.disableClickPropagation(el);
+    L.popup({ offset: [0, -VERT_SIZE / 2] }).setLatLng(marker.getLatLng()).setContent(el).openOn(state.leafletMap);
+    input.select();
+  }
+
+  // --- Entry panel ---
+  function openCoordPanel() {
+    ensureCoordPanel();
+    dom.coordPanel.classList.remove("is-hidden");
+    renderCoordPanel();
+    renderSheet(true);
+    dom.coordPanel.querySelector('[data-role="input"]').focus();
+  }
+
+  function ensureCoordPanel() {
+    if (dom.coordPanel) return;
+    const panel = document.createElement("div");
+    panel.className = "sheet__row is-hidden";
+    panel.innerHTML = `
+      <div style="display:flex;align-items:center;justify-content:space-between;">
+        <h3 style="margin:0;font-size:16px;">Enter coordinates</h3>
+        <button class="btn" type="button" data-act="close">Close</button>
+      </div>
+      <textarea class="codearea" data-role="input" rows="3" spellcheck="false" autocomplete="off"
+        placeholder="One per line: 18S UJ 23478 06483 · 18S 323478mE 4306483mN · 38°53'22&quot;N 77°02'07&quot;W · 38.8895, -77.0353"></textarea>
+      <div data-role="parsed" style="display:grid;gap:2px;font-size:12px;color:var(--muted);"></div>
+      <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
+        <select class="input" data-role="target" aria-label="What to do with the coordinates" style="flex:1;min-width:180px;"></select>
+        <select class="input" data-role="format" aria-label="Show coordinates as">${coordFormatOptions()}</select>
+        <button class="btn btn-primary" type="button" data-act="apply">Apply</button>
+      </div>
+    `;
+    dom.infoSheet.querySelector(".sheet__content").appendChild(panel);
+    dom.coordPanel = panel;
+    const q = (sel) => panel.querySelector(sel);
+    q('[data-act="close"]').addEventListener("click", () => panel.classList.add("is-hidden"));
+    q('[data-role="input"]').addEventListener("input", renderCoordParsed);
+    q('[data-role="format"]').addEventListener("change", (e) => saveSetting("coordFormat", e.target.value));
+    q('[data-act="apply"]').addEventListener("click", applyCoordEntry);
+  }
+
+  function coordFormatOptions() {
+    return Object.entries(COORD_FORMATS).map(([id, label]) => `<option value="${id}">${label}</option>`).join("");
+  }
+
+  // Like the units select: a format fixed by the page URL can't be changed from here
+  function renderCoordFormatSelect(select) {
+    select.value = config.coordFormat;
+    select.disabled = "coordFormat" in state.configQuery;
+    select.title = select.disabled ? "Set by the page URL" : "";
+  }
+
+  function renderCoordPanel() {
+    if (!dom.coordPanel || dom.coordPanel.classList.contains("is-hidden")) return;
+    const select = dom.coordPanel.querySelector('[data-role="target"]');
+    const prev = select.value;
+    select.innerHTML = coordTargets().map((t) => `<option value="${t.id}">${escapeHTML(t.label)}</option>`).join("");
+    if ([...select.options].some((o) => o.value === prev)) select.value = prev;
+    renderCoordFormatSelect(dom.coordPanel.querySelector('[data-role="format"]'));
+    renderCoordParsed();
+  }
+
+  // What Apply can do in the current mode: add vertices, move one, or just go there
+  function coordTargets() {
+    const targets = [];
+    const fence = getActiveFence();
+    if (state.mode === "drawing") {
+      targets.push({ id: "add", label: isTwoPointKind(state.drawKind) ? "Place points of the shape" : "Add vertices to this drawing" });
+      if (!isTwoPointKind(state.drawKind)) {
+        state.drawRing.forEach((_, i) => targets.push({ id: `move:d:${i}`, label: `Move vertex ${i + 1}` }));
+      }
+    } else if (fence && state.mode !== "sending") {
+      getRingsLatLngs(fence.layer).forEach((ring, r) => {
+        if (r === 0 && fence.shape) return;
+        if (r === 0) targets.push({ id: "add", label: `Insert vertices into "${fence.name || "this fence"}"` });
+        ring.forEach((_, i) => targets.push({ id: `move:${r}:${i}`, label: `Move vertex ${i + 1}${r ? ` (hole ${r})` : ""}` }));
+      });
+    }
+    if (state.mode !== "drawing" && state.mode !== "sending" && !targets.length) {
+      targets.push({ id: "add", label: `Start a new ${coordDrawChoice()} with these` });
+    }
+    targets.push({ id: "goto", label: "Center the map there" });
+    return targets;
+  }
+
+  // A walked perimeter takes its points from GPS, so typed ones start a plain polygon
+  function coordDrawChoice() {
+    const choice = dom.drawShape.value || "polygon";
+    return choice === "walk" ? "polygon" : choice;
+  }
+
+  function renderCoordParsed() {
+    const lines = dom.coordPanel.querySelector('[data-role="input"]').value.split("\n").filter((l) => l.trim());
+    dom.coordPanel.querySelector('[data-role="parsed"]').innerHTML = lines.map((line, i) => {
+      try {
+        const { latlng, format } = parseCoord(line);
+        const shown = format === config.coordFormat ? formatCoord(latlng, "dd") : formatCoord(latlng);
+        return `<span>${i + 1}. ${COORD_FORMATS[format]} → ${escapeHTML(shown)}</span>`;
+      } catch (err) {
+        return `<span style="color:#dc2626;">${i + 1}. ${escapeHTML(err.message)}</span>`;
+      }
+    }).join("");
+  }
+
+  function applyCoordEntry() {
+    const q = (sel) => dom.coordPanel.querySelector(sel);
+    const lines = q('[data-role="input"]').value.split("\n").filter((l) => l.trim());
+    if (!lines.length) return toast("Enter at least one coordinate.", "error");
+    let points;
+    try {
+      points = lines.map((line, i) => {
+        try { return parseCoord(line).latlng; } catch (err) { throw new Error(`Line ${i + 1}: ${err.message}`); }
+      });
+    } catch (err) {
+      return toast(err.message, "error", 3200);
+    }
+    const target = q('[data-role="target"]').value;
+
+    if (target === "goto") {
+      state.userMovedMap = true;
+      state.leafletMap.setView(points[0], Math.max(state.leafletMap.getZoom(), 16));
+    } else if (target.startsWith("move:")) {
+      if (points.length > 1) return toast("Moving a vertex takes one coordinate.", "error");
+      const [, ring, index] = target.split(":");
+      moveVertexTo(ring === "d" ? { forDraw: true, ringIdx: 0, index: Number(index) } : { forDraw: false, ringIdx: Number(ring), index: Number(index) }, points[0]);
+    } else {
+      addCoordVertices(points);
+    }
+    q('[data-role="input"]').value = "";
+    renderCoordPanel();
+  }
+
+  // Stops at maxVertices (a hole shares the limit with the rest of its fence); the toast says how many went in
+  function addCoordVertices(points) {
+    if (state.mode === "drawing") {
+      const used = state.drawTarget === "hole" ? getRingsLatLngs(state.drawnLayer).reduce((n, r) => n + r.length, 0) : 0;
+      let added = 0, why = "";
+      for (const latlng of points) {
+        if (state.mode !== "drawing") { why = "the shape is complete"; break; } // a circle/rectangle finishes on its second point
+        if (!isTwoPointKind(state.drawKind) && used + state.drawRing.length >= config.maxVertices) {
+          why = `the fence is at the ${config.maxVertices}-vertex limit`;
+          break;
+        }
+        placeDrawPoint(latlng);
+        added++;
+      }
+      return toastCoordsAdded(`Added ${added}`, points.length, why);
+    }
+    const fence = getActiveFence();
+    if (!fence || fence.shape) {
+      startCustomDraw(coordDrawChoice());
+      return addCoordVertices(points);
+    }
+    // Into the active fence's boundary, each on the edge where it adds the least length
+    if (state.mode !== "editing") enterCustomEditMode(true);
+    const rings = getRingsLatLngs(fence.layer);
+    const room = Math.max(config.maxVertices - rings.reduce((n, r) => n + r.length, 0), 0);
+    const fits = points.slice(0, room);
+    if (!fits.length) return toastCoordsAdded("Inserted 0", points.length, `the fence is at the ${config.maxVertices}-vertex limit`);
+    checkpoint("Insert vertex");
+    for (const latlng of fits) {
+      const ring = rings[0];
+      let best = 0, bestCost = Infinity;
+      ring.forEach((a, i) => {
+        const b = ring[(i + 1) % ring.length];
+        const cost = a.distanceTo(latlng) + latlng.distanceTo(b) - a.distanceTo(b);
+        if (cost < bestCost) { bestCost = cost; best = i + 1; }
+      });
+      ring.splice(best, 0, latlng);
+    }
+    setRingsLatLngs(fence.layer, rings);
+    rebuildHandlesForCurrentMode();
+    buildAndRenderPayload();
+    renderButtons();
+    toastCoordsAdded(`Inserted ${fits.length}`, points.length, fits.length < points.length ? `the fence is at the ${config.maxVertices}-vertex limit` : "");
+  }
+
+  function toastCoordsAdded(done, total, why) {
+    if (!why) return toast(`${done} point(s).`, "success");
+    toast(`${done} of ${total} point(s): ${why}.`, "error", 3200);
+  }
+
+  // --- Cursor readout (map center on touch screens, which have no cursor) ---
+  function injectCoordReadout() {
+    const Readout = L.Control.extend({
+      options: { position: "bottomright" },
+      onAdd() {
+        const el = L.DomUtil.create("div", "map-panel coord-readout");
+        el.innerHTML = `
+          <select class="input" data-role="format" aria-label="Coordinate format">${coordFormatOptions()}</select>
+          <span data-role="pos" class="coord-readout__pos"></span>
+        `;
+        L.DomEvent.disableClickPropagation(el);
+        L.DomEvent.disableScrollPropagation(el);
+        return el;
+      },
+    });
+    const map = state.leafletMap;
+    const el = (dom.coordReadout = new Readout().addTo(map).getContainer());
+    el.querySelector('[data-role="format"]').addEventListener("change", (e) => saveSetting("coordFormat", e.target.value));
+    map.on("mousemove", (e) => {
+      state.readout = { latlng: e.latlng, center: false, at: Date.now() };
+      renderCoordReadout();
+    });
+    // A mouse that just moved keeps the readout; otherwise (touch, keyboard) follow the center
+    map.on("move", () => {
+      if (Date.now() - (state.readout?.at || 0) < 1000 && !state.readout.center) return;
+      state.readout = { latlng: map.getCenter(), center: true, at: 0 };
+      renderCoordReadout();
+    });
+    state.readout = { latlng: map.getCenter(), center: true, at: 0 };
+    renderCoordReadout();
+  }
+
+  function renderCoordReadout() {
+    if (!dom.coordReadout || !state.readout) return;
+    renderCoordFormatSelect(dom.coordReadout.querySelector('[data-role="format"]'));
+    const pos = dom.coordReadout.querySelector('[data-role="pos"]');
+    pos.textContent = `${state.readout.center ? "Center " : ""}${formatCoord(state.readout.latlng)}`;
+  }
+
+  // ====== G3) Simplify / densify (active fence, one ring at a time, undoable) ======
+  // While the panel is open the result is previewed on the map (dashed) and in the stats
+  // ("412 → 187" vertices, area change); Apply is one undo step. Reshaping a circle, rectangle or
+  // corridor outline turns it into a plain polygon.
+  function openReshapePanel() {
+    ensureReshapePanel();
+    dom.reshapePanel.classList.remove("is-hidden");
+    renderReshapePanel();
+    renderSheet(true);
+  }
+
+  function ensureReshapePanel() {
+    if (dom.reshapePanel) return;
+    const panel = document.createElement("div");
+    panel.className = "sheet__row is-hidden";
+    panel.innerHTML = `
+      <div style="display:flex;align-items:center;justify-content:space-between;">
+        <h3 style="margin:0;font-size:16px;">Simplify / densify</h3>
+        <button class="btn" type="button" data-act="close">Close</button>
+      </div>
+      <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
+        <select class="input" data-role="ring" aria-label="Ring" style="flex:1;min-width:140px;"></select>
+        <select class="input" data-role="op" aria-label="Operation" style="flex:1;min-width:180px;">
+          <option value="dp">Simplify (Douglas-Peucker)</option>
+          <option value="vw">Simplify (Visvalingam)</option>
+          <option value="densify">Densify (great circle)</option>
+        </select>
+      </div>
+      <div style="display:flex;gap:8px;align-items:center;">
+        <label class="label" data-role="amount-label" for="reshapeAmount" style="flex:1;"></label>
+        <input id="reshapeAmount" class="input" data-role="amount" type="number" min="0.1" step="any" inputmode="decimal" style="width:110px;" />
+        <button class="btn btn-primary" type="button" data-act="apply">Apply</button>
+      </div>
+      <span class="map-panel__meta" data-role="meta"></span>
+    `;
+    dom.infoSheet.querySelector(".sheet__content").appendChild(panel);
+    dom.reshapePanel = panel;
+    const q = (sel) => panel.querySelector(sel);
+    q('[data-act="close"]').addEventListener("click", closeReshapePanel);
+    q('[data-role="op"]').addEventListener("change", (e) => {
+      q('[data-role="amount"]').value = String(RESHAPE_DEFAULTS[e.target.value]);
+      renderReshapePanel();
+    });
+    q('[data-role="op"]').value = "dp";
+    q('[data-role="amount"]').value = String(RESHAPE_DEFAULTS.dp);
+    q('[data-role="ring"]').addEventListener("change", renderReshapePanel);
+    q('[data-role="amount"]').addEventListener("input", renderReshapePanel);
+    q('[data-act="apply"]').addEventListener("click", applyReshape);
+  }
+
+  function closeReshapePanel() {
+    dom.reshapePanel.classList.add("is-hidden");
+    renderReshapePanel();
+  }
+
+  function isReshapeOpen() {
+    return !!dom.reshapePanel && !dom.reshapePanel.classList.contains("is-hidden");
+  }
+
+  // The fence the panel works on, or null while there is none to reshape
+  function reshapeFence() {
+    if (!isReshapeOpen() || state.mode === "drawing" || state.mode === "sending") return null;
+    return getActiveFence();
+  }
+
+  // Rebuilds the ring choices; the preview itself is drawn by renderStats() (so it follows edits)
+  function renderReshapePanel() {
+    const fence = reshapeFence();
+    if (fence) {
+      const select = dom.reshapePanel.querySelector('[data-role="ring"]');
+      const prev = select.value;
+      const rings = getRingsLatLngs(fence.layer);
+      select.innerHTML = rings
+        .map((ring, r) => `<option value="${r}">${r ? `Hole ${r}` : "Outer boundary"} (${ring.length})</option>`)
+        .join("");
+      if ([...select.options].some((o) => o.value === prev)) select.value = prev;
+      renderStats(rings);
+    } else {
+      const wasShowing = !!state.reshapeLayer && state.leafletMap.hasLayer(state.reshapeLayer);
+      renderReshapePreview();
+      // Preview just ended: put the real figures back
+      if (!wasShowing) return;
+      if (state.mode === "drawing") renderStats(getDrawPreviewRings());
+      else buildAndRenderPayload();
+    }
+  }
+
+  // Reads the panel and runs the operation on a copy of rings: { rings, ringIdx, op, label } or { error }
+  function reshapeRings(rings) {
+    const q = (sel) => dom.reshapePanel.querySelector(sel);
+    const op = q('[data-role="op"]').value;
+    const ringIdx = Math.min(Number(q('[data-role="ring"]').value) || 0, rings.length - 1);
+    const amount = Number(q('[data-role="amount"]').value);
+    if (!Number.isFinite(amount) || amount <= 0) return { error: "Enter a distance greater than 0." };
+    const ring = rings[ringIdx];
+    // The other rings count toward maxVertices too
+    const room = config.maxVertices - rings.reduce((n, r, i) => (i === ringIdx ? n : n + r.length), 0);
+    const next = op === "densify" ? densifyRing(ring, amount, room) : simplifyRing(ring, amount, op);
+    if (!next) return { error: `That would pass ${config.maxVertices} vertices; use a longer segment length.` };
+    if (next.length < 3) return { error: "Tolerance too large: fewer than 3 vertices would be left." };
+    const out = rings.slice();
+    out[ringIdx] = next;
+    return { rings: out, ringIdx, op, label: op === "densify" ? "Densify" : "Simplify" };
+  }
+
+  // Called at the end of renderStats(): overrides the figures with before → after while previewing
+  function renderReshapePreview() {
+    const fence = reshapeFence();
+    if (!fence) {
+      state.reshapeLayer?.remove();
+      if (dom.reshapePanel) {
+        dom.reshapePanel.querySelector('[data-role="meta"]').textContent = isReshapeOpen() ? "Select a fence (not while drawing)." : "";
+        dom.reshapePanel.querySelector('[data-act="apply"]').disabled = true;
+      }
+      return;
+    }
+    const q = (sel) => dom.reshapePanel.querySelector(sel);
+    const op = q('[data-role="op"]').value;
+    q('[data-role="amount-label"]').textContent = op === "densify"
+      ? "Max segment length (m)"
+      : `Tolerance (m)${op === "vw" ? " — drops corners whose triangle is under tolerance²" : ""}`;
+    const before = getRingsLatLngs(fence.layer);
+    const res = reshapeRings(before);
+    q('[data-act="apply"]').disabled = !!res.error;
+    if (res.error) {
+      state.reshapeLayer?.remove();
+      q('[data-role="meta"]').textContent = res.error;
+      return;
+    }
+
+    if (!state.reshapeLayer) state.reshapeLayer = L.polygon([], RESHAPE_PREVIEW_STYLE);
+    state.reshapeLayer.setLatLngs(res.rings).addTo(state.leafletMap);
+
+    const a = computeStatsLL(before), b = computeStatsLL(res.rings);
+    const change = a.area_m2 ? ((b.area_m2 - a.area_m2) / a.area_m2) * 100 : 0;
+    const shown = Math.abs(change).toFixed(Math.abs(change) < 1 ? 2 : 1);
+    const pct = Number(shown) ? `${change > 0 ? "+" : "−"}${shown}%` : "±0%";
+    dom.statVertices.textContent = `${a.vertices} → ${b.vertices}`;
+    dom.statPerimeter.textContent = `→ ${formatMeters(b.perimeter_m)}`;
+    dom.statArea.textContent = `→ ${formatSquareMeters(b.area_m2)} (${pct})`;
+
+    const notes = [`${res.label}: ${before[res.ringIdx].length} → ${res.rings[res.ringIdx].length} vertices, area ${pct}.`];
+    if (res.ringIdx === 0 && fence.shape) notes.push(`The ${fence.shape.kind} becomes a plain polygon.`);
+    const val = validateCoordsLL(res.rings);
+    if (!val.ok) notes.push(`Result: ${val.reason} Adjust the ${op === "densify" ? "length" : "tolerance"} to apply.`);
+    q('[data-act="apply"]').disabled = !val.ok;
+    q('[data-role="meta"]').textContent = notes.join(" ");
+  }
+
+  function applyReshape() {
+    const fence = reshapeFence();
+    if (!fence) return;
+    const before = getRingsLatLngs(fence.layer);
+    const res = reshapeRings(before);
+    if (res.error) return toast(res.error, "error");
+    const val = validateCoordsLL(res.rings);
+    if (!val.ok) return toast(val.reason, "error");
+    checkpoint(res.label);
+    if (res.ringIdx === 0) fence.shape = null;
+    setRingsLatLngs(fence.layer, res.rings);
+    rebuildHandlesForCurrentMode();
+    renderShapeParamRow();
+    buildAndRenderPayload();
+    renderReshapePanel();
+    toast(`${res.label}: ${before[res.ringIdx].length} → ${res.rings[res.ringIdx].length} vertices.`, "success");
+  }
+
+  // ====== H) Geometry, Stats, Payload ======
+  // Rings are Array<Array<LatLng>>: [outer, hole1, hole2, …]
+  function getRingsLatLngs(layer) {
+    if (!layer) return [];
+    const rings = layer.getLatLngs();
+    const nested = Array.isArray(rings[0]) ? rings : [rings];
+    return nested.map((ring) => ring.map((p) => L.latLng(p.lat, p.lng)));
+  }
+
+  function setRingsLatLngs(layer, rings) {
+    layer.setLatLngs(rings); layer.redraw();
+  }
+
+  // Import passes maxVertices = Infinity: an oversized boundary is still loaded so it can be simplified,
+  // and Send (which uses the default) stays blocked until it fits
+  function validateCoordsLL(ringsLL, maxVertices = config.maxVertices) {
+    const [outer, ...holes] = ringsLL || [];
+    if (!outer || outer.length < 3) return { ok: false, reason: "Need ≥ 3 vertices." };
+    const total = ringsLL.reduce((n, ring) => n + ring.length, 0);
+    if (total > maxVertices) return { ok: false, reason: `Too many vertices (>${config.maxVertices}).` };
+    for (const [r, ring] of ringsLL.entries()) {
+      const uniq = new Set(ring.map((c) => `${c.lat.toFixed(6)},${c.lng.toFixed(6)}`));
+      if (uniq.size < 3) return { ok: false, reason: r ? `Hole ${r}: vertices too close/duplicate.` : "Vertices too close/duplicate." };
+    }
+    const problem = findGeometryProblem(ringsLL);
+    if (problem) return { ok: false, ...problem };
+    for (const [h, hole] of holes.entries()) {
+      if (!hole.every((ll) => pointInRingLL(ll, outer))) return { ok: false, reason: `Hole ${h + 1} lies outside the fence.` };
+      const other = holes.findIndex((o, k) => k !== h && pointInRingLL(hole[0], o));
+      if (other !== -1) return { ok: false, reason: `Hole ${h + 1} lies inside hole ${other + 1}.` };
+    }
+    return { ok: true };
+  }
+
+  // Zero-length edges, collinear rings, spikes and edge crossings (within and between rings).
+  // Returns { reason, badEdges: Array<[LatLng, LatLng]> } for the first kind of problem found, else null.
+  function findGeometryProblem(ringsLL) {
+    const ringName = (r) => (r ? `Hole ${r}` : "Fence");
+    const edgeName = (ring, i) => `${i + 1}→${((i + 1) % ring.length) + 1}`;
+    const edgeAt = (ring, i) => [ring[i], ring[(i + 1) % ring.length]];
+
+    for (const [r, ring] of ringsLL.entries()) {
+      // Consecutive vertices that collapse once rounded to the payload's 6 decimals
+      for (let i = 0; i < ring.length; i++) {
+        const [a, b] = edgeAt(ring, i);
+        if (round6(a.lat) === round6(b.lat) && round6(a.lng) === round6(b.lng)) {
+          return { reason: `${ringName(r)}: zero-length edge ${edgeName(ring, i)} (duplicate vertex).`, badEdges: [[a, b]] };
+        }
+      }
+
+      // All vertices on one line (through the first vertex and the one farthest from it): no interior at all
+      const o = ring[0];
+      const far = ring.reduce((m, p) => (Math.hypot(p.lng - o.lng, p.lat - o.lat) > Math.hypot(m.lng - o.lng, m.lat - o.lat) ? p : m), o);
+      const len = Math.hypot(far.lng - o.lng, far.lat - o.lat);
+      const offLine = (p) => Math.abs((far.lng - o.lng) * (p.lat - o.lat) - (far.lat - o.lat) * (p.lng - o.lng)) / len;
+      if (ring.every((p) => offLine(p) <= 1e-9 * len)) {
+        return { reason: `${ringName(r)}: all vertices are collinear (no area).`, badEdges: ring.map((_, i) => edgeAt(ring, i)) };
+      }
+
+      // Spike: the boundary doubles back over itself at a vertex
+      for (let i = 0; i < ring.length; i++) {
+        const a = ring[(i - 1 + ring.length) % ring.length], b = ring[i], c = ring[(i + 1) % ring.length];
+        const ux = b.lng - a.lng, uy = b.lat - a.lat, vx = c.lng - b.lng, vy = c.lat - b.lat;
+        const cross = ux * vy - uy * vx, dot = ux * vx + uy * vy;
+        if (dot < 0 && Math.abs(cross) <= 1e-9 * Math.hypot(ux, uy) * Math.hypot(vx, vy)) {
+          return { reason: `${ringName(r)}: edges fold back on themselves at vertex ${i + 1}.`, badEdges: [[a, b], [b, c]] };
+        }
+      }
+    }
+
+    // Crossings: every pair of edges that are not neighbours in the same ring
+    const edges = [];
+    ringsLL.forEach((ring, r) => ring.forEach((_, i) => edges.push({ r, i, n: ring.length, ring, seg: edgeAt(ring, i) })));
+    const crossings = [];
+    for (let p = 0; p < edges.length; p++) {
+      for (let q = p + 1; q < edges.length; q++) {
+        const e = edges[p], f = edges[q];
+        if (e.r === f.r && (f.i === (e.i + 1) % e.n || e.i === (f.i + 1) % e.n)) continue;
+        if (segmentsIntersectLL(e.seg[0], e.seg[1], f.seg[0], f.seg[1])) crossings.push([e, f]);
+      }
+    }
+    if (!crossings.length) return null;
+
+    const [e, f] = crossings[0];
+    let reason;
+    if (e.r === f.r) reason = `${ringName(e.r)}: edges ${edgeName(e.ring, e.i)} and ${edgeName(f.ring, f.i)} cross (self-intersection).`;
+    else if (e.r === 0) reason = `Hole ${f.r} crosses the fence boundary.`;
+    else reason = `Holes ${e.r} and ${f.r} overlap.`;
+    if (crossings.length > 1) reason += ` (+${crossings.length - 1} more)`;
+    return { reason, badEdges: crossings.flatMap(([a, b]) => [a.seg, b.seg]) };
+  }
+
+  // Includes touching and collinear overlap
+  function segmentsIntersectLL(a, b, c, d) {
+    // Collinear within ~1e-9 rad: split straight edges (corridor outlines) must not read as crossing
+    const orient = (p, q, r) => {
+      const ux = q.lng - p.lng, uy = q.lat - p.lat, vx = r.lng - p.lng, vy = r.lat - p.lat;
+      const v = ux * vy - uy * vx;
+      return Math.abs(v) <= 1e-9 * Math.hypot(ux, uy) * Math.hypot(vx, vy) ? 0 : Math.sign(v);
+    };
+    const onSeg = (p, q, r) =>
+      Math.min(p.lng, r.lng) <= q.lng && q.lng <= Math.max(p.lng, r.lng) &&
+      Math.min(p.lat, r.lat) <= q.lat && q.lat <= Math.max(p.lat, r.lat);
+    const o1 = orient(a, b, c), o2 = orient(a, b, d), o3 = orient(c, d, a), o4 = orient(c, d, b);
+    if (o1 !== o2 && o3 !== o4) return true;
+    return (o1 === 0 && onSeg(a, c, b)) || (o2 === 0 && onSeg(a, d, b)) ||
+           (o3 === 0 && onSeg(c, a, d)) || (o4 === 0 && onSeg(c, b, d));
+  }
+
+  // RFC 7946 §3.1.6 right-hand rule: exterior ring counterclockwise, holes clockwise
+  // Shoelace over edge deltas, so a ring whose longitudes wrap at the antimeridian keeps its orientation
+  function orientRingLonLat(ring, counterclockwise) {
+    let s = 0;
+    for (let i = 0; i < ring.length - 1; i++) s += wrapDeltaLon(ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+    return (s < 0) === counterclockwise ? ring : [...ring].reverse();
+  }
+
+  function renderInvalidEdges(badEdges = []) {
+    state.invalidEdges.clearLayers();
+    for (const [a, b] of badEdges) {
+      L.polyline([a, b], INVALID_EDGE_STYLE).addTo(state.invalidEdges);
+      if (a.equals(b)) L.circleMarker(a, { ...INVALID_EDGE_STYLE, weight: 3, radius: 10, fill: false }).addTo(state.invalidEdges);
+    }
+  }
+
+  // Ray casting in lon/lat; fine at fence scale
+  function pointInRingLL(ll, ringLL) {
+    let inside = false;
+    for (let i = 0, j = ringLL.length - 1; i < ringLL.length; j = i++) {
+      const a = ringLL[i], b = ringLL[j];
+      if ((a.lat > ll.lat) !== (b.lat > ll.lat) &&
+          ll.lng < ((b.lng - a.lng) * (ll.lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  // Longitudes wrapped into [-180, 180]: a ring drawn or densified across the antimeridian runs past 180 on the map
+  function toClosedRingLonLat(ringLL) {
+    const ring = ringLL.map((c) => [round6(wrapDeltaLon(c.lng)), round6(c.lat)]);
+    const a = ring[0], b = ring[ring.length - 1];
+    if (a[0] !== b[0] || a[1] !== b[1]) ring.push(a);
+    return ring;
+  }
+
+  function round6(n) { return Math.round(n * 1e6) / 1e6; }
+
+  // --- Parametric shapes -> outer ring ---
+  function isTwoPointKind(kind) { return kind === "circle" || kind === "rectangle"; }
+
+  function shapeHasSize(shape) {
+    if (shape.kind === "circle") return shape.radius_m >= 1;
+    const [a, b] = shape.corners;
+    return haversineMeters(a.lat, a.lng, a.lat, b.lng) >= 1 && haversineMeters(a.lat, a.lng, b.lat, a.lng) >= 1;
+  }
+
+  function shapeToOuterRing(shape) {
+    if (shape.kind === "circle") return circleRingLL(shape.center, shape.radius_m);
+    if (shape.kind === "rectangle") {
+      const [a, b] = shape.corners;
+      return [L.latLng(a.lat, a.lng), L.latLng(a.lat, b.lng), L.latLng(b.lat, b.lng), L.latLng(b.lat, a.lng)];
+    }
+    if (shape.kind === "corridor") return corridorRingLL(shape.line, shape.half_width_m);
+    return [];
+  }
+
+  // Spherical destination point (bearing in degrees clockwise from north)
+  function destinationLL(ll, distM, bearingDeg) {
+    const R = 6371008.8, toR = (d) => (d * Math.PI) / 180, toD = (r) => (r * 180) / Math.PI;
+    const d = distM / R, brg = toR(bearingDeg), lat1 = toR(ll.lat), lon1 = toR(ll.lng);
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brg));
+    const lon2 = lon1 + Math.atan2(Math.sin(brg) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2));
+    return L.latLng(toD(lat2), toD(lon2));
+  }
+
+  // Initial great-circle bearing from a to b, degrees clockwise from north (0–360)
+  function initialBearingDeg(a, b) {
+    const toR = (d) => (d * Math.PI) / 180;
+    const lat1 = toR(a.lat), lat2 = toR(b.lat), dLon = toR(b.lng - a.lng);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+  }
+
+  function circleRingLL(center, radiusM) {
+    const ring = [];
+    for (let k = 0; k < CIRCLE_SEGMENTS; k++) ring.push(destinationLL(center, radiusM, (360 * k) / CIRCLE_SEGMENTS));
+    return ring;
+  }
+
+  // Buffers a polyline by halfWidthM on both sides (mitred joins, rounded when sharp, round ends).
+  // Works in a local east/north metre frame around the first point; fine at corridor scale.
+  // The outline is the union of one convex piece per segment, per outer join and per end, so sharp
+  // turns and segments shorter than the width never fold the ring over itself. A line that closes
+  // on itself gets the enclosed gap filled in (a fence has one outer ring).
+  function corridorRingLL(lineLL, halfWidthM) {
+    const R = 6371008.8, toR = Math.PI / 180;
+    const lat0 = lineLL[0].lat, lon0 = lineLL[0].lng, kx = Math.cos(lat0 * toR) * R * toR, ky = R * toR;
+    const pts = [];
+    for (const ll of lineLL) {
+      const p = [(ll.lng - lon0) * kx, (ll.lat - lat0) * ky];
+      const q = pts[pts.length - 1];
+      if (!q || Math.hypot(p[0] - q[0], p[1] - q[1]) > 0.01) pts.push(p);
+    }
+    if (pts.length < 2) return [];
+
+    const h = halfWidthM;
+    const dirs = [];
+    for (let i = 0; i < pts.length - 1; i++) {
+      const dx = pts[i + 1][0] - pts[i][0], dy = pts[i + 1][1] - pts[i][1], len = Math.hypot(dx, dy);
+      dirs.push([dx / len, dy / len]);
+    }
+    const leftOf = (d) => [-d[1], d[0]];
+    const off = (p, n, s) => [p[0] + s * n[0] * h, p[1] + s * n[1] * h];
+
+    // Half circle around p from normal n, sweeping through direction d (both ends included)
+    const cap = (p, n, d) => {
+      const out = [off(p, n, 1)];
+      for (let k = 1; k < CORRIDOR_CAP_SEGMENTS; k++) {
+        const t = (Math.PI * k) / CORRIDOR_CAP_SEGMENTS;
+        out.push([p[0] + (n[0] * Math.cos(t) + d[0] * Math.sin(t)) * h, p[1] + (n[1] * Math.cos(t) + d[1] * Math.sin(t)) * h]);
+      }
+      out.push(off(p, n, -1));
+      return out;
+    };
+
+    const pieces = [];
+    dirs.forEach((d, i) => {
+      const n = leftOf(d), p = pts[i], q = pts[i + 1];
+      pieces.push([off(p, n, -1), off(q, n, -1), off(q, n, 1), off(p, n, 1)]);
+    });
+    for (let i = 1; i < dirs.length; i++) {
+      const p = pts[i], nIn = leftOf(dirs[i - 1]), nOut = leftOf(dirs[i]);
+      const turn = dirs[i - 1][0] * dirs[i][1] - dirs[i - 1][1] * dirs[i][0]; // > 0: left turn
+      const mx = nIn[0] + nOut[0], my = nIn[1] + nOut[1], mlen = Math.hypot(mx, my);
+      const cos = mlen / 2; // cos of half the turn angle
+      if (cos < 1e-6) { pieces.push(cap(p, nIn, dirs[i - 1])); continue; } // straight back: round it
+      if (Math.abs(turn) < 1e-9) continue; // straight on
+      const sgn = turn > 0 ? -1 : 1; // the outer side
+      if (cos >= 0.5) {
+        pieces.push([p, off(p, nIn, sgn), [p[0] + sgn * (mx / mlen) * (h / cos), p[1] + sgn * (my / mlen) * (h / cos)], off(p, nOut, sgn)]);
+        continue;
+      }
+      // Sharp: a circular sector from one offset edge to the next (a bevel leaves notches)
+      const a0 = Math.atan2(sgn * nIn[1], sgn * nIn[0]);
+      let sweep = Math.atan2(sgn * nOut[1], sgn * nOut[0]) - a0;
+      if (sweep > Math.PI) sweep -= 2 * Math.PI;
+      if (sweep < -Math.PI) sweep += 2 * Math.PI;
+      const steps = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / CORRIDOR_CAP_SEGMENTS)));
+      const sector = [p, off(p, nIn, sgn)];
+      for (let k = 1; k < steps; k++) {
+        const t = a0 + (sweep * k) / steps;
+        sector.push([p[0] + Math.cos(t) * h, p[1] + Math.sin(t) * h]);
+      }
+      sector.push(off(p, nOut, sgn));
+      pieces.push(sector);
+    }
+    const dEnd = dirs[dirs.length - 1], dStart = dirs[0];
+    pieces.push(cap(pts[pts.length - 1], leftOf(dEnd), dEnd));
+    pieces.push(cap(pts[0], leftOf(dStart).map((v) => -v), dStart.map((v) => -v)));
+
+    const ring = unionOutline(pieces);
+    // Same orientation and start as a plain two-sided walk: left side first, clockwise
+    if (ringSignedArea(ring) > 0) ring.reverse();
+    const first = off(pts[0], leftOf(dStart), 1);
+    let start = 0;
+    ring.forEach((p, k) => {
+      if (Math.hypot(p[0] - first[0], p[1] - first[1]) < Math.hypot(ring[start][0] - first[0], ring[start][1] - first[1])) start = k;
+    });
+    return [...ring.slice(start), ...ring.slice(0, start)].map(([x, y]) => L.latLng(lat0 + y / ky, lon0 + x / kx));
+  }
+
+  function ringSignedArea(pts) {
+    return pts.reduce((a, p, i) => {
+      const q = pts[(i + 1) % pts.length];
+      return a + p[0] * q[1] - q[0] * p[1];
+    }, 0) / 2;
+  }
+
+  // Outer boundary of a union of convex polygons ([x, y] rings): every edge is split where other
+  // edges cross or touch it, pieces inside another polygon (or shared by two) are dropped, and the
+  // rest is chained into rings, of which the largest is returned.
+  function unionOutline(polys) {
+    const EPS = 1e-7;
+    polys = polys.map((poly) => (ringSignedArea(poly) < 0 ? [...poly].reverse() : poly)); // all CCW
+    const boxes = polys.map((poly) => {
+      const xs = poly.map((p) => p[0]), ys = poly.map((p) => p[1]);
+      return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+    });
+    const edges = [];
+    polys.forEach((poly) => poly.forEach((a, k) => {
+      const b = poly[(k + 1) % poly.length];
+      if (Math.hypot(b[0] - a[0], b[1] - a[1]) > EPS) {
+        const box = [Math.min(a[0], b[0]) - 1e-6, Math.min(a[1], b[1]) - 1e-6, Math.max(a[0], b[0]) + 1e-6, Math.max(a[1], b[1]) + 1e-6];
+        edges.push({ a, b, box, cuts: [0, 1] });
+      }
+    }));
+
+    // Split points as fractions along each edge
+    const along = (e, p) => {
+      const dx = e.b[0] - e.a[0], dy = e.b[1] - e.a[1];
+      return ((p[0] - e.a[0]) * dx + (p[1] - e.a[1]) * dy) / (dx * dx + dy * dy);
+    };
+    const onEdge = (e, p) => {
+      const dx = e.b[0] - e.a[0], dy = e.b[1] - e.a[1];
+      const t = along(e, p);
+      return t > EPS && t < 1 - EPS && Math.abs((p[0] - e.a[0]) * dy - (p[1] - e.a[1]) * dx) / Math.hypot(dx, dy) < 1e-6;
+    };
+    for (let i = 0; i < edges.length; i++) {
+      for (let j = i + 1; j < edges.length; j++) {
+        const e = edges[i], f = edges[j];
+        if (e.box[0] > f.box[2] || f.box[0] > e.box[2] || e.box[1] > f.box[3] || f.box[1] > e.box[3]) continue;
+        const x = segmentIntersection(e.a, e.b, f.a, f.b);
+        if (x) { e.cuts.push(along(e, x)); f.cuts.push(along(f, x)); continue; }
+        for (const p of [f.a, f.b]) if (onEdge(e, p)) e.cuts.push(along(e, p));
+        for (const p of [e.a, e.b]) if (onEdge(f, p)) f.cuts.push(along(f, p));
+      }
+    }
+
+    const inside = (p) => polys.some((poly, k) => {
+      const [x0, y0, x1, y1] = boxes[k];
+      if (p[0] <= x0 || p[0] >= x1 || p[1] <= y0 || p[1] >= y1) return false;
+      return poly.every((a, m) => {
+        const b = poly[(m + 1) % poly.length];
+        return (b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0]) > 1e-6 * Math.hypot(b[0] - a[0], b[1] - a[1]);
+      });
+    });
+    const key = (p) => `${p[0].toFixed(4)},${p[1].toFixed(4)}`;
+    const frags = new Map(); // "from>to" -> [from, to]
+    for (const e of edges) {
+      const ts = [...new Set(e.cuts)].sort((s, t) => s - t);
+      const at = (t) => (t === 0 ? e.a : t === 1 ? e.b : [e.a[0] + t * (e.b[0] - e.a[0]), e.a[1] + t * (e.b[1] - e.a[1])]);
+      for (let k = 0; k < ts.length - 1; k++) {
+        const p = at(ts[k]), q = at(ts[k + 1]);
+        const kp = key(p), kq = key(q);
+        if (kp === kq || inside([(p[0] + q[0]) / 2, (p[1] + q[1]) / 2])) continue;
+        // The same stretch walked both ways lies between two polygons: not outline
+        if (frags.delete(`${kq}>${kp}`)) continue;
+        frags.set(`${kp}>${kq}`, [p, q]);
+      }
+    }
+
+    const next = new Map(); // from key -> fragment keys
+    for (const [k, [p]] of frags) {
+      const kp = key(p);
+      if (!next.has(kp)) next.set(kp, []);
+      next.get(kp).push(k);
+    }
+    let best = [];
+    const used = new Set();
+    for (const startKey of frags.keys()) {
+      if (used.has(startKey)) continue;
+      const ring = [];
+      let k = startKey;
+      while (k && !used.has(k)) {
+        used.add(k);
+        const [p, q] = frags.get(k);
+        ring.push(p);
+        k = (next.get(key(q)) || []).find((c) => !used.has(c));
+      }
+      if (Math.abs(ringSignedArea(ring)) > Math.abs(ringSignedArea(best))) best = ring;
+    }
+    // Splitting leaves vertices in the middle of straight runs, and a crossing right next to a corner
+    // rounds to a duplicate in the payload (6 decimals): drop both kinds
+    const out = [];
+    for (const p of best) {
+      out.push(p);
+      while (out.length >= 3) {
+        const [a, b, c] = out.slice(-3);
+        const ac = Math.hypot(c[0] - a[0], c[1] - a[1]);
+        const dev = ac ? Math.abs((c[0] - a[0]) * (b[1] - a[1]) - (c[1] - a[1]) * (b[0] - a[0])) / ac : 0;
+        if (dev < 0.01 || Math.hypot(b[0] - a[0], b[1] - a[1]) < 0.25) out.splice(-2, 1);
+        else break;
+      }
+    }
+    return out;
+  }
+
+  // Proper crossing point of segments ab and cd, or null (touching ends and parallel overlaps do not count)
+  function segmentIntersection(a, b, c, d) {
+    const rx = b[0] - a[0], ry = b[1] - a[1], sx = d[0] - c[0], sy = d[1] - c[1];
+    const den = rx * sy - ry * sx;
+    if (Math.abs(den) < 1e-12) return null;
+    const t = ((c[0] - a[0]) * sy - (c[1] - a[1]) * sx) / den;
+    const u = ((c[0] - a[0]) * ry - (c[1] - a[1]) * rx) / den;
+    const eps = 1e-9;
+    return t > eps && t < 1 - eps && u > eps && u < 1 - eps ? [a[0] + t * rx, a[1] + t * ry] : null;
+  }
+
+  // Shape parameters <-> shape.source in the payload ([lon, lat] like the rest of the payload)
+  function shapeToSource(shape) {
+    const ll = (p) => [round6(p.lng), round6(p.lat)];
+    if (shape.kind === "circle") return { kind: "circle", center: ll(shape.center), radius_m: Math.round(shape.radius_m * 100) / 100 };
+    if (shape.kind === "rectangle") return { kind: "rectangle", corners: shape.corners.map(ll) };
+    if (shape.kind === "corridor") return { kind: "corridor", line: shape.line.map(ll), half_width_m: shape.half_width_m };
+    return null;
+  }
+
+  function sourceToShape(source) {
+    try {
+      const ll = ([lon, lat]) => L.latLng(lat, lon);
+      if (source?.kind === "circle" && source.radius_m > 0) {
+        return { kind: "circle", center: ll(source.center), radius_m: Number(source.radius_m) };
+      }
+      if (source?.kind === "rectangle" && source.corners?.length === 2) {
+        return { kind: "rectangle", corners: source.corners.map(ll) };
+      }
+      if (source?.kind === "corridor" && source.line?.length >= 2 && source.half_width_m > 0) {
+        return { kind: "corridor", line: source.line.map(ll), half_width_m: Number(source.half_width_m) };
+      }
+    } catch { /* fall through: treat as a plain polygon */ }
+    return null;
+  }
+
+  // On the WGS84 ellipsoid: perimeter along geodesics (Vincenty), area from the authalic sphere.
+  // Perimeter includes the holes' edges.
+  function computeStatsLL(ringsLL) {
+    const rings = (ringsLL || []).filter((ring) => ring.length >= 3);
+    if (!rings.length || rings[0] !== ringsLL[0]) return { vertices: 0, perimeter_m: 0, area_m2: 0, holes: 0 };
+    let vertices = 0, per = 0, area = 0;
+    rings.forEach((ringLL, r) => {
+      const ring = toClosedRingLonLat(ringLL);
+      vertices += ring.length - 1;
+      for (let i = 1; i < ring.length; i++) {
+        per += geodesicMeters(ring[i - 1][1], ring[i - 1][0], ring[i][1], ring[i][0]);
+      }
+      // Holes subtract from the outer ring
+      area += (r === 0 ? 1 : -1) * geodesicRingArea(ring);
+    });
+    return { vertices, perimeter_m: per, area_m2: Math.max(area, 0), holes: rings.length - 1 };
+  }
+
+  function haversineMeters(lat1, lon1, lat2, lon2) {
+    const R = 6371008.8, toR = (d) => (d * Math.PI) / 180;
+    const dLat = toR(lat2 - lat1), dLon = toR(lon2 - lon1);
+    const a = Math.sin(dLat/2)**2 + Math.cos(toR(lat1))*Math.cos(toR(lat2))*Math.sin(dLon/2)**2;
+    return 2 * R * Math.asin(Math.sqrt(a));
+  }
+
+  // Douglas-Peucker on an open polyline of LatLngs: keeps the vertices further than toleranceM from the
+  // chord of their span. Metres in a flat frame at the first point; fine at fence scale.
+  function simplifyDouglasPeucker(points, toleranceM) {
+    if (points.length < 3) return points.slice();
+    const ky = 111320, kx = ky * Math.cos((points[0].lat * Math.PI) / 180);
+    const xy = points.map((p) => [p.lng * kx, p.lat * ky]);
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+    while (stack.length) {
+      const [a, b] = stack.pop();
+      let max = 0, idx = -1;
+      for (let i = a + 1; i < b; i++) {
+        const d = pointSegmentDistance(xy[i], xy[a], xy[b]);
+        if (d > max) { max = d; idx = i; }
+      }
+      if (idx !== -1 && max > toleranceM) {
+        keep[idx] = 1;
+        stack.push([a, idx], [idx, b]);
+      }
+    }
+    return points.filter((_, i) => keep[i]);
+  }
+
+  function pointSegmentDistance([px, py], [ax, ay], [bx, by]) {
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+    return Math.hypot(ax + t * dx - px, ay + t * dy - py);
+  }
+
+  // Closed-ring simplification. "dp": Douglas-Peucker on the two halves split at the vertex farthest
+  // from the first. "vw": Visvalingam-Whyatt, dropping the corner with the smallest triangle until
+  // every remaining one is at least toleranceM² (same flat frame as simplifyDouglasPeucker).
+  function simplifyRing(ring, toleranceM, method = "dp") {
+    if (ring.length <= 3) return ring.slice();
+    if (method === "vw") return visvalingamRing(ring, toleranceM * toleranceM);
+    let far = 1;
+    ring.forEach((p, i) => { if (p.distanceTo(ring[0]) > ring[far].distanceTo(ring[0])) far = i; });
+    const a = simplifyDouglasPeucker(ring.slice(0, far + 1), toleranceM);
+    const b = simplifyDouglasPeucker([...ring.slice(far), ring[0]], toleranceM);
+    return [...a, ...b.slice(1, -1)];
+  }
+
+  function visvalingamRing(ring, minAreaM2) {
+    const n = ring.length;
+    const ky = 111320, kx = ky * Math.cos((ring[0].lat * Math.PI) / 180);
+    const xy = ring.map((p) => [p.lng * kx, p.lat * ky]);
+    const prev = ring.map((_, i) => (i - 1 + n) % n), next = ring.map((_, i) => (i + 1) % n);
+    const alive = new Uint8Array(n).fill(1);
+    const tri = (i) => {
+      const [ax, ay] = xy[prev[i]], [bx, by] = xy[i], [cx, cy] = xy[next[i]];
+      return Math.abs((bx - ax) * (cy - ay) - (cx - ax) * (by - ay)) / 2;
+    };
+    const area = ring.map((_, i) => tri(i));
+    for (let left = n; left > 3; left--) {
+      let min = Infinity, idx = -1;
+      for (let i = 0; i < n; i++) if (alive[i] && area[i] < min) { min = area[i]; idx = i; }
+      if (min >= minAreaM2) break;
+      alive[idx] = 0;
+      next[prev[idx]] = next[idx];
+      prev[next[idx]] = prev[idx];
+      // A neighbour's new triangle never counts as smaller than the one just removed
+      area[prev[idx]] = Math.max(tri(prev[idx]), min);
+      area[next[idx]] = Math.max(tri(next[idx]), min);
+    }
+    return ring.filter((_, i) => alive[i]);
+  }
+
+  // Adds great-circle points so no edge of the closed ring is longer than maxSegM. Returns null, before
+  // building anything, if the result would have more than maxVertices points.
+  function densifyRing(ring, maxSegM, maxVertices = Infinity) {
+    const steps = ring.map((a, i) => {
+      const b = ring[(i + 1) % ring.length];
+      return Math.max(1, Math.ceil(haversineMeters(a.lat, a.lng, b.lat, b.lng) / maxSegM));
+    });
+    if (steps.reduce((n, k) => n + k, 0) > maxVertices) return null;
+    const out = [];
+    ring.forEach((a, i) => {
+      const b = ring[(i + 1) % ring.length];
+      out.push(a);
+      for (let k = 1; k < steps[i]; k++) out.push(greatCirclePoint(a, b, k / steps[i]));
+    });
+    return out;
+  }
+
+  // Point at fraction f along the great circle a → b; longitude kept next to a's (antimeridian)
+  function greatCirclePoint(a, b, f) {
+    const toR = (d) => (d * Math.PI) / 180, toD = (r) => (r * 180) / Math.PI;
+    const lat1 = toR(a.lat), lon1 = toR(a.lng), lat2 = toR(b.lat), lon2 = toR(b.lng);
+    const d = haversineMeters(a.lat, a.lng, b.lat, b.lng) / 6371008.8;
+    if (!d) return L.latLng(a.lat, a.lng);
+    const A = Math.sin((1 - f) * d) / Math.sin(d), B = Math.sin(f * d) / Math.sin(d);
+    const x = A * Math.cos(lat1) * Math.cos(lon1) + B * Math.cos(lat2) * Math.cos(lon2);
+    const y = A * Math.cos(lat1) * Math.sin(lon1) + B * Math.cos(lat2) * Math.sin(lon2);
+    const z = A * Math.sin(lat1) + B * Math.sin(lat2);
+    const lng = toD(Math.atan2(y, x));
+    return L.latLng(toD(Math.atan2(z, Math.hypot(x, y))), a.lng + wrapDeltaLon(lng - a.lng));
+  }
+
+  // Vincenty's inverse formula on WGS84 (sub-millimetre). It fails to converge only for nearly
+  // antipodal points, which no fence edge is; those fall back to the great-circle distance.
+  function geodesicMeters(lat1, lon1, lat2, lon2) {
+    const a = WGS84_A, f = WGS84_F, b = a * (1 - f), toR = Math.PI / 180;
+    const dLon = wrapDeltaLon(lon2 - lon1) * toR;
+    const U1 = Math.atan((1 - f) * Math.tan(lat1 * toR));
+    const U2 = Math.atan((1 - f) * Math.tan(lat2 * toR));
+    const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1), sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+    let lambda = dLon, sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+    for (let iter = 0; iter < 200; iter++) {
+      const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+      sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+      if (sinSigma === 0) return 0; // same point
+      cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+      sigma = Math.atan2(sinSigma, cosSigma);
+      const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+      cosSqAlpha = 1 - sinAlpha * sinAlpha;
+      cos2SigmaM = cosSqAlpha ? cosSigma - (2 * sinU1 * sinU2) / cosSqAlpha : 0; // equatorial line
+      const C = (f / 16) * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+      const prev = lambda;
+      lambda = dLon + (1 - C) * f * sinAlpha *
+        (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+      if (Math.abs(lambda - prev) < 1e-12) {
+        const uSq = (cosSqAlpha * (a * a - b * b)) / (b * b);
+        const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+        const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+        const deltaSigma = B * sinSigma * (cos2SigmaM + (B / 4) * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+          (B / 6) * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+        return b * A * (sigma - deltaSigma);
+      }
+    }
+    return haversineMeters(lat1, lon1, lat2, lon2);
+  }
+
+  // Area of a closed [lon, lat] ring in m², edges taken as geodesics. The ring is mapped to the
+  // authalic sphere (same area as the ellipsoid) and the spherical excess between each edge and the
+  // equator is summed, so either winding works and a ring crossing the antimeridian needs no splitting.
+  function geodesicRingArea(ringLonLat) {
+    const toR = Math.PI / 180;
+    const t = ringLonLat.map(([lon, lat]) => [lon, Math.tan(authalicLatitude(lat * toR) / 2)]);
+    let excess = 0, winding = 0;
+    for (let i = 0; i < t.length - 1; i++) {
+      const [lon1, t1] = t[i], [lon2, t2] = t[i + 1];
+      const dLon = wrapDeltaLon(lon2 - lon1);
+      winding += dLon;
+      excess += 2 * Math.atan2(Math.tan((dLon * toR) / 2) * (t1 + t2), 1 + t1 * t2);
+    }
+    // A ring around a pole: the sum is the band between ring and equator, so the cap is the rest of
+    // the hemisphere. Either way the smaller side of the ring is the fence.
+    let area = Math.abs(excess);
+    if (Math.abs(winding) > 180) area = Math.abs(2 * Math.PI - area);
+    if (area > 2 * Math.PI) area = 4 * Math.PI - area;
+    return area * AUTHALIC_RADIUS ** 2;
+  }
+
+  function authalicLatitude(phi) {
+    return Math.asin(Math.max(-1, Math.min(1, authalicQ(Math.sin(phi)) / authalicQ(1))));
+  }
+
+  function authalicQ(sinPhi) {
+    const e = WGS84_E;
+    return (1 - e * e) * (sinPhi / (1 - e * e * sinPhi * sinPhi) - Math.log((1 - e * sinPhi) / (1 + e * sinPhi)) / (2 * e));
+  }
+
+  // Longitude difference in (-180, 180]: an edge always takes the short way round
+  function wrapDeltaLon(d) {
+    d = ((d % 360) + 540) % 360 - 180;
+    return d === -180 ? 180 : d;
+  }
+
+  function buildPayloadFromLL(ringsLL, name, baseFenceId = null, shapeParams = null, revision = 1, baseRevision = 0, props = defaultFenceProps()) {
+    const coordinates = ringsLL.map((ring, r) => orientRingLonLat(toClosedRingLonLat(ring), r === 0));
+    const shape = { type: "Polygon", coordinates };
+    if (shapeParams) shape.source = shapeToSource(shapeParams);
+    return {
+      spec_version: PAYLOAD_SPEC_VERSION,
+      fence_id: baseFenceId || `ui-${uuidv4()}`,
+      revision,
+      ...(baseRevision ? { base_revision: baseRevision } : {}),
+      created_at: new Date().toISOString(),
+      crs: "EPSG:4326",
+      shape,
+      properties: fencePropsToPayload(name, props),
+    };
+  }
+
+  function buildFencePayload(fence) {
+    return buildPayloadFromLL(getRingsLatLngs(fence.layer), fence.name, fence.fenceId, fence.shape, nextRevision(fence), fence.revision, fence.props);
+  }
+
+  // --- Fence properties (1.3) ---
+  function defaultFenceProps() {
+    return { notes: config.defaultFenceNotes, type: "inclusion", priority: 0, color: "", altitude: null, schedule: null };
+  }
+
+  // Properties from a payload, server row or import. Fields that are missing or don't validate fall
+  // back to the defaults one by one, so one bad value doesn't lose the rest.
+  function fencePropsFrom(properties) {
+    const p = properties && typeof properties === "object" ? properties : {};
+    const props = defaultFenceProps();
+    if (typeof p.notes === "string") props.notes = p.notes;
+    for (const key of ["type", "priority", "color", "altitude", "schedule"]) {
+      if (p[key] == null) continue;
+      const candidate = { ...props, [key]: p[key] };
+      if (key === "altitude") candidate.altitude = { min_m: p.altitude.min_m ?? null, max_m: p.altitude.max_m ?? null, ref: p.altitude.ref || "AGL" };
+      if (key === "schedule") candidate.schedule = { active_from: p.schedule.active_from ?? null, active_until: p.schedule.active_until ?? null };
+      if (validateFenceProps(candidate).ok) Object.assign(props, candidate);
+    }
+    return props;
+  }
+
+  function fencePropsToPayload(name, props) {
+    return {
+      name: name || "",
+      notes: props.notes,
+      type: props.type,
+      priority: props.priority,
+      ...(props.color ? { color: props.color } : {}),
+      ...(props.altitude ? { altitude: props.altitude } : {}),
+      ...(props.schedule ? { schedule: props.schedule } : {}),
+    };
+  }
+
+  // Mirrors validate_properties() in server.py
+  function validateFenceProps(props) {
+    const fail = (reason) => ({ ok: false, reason });
+    if (!FENCE_TYPES.includes(props.type)) return fail(`Type must be ${FENCE_TYPES.join(" or ")}.`);
+    if (!Number.isInteger(props.priority) || props.priority < 0 || props.priority > PRIORITY_MAX) {
+      return fail(`Priority must be a whole number 0–${PRIORITY_MAX}.`);
+    }
+    if (props.color && !/^#[0-9a-f]{6}$/i.test(props.color)) return fail("Color must be #rrggbb.");
+    const alt = props.altitude;
+    if (alt) {
+      const { min_m: lo, max_m: hi } = alt;
+      if (lo === null && hi === null) return fail("Altitude band needs a minimum, a maximum or both.");
+      if ([lo, hi].some((v) => v !== null && !Number.isFinite(v))) return fail("Altitudes must be numbers (metres).");
+      if (lo !== null && hi !== null && lo >= hi) return fail("Minimum altitude must be below the maximum.");
+      if (!ALTITUDE_REFS.includes(alt.ref)) return fail(`Altitude reference must be ${ALTITUDE_REFS.join(" or ")}.`);
+    }
+    const sched = props.schedule;
+    if (sched) {
+      const { active_from: from, active_until: until } = sched;
+      if (!from && !until) return fail("Schedule needs a start, an end or both.");
+      if ([from, until].some((v) => v && !isIsoTime(v))) return fail("Schedule times must be valid dates.");
+      if (from && until && Date.parse(from) >= Date.parse(until)) return fail("Active from must be before active until.");
+    }
+    return { ok: true };
+  }
+
+  // --- Properties editor (the <details> row under the fence name) ---
+  function renderFencePropsForm() {
+    const p = state.fenceProps;
+    const el = (id) => document.getElementById(id);
+    el("fenceType").value = p.type;
+    el("fencePriority").value = String(p.priority);
+    el("fenceColorCustom").checked = !!p.color;
+    el("fenceColor").value = p.color || fenceColor({ type: p.type });
+    el("fenceColor").disabled = !p.color;
+    el("fenceAltMin").value = p.altitude?.min_m ?? "";
+    el("fenceAltMax").value = p.altitude?.max_m ?? "";
+    el("fenceAltRef").value = p.altitude?.ref || "AGL";
+    el("fenceActiveFrom").value = isoToLocalInput(p.schedule?.active_from);
+    el("fenceActiveUntil").value = isoToLocalInput(p.schedule?.active_until);
+    el("fenceNotes").value = p.notes || "";
+    renderFencePropsSummary();
+  }
+
+  function renderFencePropsSummary() {
+    const p = state.fenceProps;
+    const parts = [p.type === "exclusion" ? "Exclusion" : "Inclusion", `priority ${p.priority}`];
+    if (p.altitude) parts.push(`${p.altitude.min_m ?? "…"}–${p.altitude.max_m ?? "…"} m ${p.altitude.ref}`);
+    if (p.schedule) parts.push(fenceActiveAt(p) ? "scheduled (active)" : "scheduled (inactive)");
+    dom.fencePropsSummary.textContent = `Properties: ${parts.join(" · ")}`;
+    const val = validateFenceProps(p);
+    dom.fencePropsError.textContent = val.ok ? "" : val.reason;
+    dom.fencePropsError.hidden = val.ok;
+  }
+
+  // Form → state. Invalid values are kept so the operator can finish typing; Send stays off until
+  // validateFenceProps() passes.
+  function readFencePropsForm() {
+    const el = (id) => document.getElementById(id);
+    const num = (id) => (el(id).value.trim() === "" ? null : Number(el(id).value));
+    const type = el("fenceType").value;
+    const custom = el("fenceColorCustom").checked;
+    el("fenceColor").disabled = !custom;
+    if (!custom) el("fenceColor").value = fenceColor({ type });
+    const altMin = num("fenceAltMin");
+    const altMax = num("fenceAltMax");
+    const from = localInputToIso(el("fenceActiveFrom").value);
+    const until = localInputToIso(el("fenceActiveUntil").value);
+    const props = {
+      notes: el("fenceNotes").value,
+      type,
+      priority: el("fencePriority").value.trim() === "" ? 0 : Number(el("fencePriority").value),
+      color: custom ? el("fenceColor").value.toLowerCase() : "",
+      altitude: altMin === null && altMax === null ? null : { min_m: altMin, max_m: altMax, ref: el("fenceAltRef").value },
+      schedule: from || until ? { active_from: from, active_until: until } : null,
+    };
+    state.fenceProps = props;
+    const fence = getActiveFence();
+    if (fence) fence.props = props;
+    renderFencePropsSummary();
+    styleFences();
+    if (state.mode === "drawing") {
+      if (state.drawTarget !== "hole") state.drawTempPolygon?.setStyle(fenceStyle(props, true));
+      liveUpdateStatsFromRings(getDrawPreviewRings(), getDrawPreviewShape());
+    } else if (state.drawnLayer) {
+      buildAndRenderPayload();
+      renderButtons();
+    }
+  }
+
+  // datetime-local inputs work in local time without a zone; the payload carries UTC ISO 8601
+  function isoToLocalInput(iso) {
+    if (!iso) return "";
+    const d = new Date(iso);
+    if (Number.isNaN(d.getTime())) return "";
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  function localInputToIso(value) {
+    if (!value) return null;
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? null : d.toISOString().replace(/\.\d{3}Z$/, "Z");
+  }
+
+  function isIsoTime(v) {
+    return typeof v === "string" && /^\d{4}-\d{2}-\d{2}T/.test(v) && !Number.isNaN(Date.parse(v));
+  }
+
+  // Inside the schedule at time t (no schedule = always)
+  function fenceActiveAt(props, t = Date.now()) {
+    const s = props?.schedule;
+    if (!s) return true;
+    return (!s.active_from || Date.parse(s.active_from) <= t) && (!s.active_until || t < Date.parse(s.active_until));
+  }
+
+  function fenceColor(props) {
+    return props?.color || FENCE_TYPE_COLORS[props?.type] || FENCE_STYLE.color;
+  }
+
+  function fenceStyle(props, active) {
+    const style = { ...(active ? FENCE_STYLE : FENCE_STYLE_INACTIVE), color: fenceColor(props) };
+    if (props?.type === "exclusion") Object.assign(style, { dashArray: "10 6", fillOpacity: style.fillOpacity * 2 });
+    return style;
+  }
+
+  // Revision for the fence as it is now. Content already handed to a transport keeps its revision, so
+  // a retry repeats the same Idempotency-Key; any edit gets a new one, even if the earlier attempt
+  // never arrived (revisions only ever grow, gaps are fine).
+  function nextRevision(fence) {
+    const key = fenceKey(fence);
+    if (fence.attempt?.key === key) return fence.attempt.revision;
+    return Math.max(fence.revision, fence.attempt?.revision || 0) + 1;
+  }
+
+  function recordAttempt(fence, payload) {
+    fence.attempt = { key: fenceKey(fence), revision: payload.revision };
+  }
+
+  function buildAndRenderPayload() {
+    if (!state.drawnLayer) {
+      renderInvalidEdges();
+      state.geojson = null;
+      dom.btnSend.disabled = true;
+      renderStats();
+      renderJsonPreview();
+      return;
+    }
+    const ringsLL = getRingsLatLngs(state.drawnLayer);
+    const geomVal = validateCoordsLL(ringsLL);
+    renderInvalidEdges(geomVal.badEdges);
+    const val = geomVal.ok ? validateFenceProps(state.fenceProps) : geomVal;
+    dom.btnSend.title = val.ok ? "" : val.reason;
+    if (!val.ok) {
+      state.geojson = null;
+      dom.btnSend.disabled = true;
+      renderStats();
+      renderJsonPreview(val.reason);
+      renderFenceList();
+      return;
+    }
+    state.geojson = buildFencePayload(getActiveFence());
+    dom.btnSend.disabled = false;
+    renderStats(ringsLL);
+    renderJsonPreview();
+    renderFenceList();
+  }
+
+  // ====== I) Networking & Queue ======
+  async function sendGeofence() {
+    const fence = getActiveFence();
+    if (!state.geojson || !fence) return;
+    const problem = transportProblem();
+    if (problem) return toast(problem, "error");
+    setBusy(true);
+    state.mode = "sending";
+    renderButtons();
+
+    try {
+      if (await sendFencePayload(fence, state.geojson)) {
+        toast(`Geofence sent via ${TRANSPORTS[state.transport].label}.`, "success");
+        if (state.transport === "http-json") loadServerFences(false);
+        state.mode = "success";
+      } else if (fence.conflict) {
+        state.mode = "ready";
+        openConflictPanel(fence);
+      } else if (config.enableOfflineQueue) {
+        toast("Send failed. Saved to queue.", "error");
+        state.mode = "ready";
+      } else {
+        toast("Send failed.", "error");
+        state.mode = "error";
+      }
+      renderButtons();
+      renderFenceList();
+      refreshQueueBadge();
+    } finally { setBusy(false); }
+  }
+
+  async function sendAllFences() {
+    const problem = transportProblem();
+    if (problem) return toast(problem, "error");
+    if (state.mode === "drawing") return toast("Finish the drawing first.", "error");
+    if (state.mode === "editing") exitCustomEditMode(true);
+
+    const pending = state.fences.filter((f) => fenceStatus(f) !== "sent");
+    if (!pending.length) return toast("Every fence is already sent.", "success");
+
+    setBusy(true);
+    let sent = 0, failed = 0, invalid = 0;
+    const conflicts = [];
+    try {
+      for (const fence of pending) {
+        const ringsLL = getRingsLatLngs(fence.layer);
+        if (!validateCoordsLL(ringsLL).ok || !validateFenceProps(fence.props).ok) { invalid++; continue; }
+        const payload = buildFencePayload(fence);
+        if (await sendFencePayload(fence, payload)) sent++;
+        else if (fence.conflict) conflicts.push(fence);
+        else failed++;
+      }
+    } finally { setBusy(false); }
+
+    const parts = [`Sent ${sent}`];
+    if (failed)  parts.push(`${failed} ${config.enableOfflineQueue ? "queued" : "failed"}`);
+    if (conflicts.length) parts.push(`${conflicts.length} changed on the server`);
+    if (invalid) parts.push(`${invalid} invalid skipped`);
+    toast(`${parts.join(", ")}.`, failed || invalid || conflicts.length ? "error" : "success", 3200);
+    if (conflicts.length) openConflictPanel(conflicts[0]);
+
+    if (sent && state.transport === "http-json") loadServerFences(false);
+    renderButtons();
+    renderFenceList();
+    refreshQueueBadge();
+  }
+
+  // Send one fence via the selected transport. On failure it is parked in the offline queue (reusing its
+  // queue item if it has one) and retried on that same transport.
+  async function sendFencePayload(fence, payload) {
+    const transport = state.transport;
+    recordAttempt(fence, payload);
+    try {
+      const ack = await deliverPayload(payload, transport);
+      if (fence.queueId) {
+        await markQueueItemAcked(fence.queueId, ack);
+        fence.queueId = null;
+        renderQueueSaveBar();
+      }
+      markFenceAcked(fence, ack);
+      return true;
+    } catch (err) {
+      console.error(err);
+      if (isRevisionConflict(err, payload)) {
+        // Retrying can't fix this; the user has to pick a side
+        fence.conflict = { current: err.body?.current || null };
+        return false;
+      }
+      if (config.enableOfflineQueue) await queueFencePayload(fence, payload, err, transport);
+      return false;
+    }
+  }
+
+  // 409: the server's copy moved on since this edit started. 404 on an update: it was deleted there.
+  function isRevisionConflict(err, payload) {
+    return err.status === 409 || (err.status === 404 && !!payload.base_revision);
+  }
+
+  // Pluggable send transports: deliver(payload) resolves on success and throws on failure, so the
+  // queue/retry paths work the same whichever one is selected
+  const TRANSPORTS = {
+    "http-json": { label: "Geofence API (JSON)",       setting: "Server URL",          url: () => config.apiUrl,     deliver: postPayload },
+    "cot-ws":    { label: "TAK WebSocket (CoT)",       setting: "TAK WebSocket URL",   url: () => config.cotWsUrl,   deliver: sendCotWebSocket },
+    "cot-http":  { label: "TAK HTTP bridge (CoT)",     setting: "TAK HTTP bridge URL", url: () => config.cotHttpUrl, deliver: (p) => postCot(config.cotHttpUrl, p) },
+    "cot-relay": { label: "Server relay to TAK (CoT)", setting: "Server URL",          url: cotRelayUrl,             deliver: (p) => postCot(cotRelayUrl(), p) },
+  };
+
+  function transportProblem(transport = state.transport) {
+    const t = TRANSPORTS[transport];
+    return t.url() ? "" : `Set the ${t.setting} in Settings to send via ${t.label}.`;
+  }
+
+  // Resolves the receiver's acknowledgement { id, revision, duplicate, transport }. Only the Geofence
+  // API answers with one; for CoT the handoff itself is the acknowledgement.
+  async function deliverPayload(payload, transport = state.transport) {
+    const ack = await TRANSPORTS[transport].deliver(payload);
+    return { id: null, revision: payload.revision ?? 1, duplicate: false, ...ack, transport };
+  }
+
+  // Only the Geofence API stores revisions, so only its acks move fence.revision (the next base_revision).
+  // A CoT handoff marks the fence sent on that transport and nothing else.
+  function markFenceAcked(fence, ack) {
+    fence.sentKeys[ack.transport] = fenceKey(fence);
+    if (ack.transport === "http-json") {
+      fence.revision = ack.revision;
+      fence.serverId = ack.id ?? fence.serverId;
+    }
+    fence.history = newHistory();
+  }
+
+  // Queue items remember the transport they were sent on; ones stored before that use the selected one
+  function queueTransport(item) {
+    return TRANSPORTS[item.transport] ? item.transport : state.transport;
+  }
+
+  function loadTransport() {
+    const saved = localStorage.getItem("geofenceTransport");
+    state.transport = TRANSPORTS[saved] ? saved : DEFAULT_TRANSPORT;
+    renderTransportOptions();
+  }
+
+  function renderTransportOptions() {
+    dom.transport.innerHTML = Object.entries(TRANSPORTS)
+      .map(([key, t]) => `<option value="${key}"${t.url() ? "" : " disabled"}>${escapeHTML(t.label)}</option>`)
+      .join("");
+    dom.transport.value = state.transport;
+  }
+
+  function onTransportChange() {
+    state.transport = dom.transport.value;
+    localStorage.setItem("geofenceTransport", state.transport);
+    if (state.cotSocket && state.transport !== "cot-ws") {
+      state.cotSocket.close();
+      state.cotSocket = null;
+    }
+    renderFenceList(); // sent/draft is per transport
+    renderButtons();
+    scheduleQueueSync();
+  }
+
+  // The Idempotency-Key makes a retry of a send whose response was lost return the stored fence
+  // instead of inserting it twice
+  // New fences are POSTed; edits of a stored one (base_revision set) replace it with a PUT
+  async function postPayload(payload) {
+    const update = !!payload.base_revision;
+    const res = await fetch(update ? apiFenceUrl(payload.fence_id) : config.apiUrl, {
+      method: update ? "PUT" : "POST",
+      headers: { "Content-Type": "application/json", "Idempotency-Key": idempotencyKey(payload), ...operatorHeaders() },
+      body: JSON.stringify(payload),
+    });
+    if (!res.ok) throw await httpError("Server", res);
+    const body = await res.json().catch(() => ({}));
+    const ack = {};
+    if (body.id != null) ack.id = body.id;
+    if (Number.isInteger(body.revision)) ack.revision = body.revision;
+    if (body.duplicate) ack.duplicate = true;
+    return ack;
+  }
+
+  // Who made a change, for the events other operators receive; the client id lets this tab skip its own
+  function operatorHeaders() {
+    const headers = { "X-Client-Id": state.clientId };
+    if (config.operatorName) headers["X-Operator"] = config.operatorName;
+    return headers;
+  }
+
+  function idempotencyKey(payload) {
+    return `${payload.fence_id}:${payload.revision ?? 1}`;
+  }
+
+  async function postCot(url, payload) {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/xml" },
+      body: buildCotEvent(payload),
+    });
+    if (!res.ok) throw await httpError("CoT", res);
+  }
+
+  // Keeps the HTTP status on the error so the queue can tell rejected payloads from outages
+  // The server's JSON error body (message, and on 409 its current copy) is kept as err.body
+  async function httpError(prefix, res) {
+    const txt = await res.text().catch(() => "");
+    let body = null;
+    try { body = JSON.parse(txt); } catch (_) { /* plain-text error */ }
+    const err = new Error(`${prefix} ${res.status}: ${body?.message || txt || res.statusText}`);
+    err.status = res.status;
+    err.body = body;
+    return err;
+  }
+
+  // CoT has no acknowledgement: a send counts once the event is handed to an open socket
+  async function sendCotWebSocket(payload) {
+    const ws = await openCotSocket();
+    ws.send(buildCotEvent(payload));
+  }
+
+  function openCotSocket() {
+    const open = state.cotSocket;
+    if (open && open.readyState === WebSocket.OPEN) return Promise.resolve(open);
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(config.cotWsUrl);
+      const timer = setTimeout(() => {
+        ws.close();
+        reject(new Error(`WebSocket to ${config.cotWsUrl} timed out`));
+      }, COT_WS_CONNECT_TIMEOUT_MS);
+      ws.addEventListener("open", () => { clearTimeout(timer); state.cotSocket = ws; resolve(ws); });
+      ws.addEventListener("error", () => { clearTimeout(timer); reject(new Error(`WebSocket to ${config.cotWsUrl} failed`)); });
+      ws.addEventListener("close", () => { if (state.cotSocket === ws) state.cotSocket = null; });
+    });
+  }
+
+  async function queueFencePayload(fence, payload, err, transport) {
+    const fail = (item) => {
+      item.payload = payload;
+      item.transport = transport;
+      recordQueueFailure(item, err);
+    };
+    if (fence.queueId && outstandingQueue().some((x) => x.id === fence.queueId)) {
+      await updateQueueItem(fence.queueId, fail);
+    } else {
+      const item = newQueueItem(payload, transport);
+      fail(item);
+      fence.queueId = item.id;
+      await addQueueItem(item);
+    }
+    refreshQueuePanel();
+    scheduleQueueSync();
+  }
+
+  function newQueueItem(payload, transport) {
+    return {
+      id: `q-${uuidv4()}`,
+      payload,
+      transport,            // key of TRANSPORTS; retries go out the same way
+      enqueued_at: new Date().toISOString(),
+      attempts: 0,
+      last_error: "",
+      status: "pending",    // "pending" (auto-retried) | "failed" (rejected by the server) | "acked"
+      next_retry_at: null,  // ISO time of the next automatic attempt
+      acked_at: null,       // once delivered: when, and the receiver's { id, revision, duplicate }
+      ack: null,
+    };
+  }
+
+  async function sendOneQueueItem(id) {
+    const item = state.queue.find((x) => x.id === id);
+    if (!item) return;
+    const problem = transportProblem(queueTransport(item));
+    if (problem) return toast(problem, "error");
+
+    const sent = await attemptQueueItem(item);
+    if (sent) toast("Queued item sent.", "success");
+    else if (sent === false) toast("Send failed for that item.", "error");
+    else toast("That item is no longer queued.", "error");
+    refreshQueuePanel(); refreshQueueBadge(); renderFenceList();
+    scheduleQueueSync();
+  }
+
+  // One delivery attempt. Success marks the item acknowledged (and any workspace fence built from it
+  // as sent); failure records the error and when to try again. Resolves null if another tab already
+  // sent or removed the item.
+  async function attemptQueueItem(item) {
+    const current = await readQueueItem(item.id);
+    if (!current) {
+      dropQueueItemLocally(item.id);
+      return null;
+    }
+    if (current.status === "acked") {
+      Object.assign(item, current); // delivered by another tab
+      return null;
+    }
+    let ack;
+    try {
+      ack = await deliverPayload(current.payload, queueTransport(current));
+    } catch (err) {
+      await updateQueueItem(item.id, (it) => recordQueueFailure(it, err));
+      return false;
+    }
+    await markQueueItemAcked(item.id, ack);
+    const fence = state.fences.find((f) => f.queueId === item.id);
+    if (fence) {
+      fence.queueId = null;
+      markFenceAcked(fence, ack);
+      renderQueueSaveBar();
+      renderButtons();
+    }
+    return true;
+  }
+
+  // Delivered items stay in the store (for the record and for other tabs) until pruned
+  function markQueueItemAcked(id, ack) {
+    return updateQueueItem(id, (item) => {
+      Object.assign(item, { status: "acked", acked_at: new Date().toISOString(), ack, next_retry_at: null, last_error: "" });
+    });
+  }
+
+  function outstandingQueue() {
+    return state.queue.filter((item) => item.status !== "acked");
+  }
+
+  function recordQueueFailure(item, err) {
+    item.attempts = (item.attempts || 0) + 1;
+    item.last_error = String(err?.message || err);
+    if (isPermanentFailure(err)) {
+      item.status = "failed";
+      item.next_retry_at = null;
+    } else {
+      item.status = "pending";
+      item.next_retry_at = new Date(Date.now() + retryDelayMs(item.attempts)).toISOString();
+    }
+  }
+
+  // A 4xx means the server rejected this payload, so resending it unchanged won't help.
+  // Timeouts and rate limiting are the exceptions; network errors and 5xx are always transient.
+  function isPermanentFailure(err) {
+    const status = err?.status;
+    return status >= 400 && status < 500 && status !== 408 && status !== 429;
+  }
+
+  // Exponential backoff with "equal jitter": half the delay is fixed, half random
+  function retryDelayMs(attempts) {
+    const delay = Math.min(QUEUE_RETRY_MAX_MS, QUEUE_RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  // Pending, and its transport is configured (the others wait for Settings)
+  function isQueueItemSendable(item) {
+    return item.status === "pending" && !transportProblem(queueTransport(item));
+  }
+
+  function isQueueItemDue(item, now = Date.now()) {
+    return item.status === "pending" && (!item.next_retry_at || Date.parse(item.next_retry_at) <= now);
+  }
+
+  // Send every due item (or every retryable one with all: true, e.g. right after coming back online).
+  // Returns { sent, failed } for the items it tried. Only one tab drains at a time (Web Locks).
+  async function syncQueue({ all = false } = {}) {
+    const result = { sent: 0, failed: 0 };
+    if (state.syncing || !navigator.onLine) return result;
+    if (!navigator.locks) return drainQueue(all, result);
+    return navigator.locks.request(QUEUE_SYNC_TAG, { ifAvailable: true }, (lock) => (lock ? drainQueue(all, result) : result));
+  }
+
+  async function drainQueue(all, result) {
+    const now = Date.now();
+    const due = state.queue.filter((item) => isQueueItemSendable(item) && (all || isQueueItemDue(item, now)));
+    if (!due.length) {
+      scheduleQueueSync();
+      return result;
+    }
+
+    state.syncing = true;
+    try {
+      for (const item of due) {
+        if (!state.queue.includes(item)) continue; // sent or removed meanwhile
+        const sent = await attemptQueueItem(item);
+        if (sent) result.sent++;
+        else if (sent === false) result.failed++;
+      }
+    } finally {
+      state.syncing = false;
+    }
+
+    if (result.sent) {
+      toast(`Synced ${result.sent} queued fence(s).`, "success");
+      if (due.some((item) => item.status === "acked" && queueTransport(item) === "http-json")) loadServerFences(false);
+    }
+    refreshQueuePanel(); refreshQueueBadge(); renderFenceList();
+    scheduleQueueSync();
+    return result;
+  }
+
+  // One timer for the earliest retry; offline or unconfigured queues wait for onOnline / Settings
+  function scheduleQueueSync() {
+    clearTimeout(state.syncTimer);
+    state.syncTimer = null;
+    const times = state.queue
+      .filter(isQueueItemSendable)
+      .map((item) => (item.next_retry_at ? Date.parse(item.next_retry_at) : Date.now()));
+    if (!times.length) return;
+    state.syncTimer = setTimeout(() => syncQueue(), Math.max(0, Math.min(...times) - Date.now()));
+    requestBackgroundSync();
+  }
+
+  async function requestBackgroundSync() {
+    try {
+      const reg = await navigator.serviceWorker?.getRegistration();
+      await reg?.sync?.register(QUEUE_SYNC_TAG);
+    } catch (_) { /* unsupported or denied: the in-page timer still runs */ }
+  }
+
+  async function removeQueuedItemById(id) {
+    if (!state.queue.some((x) => x.id === id)) return;
+    dropQueueItemLocally(id);
+    state.unsavedQueueIds.delete(id);
+    try {
+      await queueStore("readwrite", (store) => store.delete(id));
+      announceQueueChange(id);
+    } catch (err) {
+      reportQueueStorageError(err);
+    }
+  }
+
+  // ====== I1) Queue storage (IndexedDB "geofence-ui", shared by all tabs) ======
+  // state.queue mirrors the "queue" store. Every change is written per item and announced on a
+  // BroadcastChannel; other tabs re-read just that item.
+  function openUiDb() {
+    state.uiDb = state.uiDb || new Promise((resolve, reject) => {
+      const req = indexedDB.open(UI_DB, UI_DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        if (e.oldVersion < 1) {
+          const store = req.result.createObjectStore("queue", { keyPath: "id" });
+          // Before v1 the whole queue was one localStorage array
+          for (const item of readLegacyQueue()) store.put(item);
+        }
+        if (e.oldVersion < 2) req.result.createObjectStore("breaches", { keyPath: "id" });
+        if (e.oldVersion < 3) req.result.createObjectStore("track", { keyPath: "id", autoIncrement: true });
+      };
+      req.onsuccess = () => {
+        localStorage.removeItem(LEGACY_QUEUE_KEY); // migrated (or already gone)
+        resolve(req.result);
+      };
+      req.onerror = () => { state.uiDb = null; reject(req.error); };
+      req.onblocked = () => toast("Close other Geofence tabs to finish updating the queue storage.", "error", 5000);
+    });
+    return state.uiDb;
+  }
+
+  async function uiStore(name, mode, fn) {
+    const db = await openUiDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(name, mode);
+      const result = fn(tx.objectStore(name));
+      tx.oncomplete = () => resolve(result?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error(`Write to "${name}" aborted`));
+    });
+  }
+
+  function queueStore(mode, fn) { return uiStore("queue", mode, fn); }
+
+  function readLegacyQueue() {
+    try {
+      const items = JSON.parse(localStorage.getItem(LEGACY_QUEUE_KEY) || "[]");
+      return Array.isArray(items) ? items.filter((item) => item?.id).map(normalizeQueueItem) : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  // Items saved before auto-sync have no status yet
+  function normalizeQueueItem(item) {
+    return { ...item, status: item.status || "pending", next_retry_at: item.next_retry_at || null };
+  }
+
+  async function loadQueue() {
+    try {
+      const items = await queueStore("readonly", (store) => store.getAll());
+      state.queue = (items || []).map(normalizeQueueItem).sort((a, b) => a.enqueued_at.localeCompare(b.enqueued_at));
+      await pruneAckedQueueItems();
+    } catch (err) {
+      state.queue = readLegacyQueue();
+      reportQueueStorageError(err);
+    }
+    if ("BroadcastChannel" in window && !state.queueChannel) {
+      state.queueChannel = new BroadcastChannel(QUEUE_SYNC_TAG);
+      state.queueChannel.addEventListener("message", (e) => onQueueChangedElsewhere(e.data?.id));
+    }
+  }
+
+  async function pruneAckedQueueItems() {
+    const cutoff = Date.now() - QUEUE_ACK_RETENTION_MS;
+    const old = state.queue.filter((item) => item.status === "acked" && Date.parse(item.acked_at) < cutoff);
+    for (const item of old) await removeQueuedItemById(item.id);
+  }
+
+  // Resolves the stored copy, or null once it is gone. Without storage the in-memory copy stands.
+  async function readQueueItem(id) {
+    if (state.unsavedQueueIds.has(id)) return state.queue.find((x) => x.id === id) || null;
+    try {
+      return (await queueStore("readonly", (store) => store.get(id))) || null;
+    } catch (_) {
+      return state.queue.find((x) => x.id === id) || null;
+    }
+  }
+
+  async function addQueueItem(item) {
+    state.queue.push(item);
+    refreshQueueBadge();
+    await persistQueueItem(item);
+  }
+
+  async function persistQueueItem(item) {
+    try {
+      await queueStore("readwrite", (store) => store.put(item));
+      state.unsavedQueueIds.delete(item.id);
+      announceQueueChange(item.id);
+    } catch (err) {
+      state.unsavedQueueIds.add(item.id);
+      reportQueueStorageError(err);
+    }
+  }
+
+  // Read-modify-write in one transaction, so fields another tab changed in the meantime survive.
+  // The stored result then replaces the in-memory copy.
+  async function updateQueueItem(id, mutate) {
+    const local = state.queue.find((x) => x.id === id);
+    if (local && state.unsavedQueueIds.has(id)) {
+      mutate(local);
+      return persistQueueItem(local); // try again to store it
+    }
+    let stored;
+    try {
+      stored = await queueStore("readwrite", (store) => {
+        const out = {};
+        const req = store.get(id);
+        req.onsuccess = () => {
+          out.result = req.result || null;
+          if (out.result) {
+            mutate(out.result);
+            store.put(out.result);
+          }
+        };
+        return out;
+      });
+    } catch (err) {
+      if (local) {
+        mutate(local);
+        state.unsavedQueueIds.add(id);
+      }
+      reportQueueStorageError(err);
+      return;
+    }
+    if (!stored) return dropQueueItemLocally(id);
+    if (local) Object.assign(local, stored);
+    else state.queue.push(stored);
+    announceQueueChange(id);
+    refreshQueueBadge();
+  }
+
+  function dropQueueItemLocally(id) {
+    const i = state.queue.findIndex((x) => x.id === id);
+    if (i === -1) return;
+    state.queue.splice(i, 1);
+    refreshQueuePanel(); refreshQueueBadge();
+  }
+
+  // Called after every successful write
+  function announceQueueChange(id) {
+    clearQueueStorageError();
+    state.queueChannel?.postMessage({ id });
+  }
+
+  async function onQueueChangedElsewhere(id) {
+    if (!id) return;
+    const stored = await readQueueItem(id);
+    const local = state.queue.find((x) => x.id === id);
+    if (stored && local) {
+      Object.assign(local, stored);
+    } else if (stored) {
+      state.queue.push(stored);
+    }
+    const fence = state.fences.find((f) => f.queueId === id);
+    if (stored?.status === "acked" && fence) {
+      // Delivered by another tab: it counts as sent here too, unless edited since it was queued
+      fence.queueId = null;
+      if (nextRevision(fence) === stored.payload?.revision) markFenceAcked(fence, stored.ack);
+      else if (stored.ack.transport === "http-json") fence.revision = Math.max(fence.revision, stored.ack.revision);
+      renderQueueSaveBar();
+      renderButtons();
+    } else if (!stored) {
+      dropQueueItemLocally(id);
+      if (fence) {
+        fence.queueId = null; // sent or removed in another tab
+        renderQueueSaveBar();
+      }
+    }
+    refreshQueuePanel(); refreshQueueBadge(); renderFenceList();
+    scheduleQueueSync();
+  }
+
+  // Kept on screen (Queue button and panel) rather than only toasted: a later toast would hide it
+  function reportQueueStorageError(err) {
+    console.error(err);
+    const msg = err?.name === "QuotaExceededError"
+      ? "Device storage is full, so queued changes were not saved. Free some space (Offline map → Clear cache) and send again."
+      : `Queue storage unavailable (${err?.message || err}). Queued fences last only until reload.`;
+    if (msg !== state.queueStorageError) toast(msg, "error", 6000);
+    state.queueStorageError = msg;
+    refreshQueuePanel(); refreshQueueBadge();
+  }
+
+  function clearQueueStorageError() {
+    if (!state.queueStorageError) return;
+    state.queueStorageError = "";
+    refreshQueuePanel(); refreshQueueBadge();
+  }
+
+  // ====== J) Queue Panel (view/edit/remove/load) ======
+  function openQueuePanel() {
+    ensureQueuePanel();
+    dom.queuePanel.classList.remove("is-hidden");
+    refreshQueuePanel();
+    // Open the sheet if closed
+    dom.infoSheet.classList.add("open");
+  }
+
+  function closeQueuePanel() {
+    if (dom.queuePanel) dom.queuePanel.classList.add("is-hidden");
+  }
+
+  function refreshQueuePanel() {
+    ensureQueuePanel();
+    const list = dom.queueList;
+    list.innerHTML = state.queueStorageError
+      ? `<div style="padding:8px;color:var(--error);">${escapeHTML(state.queueStorageError)}</div>`
+      : "";
+
+    if (!state.queue.length) {
+      list.insertAdjacentHTML("beforeend", `<div style="padding:8px;color:var(--muted);">Queue is empty.</div>`);
+      renderQueueSaveBar();
+      return;
+    }
+
+    for (const item of state.queue) {
+      const li = document.createElement("div");
+      li.style.border = "1px solid var(--border)";
+      li.style.borderRadius = "6px";
+      li.style.padding = "8px";
+      li.style.marginBottom = "8px";
+      li.style.background = "var(--panel-2)";
+
+      const name = item.payload?.properties?.name || "(unnamed)";
+      const idShort = item.id.slice(0, 8);
+      const pts = (item.payload?.shape?.coordinates?.[0]?.length || 1) - 1;
+      const holes = Math.max((item.payload?.shape?.coordinates?.length || 1) - 1, 0);
+
+      li.innerHTML = `
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:8px;">
+          <div style="display:grid;gap:2px;">
+            <strong style="font-size:14px;">${escapeHTML(name)}</strong>
+            <span style="font-size:12px;color:var(--muted);">ID ${idShort} • ${pts} pts${holes ? ` • ${holes} hole(s)` : ""} • ${new Date(item.enqueued_at).toLocaleString()}</span>
+            <span style="font-size:12px;color:var(--muted);">Via ${escapeHTML(TRANSPORTS[queueTransport(item)].label)}</span>
+            ${item.last_error ? `<span style="font-size:12px;color:var(--error);">Last error: ${escapeHTML(item.last_error)}</span>` : ""}
+            ${queueItemStatusHTML(item)}
+          </div>
+          <div style="display:flex;gap:6px;">
+            <button class="btn btn-ghost" data-act="load" data-id="${item.id}">Load</button>
+            ${item.status === "acked" ? "" : `<button class="btn btn-ghost" data-act="send" data-id="${item.id}">Send</button>`}
+            <button class="btn" style="border-color:var(--error);color:var(--error);" data-act="remove" data-id="${item.id}">X</button>
+          </div>
+        </div>
+      `;
+      list.appendChild(li);
+    }
+    renderQueueSaveBar();
+  }
+
+  function queueItemStatusHTML(item) {
+    if (item.status === "acked") {
+      const ack = item.ack || {};
+      const detail = [ack.id != null ? `stored as #${ack.id}` : "", `revision ${ack.revision}`, ack.duplicate ? "already on the server" : ""]
+        .filter(Boolean).join(", ");
+      return `<span style="font-size:12px;color:var(--success);">Delivered ${new Date(item.acked_at).toLocaleString()} (${escapeHTML(detail)})</span>`;
+    }
+    const tries = `${item.attempts} attempt${item.attempts === 1 ? "" : "s"}`;
+    if (item.status === "failed") {
+      return `<span style="font-size:12px;color:var(--error);">Rejected by the server (${tries}). Load and fix it, then Send; it is not retried automatically.</span>`;
+    }
+    if (!item.next_retry_at) return "";
+    const at = new Date(item.next_retry_at);
+    const when = at <= Date.now() ? "when online" : `at ${at.toLocaleTimeString()}`;
+    return `<span style="font-size:12px;color:var(--muted);">${tries} • next automatic retry ${when}</span>`;
+  }
+
+  function renderQueueSaveBar() {
+    if (!dom.queueSaveBar) return;
+    dom.queueSaveBar.classList.toggle("is-hidden", !getActiveFence()?.queueId);
+  }
+
+  function ensureQueuePanel() {
+    if (dom.queuePanel) return;
+
+    const content = dom.infoSheet.querySelector(".sheet__content");
+    const panel = document.createElement("div");
+    panel.id = "queuePanel";
+    panel.className = "sheet__row is-hidden";
+    panel.innerHTML = `
+      <div style="display:flex;align-items:center;justify-content:space-between;">
+        <h3 style="margin:0;font-size:16px;">Queue</h3>
+        <div style="display:flex;gap:6px;">
+          <button id="btnQueueRetryAll" class="btn btn-ghost" type="button">Retry all</button>
+          <button id="btnQueueClearAcked" class="btn btn-ghost" type="button">Clear delivered</button>
+          <button id="btnQueueClose" class="btn" type="button">Close</button>
+        </div>
+      </div>
+      <div id="queueList" style="margin-top:8px;"></div>
+      <div id="queueSaveBar" class="is-hidden" style="display:flex;gap:8px;justify-content:flex-end;margin-top:8px;border-top:1px dashed var(--border);padding-top:8px;">
+        <button id="btnQueueSaveChanges" class="btn btn-primary" type="button">Save changes to item</button>
+      </div>
+    `;
+    content.appendChild(panel);
+
+    dom.queuePanel = panel;
+    dom.queueList = panel.querySelector("#queueList");
+    dom.queueSaveBar = panel.querySelector("#queueSaveBar");
+    dom.btnQueueRetryAll = panel.querySelector("#btnQueueRetryAll");
+    dom.btnQueueClearAcked = panel.querySelector("#btnQueueClearAcked");
+    dom.btnQueueClose = panel.querySelector("#btnQueueClose");
+    dom.btnQueueSaveChanges = panel.querySelector("#btnQueueSaveChanges");
+
+    // Delegated click handlers for list items
+    dom.queueList.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-act]");
+      if (!btn) return;
+      const id = btn.getAttribute("data-id");
+      const act = btn.getAttribute("data-act");
+      if (act === "load") loadQueueItemToMap(id);
+      else if (act === "send") sendOneQueueItem(id);
+      else if (act === "remove") removeQueuedItemById(id);
+    });
+
+    dom.btnQueueRetryAll.addEventListener("click", retryAllQueued);
+    dom.btnQueueClearAcked.addEventListener("click", clearAckedQueueItems);
+    dom.btnQueueClose.addEventListener("click", closeQueuePanel);
+    dom.btnQueueSaveChanges.addEventListener("click", saveEditsBackToQueue);
+  }
+
+  async function clearAckedQueueItems() {
+    const acked = state.queue.filter((item) => item.status === "acked");
+    for (const item of acked) await removeQueuedItemById(item.id);
+  }
+
+  // Manual retry: ignores backoff and gives server-rejected items another go too
+  async function retryAllQueued() {
+    const outstanding = outstandingQueue();
+    if (!outstanding.length) return toast("Nothing left to send.", "success");
+    const problems = outstanding.map((item) => transportProblem(queueTransport(item)));
+    if (problems.every(Boolean)) return toast(problems[0], "error");
+    if (!navigator.onLine) return toast("Offline. The queue will sync when the connection returns.", "error");
+    if (state.syncing) return toast("Queue sync already running.", "success");
+    for (const item of state.queue.filter((x) => x.status === "failed")) {
+      await updateQueueItem(item.id, (it) => { it.status = "pending"; });
+    }
+    const { sent, failed } = await syncQueue({ all: true });
+    if (failed) toast(`${failed} still queued${sent ? `, ${sent} sent` : ""}.`, "error", 3200);
+  }
+
+  function loadQueueItemToMap(id) {
+    const item = state.queue.find((x) => x.id === id);
+    if (!item) return;
+
+    // Build layer from payload and enter edit mode
+    const rings = payloadToLatLngRings(item.payload);
+    if (!rings.length || rings[0].length < 3) return toast("Invalid geometry in item.", "error");
+
+    if (state.mode === "drawing") cancelCustomDraw();
+    if (state.mode === "editing") exitCustomEditMode(true);
+
+    // Reuse the workspace fence if this item is already loaded
+    let fence = state.fences.find((f) => f.queueId === id);
+    if (!fence) {
+      fence = addFenceToWorkspace(rings, {
+        name: item.payload?.properties?.name || "",
+        fenceId: item.payload?.fence_id,
+        shape: sourceToShape(item.payload?.shape?.source),
+        props: fencePropsFrom(item.payload?.properties),
+        queueId: id,
+        revision: item.payload?.base_revision || 0,
+      });
+      // Reopened unchanged, it must keep the revision (and Idempotency-Key) it was queued with
+      if (item.payload?.revision) recordAttempt(fence, item.payload);
+    }
+    setActiveFence(fence);
+
+    enterCustomEditMode(false);
+    buildAndRenderPayload();
+
+    dom.infoSheet.classList.add("open");
+    toast("Loaded from queue. Edit via handles, then Save changes.", "success", 3200);
+  }
+
+  async function saveEditsBackToQueue() {
+    const fence = getActiveFence();
+    if (!fence?.queueId) {
+      return toast("No loaded queue item.", "error");
+    }
+    if (!outstandingQueue().some((x) => x.id === fence.queueId)) return toast("Queue item missing or already delivered.", "error");
+
+    const updated = buildFencePayload(fence);
+    recordAttempt(fence, updated); // the queue may deliver it at any time
+    // An edited payload deserves a fresh try, even if the server rejected the old one
+    await updateQueueItem(fence.queueId, (item) => Object.assign(item, { payload: updated, status: "pending", next_retry_at: null }));
+    refreshQueuePanel();
+    refreshQueueBadge();
+    scheduleQueueSync();
+    toast("Changes saved to queue item.", "success");
+  }
+
+  // Outer ring plus any holes, so queued fences round-trip intact
+  function payloadToLatLngRings(payload) {
+    return coordinatesToLatLngRings(payload?.shape?.coordinates);
+  }
+
+  // GeoJSON Polygon coordinates ([[ [lon,lat], … ], …]) -> Array<Array<LatLng>>
+  function coordinatesToLatLngRings(coordinates) {
+    try {
+      return (coordinates || []).map((ring) => {
+        // Exclude closing duplicate if present
+        const open = [];
+        for (let i = 0; i < ring.length; i++) {
+          const [lon, lat] = ring[i];
+          if (i < ring.length - 1 || (lon !== ring[0][0] || lat !== ring[0][1])) {
+            open.push(L.latLng(lat, lon));
+          }
+        }
+        return open;
+      });
+    } catch {
+      return [];
+    }
+  }
+
+  function refreshQueueBadge() {
+    // Show/hide "Queue" button and maybe annotate count
+    const n = outstandingQueue().length;
+    const rejected = state.queue.filter((item) => item.status === "failed").length;
+    dom.btnQueue.hidden = false;
+    dom.btnQueue.textContent = (n ? `Queue (${n}${rejected ? `, ${rejected} rejected` : ""})` : "Queue") + (state.queueStorageError ? " ⚠" : "");
+    dom.btnQueue.title = state.queueStorageError;
+  }
+
+  // ====== J1) Workspace (many fences, one active) ======
+  function getActiveFence() {
+    return state.fences.find((f) => f.id === state.activeFenceId) || null;
+  }
+
+  function addFenceToWorkspace(ringsLL, { name = "", fenceId = null, shape = null, queueId = null, revision = 0, attempt = null, props = null } = {}) {
+    props = props ? { ...props } : defaultFenceProps();
+    const layer = L.polygon(ringsLL, fenceStyle(props, false));
+    const fence = {
+      id: `w-${uuidv4()}`,
+      fenceId: fenceId || `ui-${uuidv4()}`,
+      name,
+      props,              // type, priority, color, altitude, schedule, notes (payload properties, 1.3)
+      layer,
+      shape,              // null = freehand polygon; else circle/rectangle/corridor parameters
+      queueId,
+      sentKeys: {},       // transport → fenceKey() at the last successful send through it
+      revision,           // last revision the receiver acknowledged (0 = never sent)
+      attempt,            // { key: fenceKey(), revision } last handed to a transport; retries reuse it
+      serverId: null,     // row id the Geofence API stored it under
+      history: newHistory(),
+    };
+    layer.on("click", () => {
+      if (state.mode === "drawing" || state.ruler) return; // taps place vertices / ruler points
+      selectFence(fence.id);
+    });
+    state.drawnItems.addLayer(layer);
+    state.fences.push(fence);
+    renderFenceList();
+    return fence;
+  }
+
+  function setActiveFence(fence) {
+    state.activeFenceId = fence.id;
+    state.drawnLayer = fence.layer;
+    state.fenceName = fence.name;
+    dom.fenceName.value = fence.name;
+    state.fenceProps = fence.props;
+    renderFencePropsForm();
+    styleFences();
+    renderQueueSaveBar();
+    renderShapeParamRow();
+  }
+
+  function deselectFence() {
+    state.activeFenceId = null;
+    state.drawnLayer = null;
+    state.geojson = null;
+    state.fenceName = "";
+    dom.fenceName.value = "";
+    state.fenceProps = defaultFenceProps();
+    renderFencePropsForm();
+    styleFences();
+    renderQueueSaveBar();
+    renderShapeParamRow();
+    renderInvalidEdges();
+  }
+
+  function selectFence(id) {
+    const fence = state.fences.find((f) => f.id === id);
+    if (!fence || state.mode === "drawing" || state.mode === "sending") return;
+    if (fence.id === state.activeFenceId) return;
+
+    // Editing follows the selection so only one fence ever has handles
+    const wasEditing = state.mode === "editing";
+    if (wasEditing) exitCustomEditMode(true);
+
+    setActiveFence(fence);
+    state.mode = "ready";
+    if (wasEditing) enterCustomEditMode(true);
+    buildAndRenderPayload();
+    renderButtons();
+  }
+
+  function removeFence(id) {
+    if (id === state.activeFenceId) return clearPolygon();
+    const fence = state.fences.find((f) => f.id === id);
+    if (!fence) return;
+    if (state.conflict?.fence === fence) closeConflictPanel();
+    state.drawnItems.removeLayer(fence.layer);
+    state.fences = state.fences.filter((f) => f !== fence);
+    renderFenceList();
+    renderButtons();
+  }
+
+  function styleFences() {
+    for (const f of state.fences) {
+      f.layer.setStyle(fenceStyle(f.props, f.id === state.activeFenceId));
+    }
+    if (state.drawnLayer) state.drawnLayer.bringToFront();
+  }
+
+  // Identity of what would be sent; compared against sentKeys to tell sent from edited-since
+  function fenceKey(fence) {
+    return JSON.stringify([fence.name, fence.props, getRingsLatLngs(fence.layer).map(toClosedRingLonLat)]);
+  }
+
+  function fenceStatus(fence) {
+    if (fence.queueId && outstandingQueue().some((x) => x.id === fence.queueId)) return "queued";
+    if (fence.sentKeys[state.transport] === fenceKey(fence)) return "sent"; // via the selected transport
+    return "draft";
+  }
+
+  function renderFenceList() {
+    if (!dom.fenceList) return;
+    dom.fenceListRow.classList.toggle("is-hidden", !state.fences.length);
+    dom.fenceList.innerHTML = "";
+
+    for (const fence of state.fences) {
+      const { vertices, perimeter_m, area_m2, holes } = computeStatsLL(getRingsLatLngs(fence.layer));
+      const status = fenceStatus(fence);
+      const row = document.createElement("div");
+      row.className = `fence-item${fence.id === state.activeFenceId ? " is-active" : ""}`;
+      row.innerHTML = `
+        <button class="fence-item__main" type="button" data-act="select" data-id="${fence.id}">
+          <strong>${escapeHTML(fence.name || "(unnamed)")}${fence.shape ? ` <small>(${fence.shape.kind})</small>` : ""}</strong>
+          <span>${vertices} pts${holes ? ` • ${holes} hole${holes > 1 ? "s" : ""}` : ""} • ${formatMeters(perimeter_m)} • ${formatSquareMeters(area_m2)}</span>
+        </button>
+        <span class="fence-item__status fence-item__status--${status}">${status}</span>
+        <button class="btn btn-ghost" type="button" data-act="remove" data-id="${fence.id}" title="Remove from workspace">X</button>
+      `;
+      dom.fenceList.appendChild(row);
+    }
+  }
+
+  // ====== J2) Server Fences (layer; open to edit, delete, revision conflicts) ======
+  async function loadServerFences(showToast = true) {
+    if (!apiListUrl()) return;
+    setServerFencesStatus("Loading…");
+    try {
+      const res = await fetch(apiListUrl(), { headers: { Accept: "application/json" } });
+      if (!res.ok) throw new Error(`Server ${res.status}`);
+      const rows = await res.json();
+      state.serverFences = Array.isArray(rows) ? rows : [];
+      renderServerFences();
+      // Servers without /api/events don't send the cursor; the list then only updates on Refresh
+      const cursor = res.headers.get("X-Event-Cursor");
+      if (cursor !== null && !isLiveSyncOpen()) {
+        state.eventCursor = Number(cursor) || 0;
+        connectLiveSync();
+      }
+      if (showToast) toast(`Loaded ${state.serverFences.length} server fence(s).`, "success");
+    } catch (err) {
+      console.warn("Server fences error:", err);
+      setServerFencesStatus("Unavailable");
+      if (showToast) toast("Couldn’t load server fences.", "error");
+    }
+  }
+
+  function renderServerFences() {
+    state.serverItems.clearLayers();
+    let shown = 0;
+    for (const row of state.serverFences) {
+      const rings = serverRowToLatLngRings(row);
+      if (!rings.length || rings[0].length < 3) continue;
+
+      const poly = L.polygon(rings, serverFenceStyle(serverRowProps(row)));
+      // Popup on demand only, so taps while drawing/editing still just place vertices
+      poly.on("click", (e) => {
+        if (state.mode === "drawing" || state.mode === "editing" || state.ruler) return;
+        L.popup().setLatLng(e.latlng).setContent(serverFencePopup(row, rings)).openOn(state.leafletMap);
+      });
+      state.serverItems.addLayer(poly);
+      shown++;
+    }
+    const skipped = state.serverFences.length - shown;
+    const live = state.events && state.events.readyState === EventSource.OPEN ? " · live" : "";
+    setServerFencesStatus(`${skipped ? `${shown} shown, ${skipped} invalid` : `${shown} shown`}${live}`);
+  }
+
+  // Server fences keep their own outline; exclusion zones get a red fill, off-schedule ones fade
+  function serverFenceStyle(props) {
+    const style = { ...SERVER_FENCE_STYLE };
+    if (props.type === "exclusion") Object.assign(style, { fillColor: FENCE_TYPE_COLORS.exclusion, fillOpacity: 0.12 });
+    if (!fenceActiveAt(props)) Object.assign(style, { opacity: 0.45, fillOpacity: style.fillOpacity / 2 });
+    return style;
+  }
+
+  function serverRowToLatLngRings(row) {
+    try {
+      // The server stores shape.coordinates as a JSON string
+      const coords = typeof row.coordinates === "string" ? JSON.parse(row.coordinates) : row.coordinates;
+      return coordinatesToLatLngRings(coords);
+    } catch {
+      return [];
+    }
+  }
+
+  function serverFencePopup(row, rings) {
+    const name = row.name || "(unnamed)";
+    const created = row.created_at ? new Date(row.created_at).toLocaleString() : "—";
+    const el = document.createElement("div");
+    el.style.cssText = "display:grid;gap:2px;min-width:180px;";
+    el.innerHTML = `
+      <strong style="font-size:14px;">${escapeHTML(name)}</strong>
+      ${row.notes ? `<span style="font-size:12px;">${escapeHTML(row.notes)}</span>` : ""}
+      <span style="font-size:12px;color:#667085;">${rings[0].length} pts${rings.length > 1 ? ` • ${rings.length - 1} hole(s)` : ""} • ${escapeHTML(created)}</span>
+      <span style="font-size:11px;color:#667085;">${escapeHTML(row.fence_id || "")}${row.revision ? ` • rev ${row.revision}` : ""}</span>
+      <div style="display:flex;gap:6px;margin-top:6px;">
+        <button class="btn btn-ghost" type="button" data-act="edit">Edit</button>
+        <button class="btn" type="button" data-act="delete" style="border-color:var(--error);color:var(--error);">Delete</button>
+      </div>
+    `;
+    el.querySelector('[data-act="edit"]').addEventListener("click", () => {
+      state.leafletMap.closePopup();
+      openServerFence(row);
+    });
+    el.querySelector('[data-act="delete"]').addEventListener("click", () => {
+      state.leafletMap.closePopup();
+      deleteServerFence(row);
+    });
+    return el;
+  }
+
+  // Opens a stored fence in the workspace; Send then saves it back with a PUT based on its revision
+  function openServerFence(row) {
+    if (state.mode === "drawing") return toast("Finish the drawing first.", "error");
+    let fence = state.fences.find((f) => f.fenceId === row.fence_id);
+    if (fence) {
+      selectFence(fence.id);
+      return toast("That fence is already open in the workspace.", "success");
+    }
+    const rings = serverRowToLatLngRings(row);
+    if (!rings.length || rings[0].length < 3) return toast("Invalid geometry in server fence.", "error");
+    if (state.mode === "editing") exitCustomEditMode(true);
+
+    fence = addFenceToWorkspace(rings, { name: row.name || "", fenceId: row.fence_id, revision: row.revision || 1, props: serverRowProps(row) });
+    fence.serverId = row.id ?? null;
+    fence.sentKeys["http-json"] = fenceKey(fence); // unchanged = in sync with the server
+    setActiveFence(fence);
+    enterCustomEditMode(false);
+    buildAndRenderPayload();
+    renderSheet(true);
+    toast(`Opened revision ${fence.revision}. Edit via handles, then Send to save it to the server.`, "success", 3200);
+  }
+
+  async function deleteServerFence(row) {
+    const name = row.name || row.fence_id;
+    if (!apiFenceUrl(row.fence_id)) return toast("Set the Server URL in Settings first.", "error");
+    if (!confirm(`Delete "${name}" from the server? Other devices will no longer see it.`)) return;
+
+    const url = `${apiFenceUrl(row.fence_id)}${row.revision ? `?base_revision=${row.revision}` : ""}`;
+    try {
+      const res = await fetch(url, { method: "DELETE", headers: operatorHeaders() });
+      if (res.status === 409) {
+        const body = await res.json().catch(() => ({}));
+        toast(`"${name}" changed on the server (revision ${body.current?.revision ?? "?"}) since the list loaded. Check it and delete again.`, "error", 4000);
+      } else if (res.status === 404) {
+        toast(`"${name}" was already deleted.`, "success");
+      } else if (!res.ok) {
+        throw await httpError("Server", res);
+      } else {
+        toast(`Deleted "${name}" from the server.`, "success");
+      }
+    } catch (err) {
+      console.error(err);
+      return toast(`Delete failed: ${err.message || err}`, "error", 3200);
+    }
+
+    // A workspace copy is now just a local draft; sending it creates the fence again
+    const fence = state.fences.find((f) => f.fenceId === row.fence_id);
+    if (fence) {
+      Object.assign(fence, { revision: 0, attempt: null, serverId: null });
+      delete fence.sentKeys["http-json"];
+    }
+    if (fence === getActiveFence()) buildAndRenderPayload();
+    renderFenceList();
+    loadServerFences(false);
+  }
+
+  // --- Revision conflicts (409 on PUT / POST, or 404 when the fence was deleted meanwhile) ---
+  function openConflictPanel(fence) {
+    ensureConflictPanel();
+    const { current } = fence.conflict;
+    state.conflict = { fence, current };
+    if (fence.id !== state.activeFenceId) selectFence(fence.id);
+
+    if (state.conflictLayer) state.leafletMap.removeLayer(state.conflictLayer);
+    state.conflictLayer = null;
+    const theirs = current ? serverRowToLatLngRings(current) : [];
+    if (theirs.length) state.conflictLayer = L.polygon(theirs, CONFLICT_STYLE).addTo(state.leafletMap);
+
+    const name = escapeHTML(fence.name || fence.fenceId);
+    dom.conflictText.innerHTML = current
+      ? `<strong>${name}</strong> was changed on the server while you edited it. The server has revision ${current.revision}` +
+        `${current.stored_at ? ` (saved ${escapeHTML(new Date(current.stored_at).toLocaleString())})` : ""}, drawn in red; ` +
+        `your edit started from revision ${fence.revision}.`
+      : `<strong>${name}</strong> was deleted on the server while you edited it.`;
+    dom.conflictPanel.querySelector('[data-act="overwrite"]').hidden = !current;
+    dom.conflictPanel.querySelector('[data-act="theirs"]').hidden = !current;
+    dom.conflictPanel.querySelector('[data-act="recreate"]').hidden = !!current;
+    dom.conflictPanel.classList.remove("is-hidden");
+    renderSheet(true);
+  }
+
+  function closeConflictPanel() {
+    if (state.conflictLayer) state.leafletMap.removeLayer(state.conflictLayer);
+    state.conflictLayer = null;
+    if (state.conflict) state.conflict.fence.conflict = null;
+    state.conflict = null;
+    dom.conflictPanel?.classList.add("is-hidden");
+  }
+
+  function ensureConflictPanel() {
+    if (dom.conflictPanel) return;
+    const panel = document.createElement("div");
+    panel.className = "sheet__row is-hidden";
+    panel.innerHTML = `
+      <div style="display:flex;align-items:center;justify-content:space-between;">
+        <h3 style="margin:0;font-size:16px;">Changed on the server</h3>
+        <button class="btn" type="button" data-act="close">Cancel</button>
+      </div>
+      <p data-role="text" style="margin:0;font-size:13px;"></p>
+      <div style="display:flex;flex-wrap:wrap;gap:8px;">
+        <button class="btn btn-primary" type="button" data-act="overwrite" title="Replace the server's revision with your edit">Overwrite with mine</button>
+        <button class="btn btn-ghost" type="button" data-act="theirs" title="Discard your edit (Undo brings it back)">Load theirs</button>
+        <button class="btn btn-primary" type="button" data-act="recreate">Send as new</button>
+        <button class="btn btn-ghost" type="button" data-act="both" title="Save your edit as a separate fence">Keep both</button>
+      </div>
+    `;
+    dom.infoSheet.querySelector(".sheet__content").appendChild(panel);
+    dom.conflictPanel = panel;
+    dom.conflictText = panel.querySelector('[data-role="text"]');
+
+    panel.addEventListener("click", (e) => {
+      const act = e.target.closest("button[data-act]")?.getAttribute("data-act");
+      if (!act || !state.conflict) return;
+      const { fence, current } = state.conflict;
+      closeConflictPanel();
+      if (act === "close") return;
+      if (act === "theirs") return loadTheirs(fence, current);
+      if (act === "overwrite") {
+        // Based on their revision now; a fresh revision (and key) so it can't collide with theirs
+        fence.revision = current.revision;
+      } else {
+        // "recreate" keeps the fence_id (it is free again), "both" makes this a separate fence
+        if (act === "both") fence.fenceId = `ui-${uuidv4()}`;
+        fence.revision = 0;
+        fence.serverId = null;
+      }
+      fence.attempt = null;
+      resendFence(fence);
+    });
+  }
+
+  function loadTheirs(fence, current) {
+    const rings = serverRowToLatLngRings(current);
+    if (!rings.length || rings[0].length < 3) return toast("The server's copy has invalid geometry.", "error");
+    pushHistory(fence.history, "Load server version", snapshotFence(fence));
+    restoreSnapshot({ rings, shape: null });
+    Object.assign(fence, {
+      name: current.name || "", props: serverRowProps(current), revision: current.revision, attempt: null, serverId: current.id ?? null,
+    });
+    setActiveFence(fence);
+    fence.sentKeys["http-json"] = fenceKey(fence);
+    buildAndRenderPayload();
+    renderButtons();
+    toast(`Loaded revision ${current.revision} from the server.`, "success");
+  }
+
+  function resendFence(fence) {
+    if (fence.id !== state.activeFenceId) selectFence(fence.id);
+    buildAndRenderPayload();
+    sendGeofence();
+  }
+
+  // --- Live sync: Server-Sent Events from /api/events, applied to the server fences layer ---
+  function connectLiveSync() {
+    const url = apiEventsUrl();
+    if (state.eventsUrl !== url) {
+      state.events?.close();
+      state.events = null;
+      state.eventsUrl = url;
+    }
+    if (!url || typeof EventSource === "undefined" || isLiveSyncOpen()) return;
+    clearTimeout(state.eventRetryTimer);
+    state.eventRetryTimer = null;
+
+    // EventSource resends the last id itself (Last-Event-ID) while it reconnects; ?since= covers a
+    // fresh stream after a failure or a reload of the list
+    const since = state.eventCursor != null ? `?since=${state.eventCursor}` : "";
+    const src = new EventSource(`${url}${since}`);
+    state.events = src;
+    src.addEventListener("open", () => {
+      state.eventRetries = 0;
+      renderServerFences();
+    });
+    src.addEventListener("fence", onFenceEvent);
+    src.addEventListener("error", () => {
+      if (state.events !== src) return;
+      renderServerFences();
+      // CONNECTING = the browser is retrying on its own; CLOSED = it gave up (HTTP error, bad type)
+      if (src.readyState === EventSource.CLOSED) {
+        state.events = null;
+        state.eventRetryTimer = setTimeout(connectLiveSync, retryDelayMs(++state.eventRetries));
+      }
+    });
+  }
+
+  function disconnectLiveSync() {
+    clearTimeout(state.eventRetryTimer);
+    state.eventRetryTimer = null;
+    state.events?.close();
+    state.events = null;
+    state.eventCursor = null;
+    state.eventRetries = 0;
+  }
+
+  function isLiveSyncOpen() {
+    return !!state.events && state.events.readyState !== EventSource.CLOSED && state.eventsUrl === apiEventsUrl();
+  }
+
+  function onFenceEvent(e) {
+    let ev;
+    try { ev = JSON.parse(e.data); } catch { return; }
+    if (!ev?.fence_id) return;
+    state.eventCursor = Number(e.lastEventId) || ev.id || state.eventCursor;
+    applyFenceEvent(ev);
+  }
+
+  function applyFenceEvent(ev) {
+    const i = state.serverFences.findIndex((row) => row.fence_id === ev.fence_id);
+    const known = i >= 0 ? state.serverFences[i] : null;
+    if (ev.kind === "deleted") {
+      if (!known) return;
+      state.serverFences.splice(i, 1);
+    } else {
+      if (!ev.fence) return;
+      // An event older than the row already shown (the list was reloaded meanwhile) changes nothing
+      if (known && (known.revision || 0) >= ev.revision && ev.kind !== "created") return;
+      if (known) state.serverFences[i] = ev.fence;
+      else state.serverFences.push(ev.fence);
+    }
+    renderServerFences();
+    if (ev.origin !== state.clientId) noticeFenceEvent(ev, known);
+  }
+
+  function noticeFenceEvent(ev, known) {
+    const name = ev.fence?.name || known?.name || ev.fence_id;
+    const who = ev.operator || "another operator";
+    let msg = ev.kind === "created" ? `New fence "${name}" from ${who}.`
+      : ev.kind === "updated" ? `"${name}" updated by ${who}.`
+      : `"${name}" deleted by ${who}.`;
+    const open = state.fences.find((f) => f.fenceId === ev.fence_id);
+    if (open && open.revision && open.revision < ev.revision) msg += " Your open copy is older; sending it will ask how to combine them.";
+    else if (open && ev.kind === "deleted" && open.revision) msg += " Your open copy can be sent as new.";
+
+    // A reconnect can replay many events at once: show one summary instead of a toast storm
+    state.eventNotices.push(msg);
+    clearTimeout(state.eventNoticeTimer);
+    state.eventNoticeTimer = setTimeout(() => {
+      const notices = state.eventNotices;
+      state.eventNotices = [];
+      toast(notices.length === 1 ? notices[0] : `${notices.length} fence changes from other operators.`, "success", 3600);
+    }, 300);
+  }
+
+  function setServerFencesStatus(text) {
+    if (dom.serverFencesStatus) dom.serverFencesStatus.textContent = text;
+  }
+
+  function injectServerFencesControl() {
+    const ServerFencesControl = L.Control.extend({
+      options: { position: "topright" },
+      onAdd() {
+        const el = L.DomUtil.create("div", "map-panel");
+        el.innerHTML = `
+          <label style="display:inline-flex;align-items:center;gap:6px;">
+            <input id="toggleServerFences" type="checkbox" checked style="width:18px;height:18px;">
+            <span class="map-panel__swatch map-panel__swatch--server" aria-hidden="true"></span>
+            <span>Server fences</span>
+          </label>
+          <span id="serverFencesStatus" class="map-panel__meta">—</span>
+          <button id="btnServerRefresh" class="btn btn-ghost" type="button" title="Reload fences from server">Refresh</button>
+        `;
+        L.DomEvent.disableClickPropagation(el);
+        L.DomEvent.disableScrollPropagation(el);
+        return el;
+      },
+    });
+    const ctl = new ServerFencesControl().addTo(state.leafletMap);
+    const el = ctl.getContainer();
+
+    dom.serverFencesStatus = el.querySelector("#serverFencesStatus");
+    el.querySelector("#btnServerRefresh").addEventListener("click", () => loadServerFences(true));
+    el.querySelector("#toggleServerFences").addEventListener("change", (e) => {
+      if (e.target.checked) state.leafletMap.addLayer(state.serverItems);
+      else state.leafletMap.removeLayer(state.serverItems);
+    });
+  }
+
+  // ====== J3) Import (GeoJSON / KML / GPX, parsed offline) ======
+  async function onImportFileChosen(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    let candidates;
+    try {
+      candidates = parseFenceFile(await file.text(), file.name);
+    } catch (err) {
+      console.warn("Import error:", err);
+      return toast(`Import failed: ${err.message || err}`, "error", 3200);
+    }
+    importCandidates(candidates, file.name);
+  }
+
+  // candidates: [{ label, name, rings: [[ [lon,lat], … ], …], props? } | { label, error }]
+  function importCandidates(candidates, fileName) {
+    if (state.mode === "drawing") cancelCustomDraw();
+    if (state.mode === "editing") exitCustomEditMode(true);
+
+    const added = [], skipped = [], oversized = [];
+    for (const c of candidates) {
+      if (c.error) { skipped.push(c); continue; }
+      const rings = coordinatesToLatLngRings(c.rings);
+      const val = validateCoordsLL(rings, Infinity);
+      if (!val.ok) { skipped.push({ label: c.label, error: val.reason }); continue; }
+      const total = rings.reduce((n, ring) => n + ring.length, 0);
+      if (total > config.maxVertices) oversized.push({ label: c.label, vertices: total });
+      added.push(addFenceToWorkspace(rings, { name: c.name, props: c.props }));
+    }
+
+    renderImportReport(fileName, added.length, skipped, oversized);
+    if (added.length) {
+      selectFence(added[added.length - 1].id);
+      state.userMovedMap = true;
+      state.leafletMap.fitBounds(L.featureGroup(added.map((f) => f.layer)).getBounds(), { padding: [24, 24] });
+    }
+    renderButtons();
+    renderSheet(true);
+    toast(
+      `Imported ${added.length} fence(s)${skipped.length ? `, skipped ${skipped.length}` : ""}${oversized.length ? `, ${oversized.length} to simplify` : ""}.`,
+      skipped.length || !added.length ? "error" : "success", 3200
+    );
+  }
+
+  function parseFenceFile(text, fileName) {
+    const ext = (fileName.split(".").pop() || "").toLowerCase();
+    if (ext === "kmz") throw new Error("KMZ is zipped; unzip it and import the .kml inside.");
+
+    if (ext === "geojson" || ext === "json" || text.trimStart().startsWith("{")) {
+      let obj;
+      try { obj = JSON.parse(text); } catch { throw new Error("not valid JSON."); }
+      return parseGeoJSONFences(obj);
+    }
+
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length) throw new Error("not valid XML.");
+    const root = doc.documentElement.localName;
+    if (root === "kml") return parseKMLFences(doc);
+    if (root === "gpx") return parseGPXFences(doc);
+    throw new Error(`unsupported file type (<${root}>).`);
+  }
+
+  // --- GeoJSON ---
+  function parseGeoJSONFences(obj) {
+    const features = obj?.type === "FeatureCollection" ? obj.features || []
+      : obj?.type === "Feature" ? [obj]
+      : [{ type: "Feature", properties: {}, geometry: obj }];
+    const out = [];
+    features.forEach((f, k) => {
+      const props = f?.properties || {};
+      const name = String(props.name ?? props.Name ?? props.NAME ?? props.title ?? f?.id ?? "");
+      const start = out.length;
+      collectGeoJSONGeometry(f?.geometry, name, importLabel("Feature", k, name), out);
+      // Our own exports carry the 1.3 properties (type, altitude, schedule…); keep them on the way back in
+      const fenceProps = fencePropsFrom(props);
+      for (const c of out.slice(start)) if (!c.error) c.props = fenceProps;
+    });
+    return out;
+  }
+
+  function collectGeoJSONGeometry(g, name, label, out) {
+    if (!g) return out.push({ label, error: "no geometry." });
+    const parts = (list, fn) => list.forEach((part, i) =>
+      fn(part, list.length > 1 ? `${name} (${i + 1})` : name, list.length > 1 ? `${label} part ${i + 1}` : label));
+
+    switch (g.type) {
+      case "Polygon":
+        return out.push(importRings(g.coordinates, name, label));
+      case "MultiPolygon":
+        return parts(g.coordinates || [], (poly, n, l) => out.push(importRings(poly, n, l)));
+      case "LineString":
+        return out.push(importClosedLine(g.coordinates, name, label));
+      case "MultiLineString":
+        return parts(g.coordinates || [], (line, n, l) => out.push(importClosedLine(line, n, l)));
+      case "GeometryCollection":
+        return parts(g.geometries || [], (geom, n, l) => collectGeoJSONGeometry(geom, n, l, out));
+      default:
+        return out.push({ label, error: `${g.type || "unknown geometry"} is not an area.` });
+    }
+  }
+
+  // --- KML ---
+  function parseKMLFences(doc) {
+    const out = [];
+    xmlAll(doc, "Placemark").forEach((pm, k) => {
+      const name = xmlChildText(pm, "name");
+      const label = importLabel("Placemark", k, name);
+      const found = [];
+
+      for (const poly of xmlAll(pm, "Polygon")) {
+        const outer = xmlAll(poly, "outerBoundaryIs").flatMap((b) => xmlAll(b, "coordinates"))[0];
+        const inner = xmlAll(poly, "innerBoundaryIs").flatMap((b) => xmlAll(b, "coordinates"));
+        found.push((n, l) => importRings([outer, ...inner].map((c) => parseKMLCoordinates(c?.textContent)), n, l));
+      }
+      // Lines and bare rings outside a Polygon count if they close
+      for (const line of [...xmlAll(pm, "LineString"), ...xmlAll(pm, "LinearRing")]) {
+        if (xmlHasAncestor(line, "Polygon", pm)) continue;
+        const coords = parseKMLCoordinates(xmlAll(line, "coordinates")[0]?.textContent);
+        found.push((n, l) => importClosedLine(coords, n, l));
+      }
+
+      if (!found.length) return out.push({ label, error: "no polygon or line geometry." });
+      found.forEach((make, i) => out.push(found.length > 1
+        ? make(`${name} (${i + 1})`, `${label} part ${i + 1}`)
+        : make(name, label)));
+    });
+    return out;
+  }
+
+  // "lon,lat[,alt] lon,lat[,alt] …"
+  function parseKMLCoordinates(text) {
+    return String(text || "").trim().split(/\s+/).filter(Boolean).map((t) => t.split(",").map(Number));
+  }
+
+  // --- GPX ---
+  function parseGPXFences(doc) {
+    const out = [];
+    const collect = (parent, kind, k, pointLists) => {
+      const name = xmlChildText(parent, "name");
+      const label = importLabel(kind, k, name);
+      if (!pointLists.length) return out.push({ label, error: "no points." });
+      pointLists.forEach((pts, i) => {
+        const coords = pts.map((pt) => [Number(pt.getAttribute("lon")), Number(pt.getAttribute("lat"))]);
+        out.push(pointLists.length > 1
+          ? importClosedLine(coords, `${name} (${i + 1})`, `${label} segment ${i + 1}`)
+          : importClosedLine(coords, name, label));
+      });
+    };
+    xmlAll(doc, "trk").forEach((trk, k) =>
+      collect(trk, "Track", k, xmlAll(trk, "trkseg").map((seg) => xmlAll(seg, "trkpt"))));
+    xmlAll(doc, "rte").forEach((rte, k) =>
+      collect(rte, "Route", k, [xmlAll(rte, "rtept")]));
+    if (!out.length) out.push({ label: "File", error: "no tracks or routes (waypoints alone are not an area)." });
+    return out;
+  }
+
+  // --- Shared import helpers ---
+  function importLabel(kind, k, name) {
+    return `${kind} ${k + 1}${name ? ` “${name}”` : ""}`;
+  }
+
+  function importRings(rings, name, label) {
+    if (!Array.isArray(rings) || !rings.length) return { label, error: "empty polygon." };
+    if (!rings.every(isLonLatList)) return { label, error: "invalid coordinates." };
+    return { label, name, rings };
+  }
 
-    if (state.mode === "drawing") {
-      state.drawRing.forEach((ll, i) => addVertexMarker(ll, i, /*forDraw=*/true));
-      addAllMidMarkers(/*forDraw=*/true);
-      if (state.drawTempPolygon) state.drawTempPolygon.setLatLngs([state.drawRing]);
-    } else if (state.drawnLayer) {
-      const ring = getRingLatLngs(state.drawnLayer);
-      ring.forEach((ll, i) => addVertexMarker(ll, i, /*forDraw=*/false));
-      addAllMidMarkers(/*forDraw=*/false);
+  function importClosedLine(coords, name, label) {
+    if (!isLonLatList(coords) || coords.length < 3) return { label, error: "line has too few valid points." };
+    const [lon0, lat0] = coords[0], [lon1, lat1] = coords[coords.length - 1];
+    const gap = haversineMeters(lat0, lon0, lat1, lon1);
+    if (gap > IMPORT_LINE_CLOSE_TOLERANCE_M) {
+      return { label, error: `line is not closed (ends ${Math.round(gap)} m from its start).` };
     }
+    // An end point on top of the start is the closing copy; any other end is a real last vertex
+    const body = gap <= IMPORT_LINE_SAME_POINT_M ? coords.slice(0, -1) : coords;
+    if (body.length < 3) return { label, error: "line has too few valid points." };
+    return { label, name, rings: [[...body, coords[0]]] };
   }
 
-  // ====== H) Geometry, Stats, Payload ======
-  function getRingLatLngs(layer) {
-    if (!layer) return [];
-    const rings = layer.getLatLngs();
-    const firstRing = Array.isArray(rings[0]) ? rings[0] : rings;
-    return firstRing.map((p) => L.latLng(p.lat, p.lng));
+  function isLonLatList(list) {
+    return Array.isArray(list) && list.every((c) =>
+      Array.isArray(c) && isFinite(c[0]) && isFinite(c[1]) && Math.abs(c[0]) <= 180 && Math.abs(c[1]) <= 90);
   }
 
-  function setRingLatLngs(layer, ring) {
-    layer.setLatLngs([ring]); layer.redraw();
+  function xmlAll(root, localName) {
+    return [...root.getElementsByTagNameNS("*", localName)];
   }
 
-  function validateCoordsLL(ringLL) {
-    if (!ringLL || ringLL.length < 3) return { ok: false, reason: "Need ≥ 3 vertices." };
-    if (ringLL.length > MAX_VERTICES) return { ok: false, reason: `Too many vertices (>${MAX_VERTICES}).` };
-    const uniq = new Set(ringLL.map((c) => `${c.lat.toFixed(6)},${c.lng.toFixed(6)}`));
-    if (uniq.size < 3) return { ok: false, reason: "Vertices too close/duplicate." };
-    return { ok: true };
+  function xmlChildText(el, localName) {
+    const child = [...el.children].find((c) => c.localName === localName);
+    return child ? child.textContent.trim() : "";
   }
 
-  function toClosedRingLonLat(ringLL) {
-    const ring = ringLL.map((c) => [round6(c.lng), round6(c.lat)]);
-    const a = ring[0], b = ring[ring.length - 1];
-    if (a[0] !== b[0] || a[1] !== b[1]) ring.push(a);
-    return ring;
+  function xmlHasAncestor(el, localName, stopAt) {
+    for (let p = el.parentNode; p && p !== stopAt; p = p.parentNode) {
+      if (p.localName === localName) return true;
+    }
+    return false;
   }
 
-  function round6(n) { return Math.round(n * 1e6) / 1e6; }
+  function renderImportReport(fileName, addedCount, skipped, oversized = []) {
+    if (!dom.importReport) {
+      const panel = document.createElement("div");
+      panel.className = "sheet__row";
+      panel.innerHTML = `
+        <div style="display:flex;align-items:center;justify-content:space-between;">
+          <h3 style="margin:0;font-size:16px;">Import</h3>
+          <button class="btn" type="button" data-act="close">Close</button>
+        </div>
+        <div data-role="body" style="display:grid;gap:4px;"></div>
+      `;
+      dom.infoSheet.querySelector(".sheet__content").appendChild(panel);
+      panel.querySelector('[data-act="close"]').addEventListener("click", () => panel.classList.add("is-hidden"));
+      dom.importReport = panel;
+      dom.importReportBody = panel.querySelector('[data-role="body"]');
+    }
+    dom.importReport.classList.remove("is-hidden");
+    dom.importReportBody.innerHTML = `
+      <div style="font-size:14px;">Imported ${addedCount} fence(s) from <strong>${escapeHTML(fileName)}</strong>${skipped.length ? `; skipped ${skipped.length}:` : "."}</div>
+      ${skipped.map((s) => `<div style="font-size:12px;color:var(--error);">${escapeHTML(s.label)}: ${escapeHTML(s.error)}</div>`).join("")}
+      ${oversized.map((o) => `<div style="font-size:12px;color:var(--muted);">${escapeHTML(o.label)}: ${o.vertices} vertices, over maxVertices (${config.maxVertices}). Simplify it before sending.</div>`).join("")}
+    `;
+  }
 
-  function computeStatsLL(ringLL) {
-    if (!ringLL || ringLL.length < 3) return { vertices: 0, perimeter_m: 0, area_m2: 0 };
-    const ring = toClosedRingLonLat(ringLL);
-    let per = 0;
-    for (let i = 1; i < ring.length; i++) {
-      per += haversineMeters(ring[i - 1][1], ring[i - 1][0], ring[i][1], ring[i][0]);
+  // ====== J4) Export (GeoJSON / KML / CoT) ======
+  function openExportPanel() {
+    if (!dom.exportPanel) {
+      const panel = document.createElement("div");
+      panel.className = "sheet__row";
+      panel.innerHTML = `
+        <div style="display:flex;align-items:center;justify-content:space-between;">
+          <h3 style="margin:0;font-size:16px;">Export</h3>
+          <button class="btn" type="button" data-act="close">Close</button>
+        </div>
+        <div style="display:flex;gap:8px;flex-wrap:wrap;">
+          <select class="input" data-role="source" aria-label="Fences to export">
+            <option value="active">Active fence</option>
+            <option value="workspace">All workspace fences</option>
+            <option value="queue">Queued fences</option>
+            <option value="server">Server fences</option>
+          </select>
+          <select class="input" data-role="format" aria-label="Export format">
+            <option value="geojson">GeoJSON</option>
+            <option value="kml">KML (Google Earth)</option>
+            <option value="cot">CoT XML (ATAK/WinTAK)</option>
+          </select>
+          <button class="btn btn-primary" type="button" data-act="download">Download</button>
+          <button class="btn btn-ghost" type="button" data-act="share">Share</button>
+        </div>
+      `;
+      dom.infoSheet.querySelector(".sheet__content").appendChild(panel);
+      dom.exportPanel = panel;
+      dom.exportSource = panel.querySelector('[data-role="source"]');
+      dom.exportFormat = panel.querySelector('[data-role="format"]');
+      panel.querySelector('[data-act="close"]').addEventListener("click", () => panel.classList.add("is-hidden"));
+      panel.querySelector('[data-act="download"]').addEventListener("click", () => runExport(false));
+      panel.querySelector('[data-act="share"]').addEventListener("click", () => runExport(true));
     }
-    const area = polygonAreaWebMercator(ring);
-    return { vertices: ring.length - 1, perimeter_m: per, area_m2: Math.abs(area) };
+    dom.exportPanel.classList.remove("is-hidden");
+    dom.exportSource.value = state.drawnLayer ? "active" : state.fences.length ? "workspace" : "server";
+    renderSheet(true);
   }
 
-  function haversineMeters(lat1, lon1, lat2, lon2) {
-    const R = 6371008.8, toR = (d) => (d * Math.PI) / 180;
-    const dLat = toR(lat2 - lat1), dLon = toR(lon2 - lon1);
-    const a = Math.sin(dLat/2)**2 + Math.cos(toR(lat1))*Math.cos(toR(lat2))*Math.sin(dLon/2)**2;
-    return 2 * R * Math.asin(Math.sqrt(a));
+  // Payloads exactly as buildPayloadFromLL() produces them (server rows are rebuilt through it too)
+  function collectExportPayloads(source) {
+    if (source === "active") return state.geojson ? [state.geojson] : [];
+    if (source === "workspace") {
+      return state.fences
+        .filter((f) => validateCoordsLL(getRingsLatLngs(f.layer)).ok)
+        .map(buildFencePayload);
+    }
+    if (source === "queue") return outstandingQueue().map((item) => item.payload).filter(Boolean);
+    if (source === "server") return state.serverFences.map(serverRowToPayload).filter(Boolean);
+    return [];
   }
 
-  function lonLatToWebMercator(lon, lat) {
-    const R = 6378137.0;
-    return [(lon * Math.PI) / 180 * R, Math.log(Math.tan(Math.PI/4 + (lat * Math.PI)/360)) * R];
+  function serverRowToPayload(row) {
+    const rings = serverRowToLatLngRings(row);
+    if (!rings.length || rings[0].length < 3) return null;
+    const payload = buildPayloadFromLL(rings, row.name, row.fence_id, null, row.revision || 1, 0, serverRowProps(row));
+    payload.created_at = row.created_at || payload.created_at;
+    return payload;
   }
 
-  function polygonAreaWebMercator(ringLonLat) {
-    const pts = ringLonLat.map(([lon, lat]) => lonLatToWebMercator(lon, lat));
-    let sum = 0;
-    for (let i = 0; i < pts.length - 1; i++) {
-      const [x1, y1] = pts[i], [x2, y2] = pts[i + 1];
-      sum += x1 * y2 - x2 * y1;
+  // Rows stored before 1.3 only have the notes column
+  function serverRowProps(row) {
+    return fencePropsFrom({ ...row.properties, notes: row.notes || "" });
+  }
+
+  async function runExport(share) {
+    const source = dom.exportSource.value, format = dom.exportFormat.value;
+    const payloads = collectExportPayloads(source);
+    if (!payloads.length) return toast("Nothing to export for that selection.", "error");
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    const base = payloads.length === 1 ? fileSlug(payloads[0].properties?.name || payloads[0].fence_id) : `geofences-${source}-${stamp}`;
+    let files;
+    if (format === "geojson") {
+      files = [new File([JSON.stringify(payloadsToFeatureCollection(payloads), null, 2)], `${base}.geojson`, { type: "application/geo+json" })];
+    } else if (format === "kml") {
+      files = [new File([payloadsToKML(payloads)], `${base}.kml`, { type: "application/vnd.google-earth.kml+xml" })];
+    } else {
+      // One event per file: that is what TAK clients import
+      files = payloads.map((p) => new File([buildCotEvent(p)], `${fileSlug(p.properties?.name || p.fence_id)}.cot`, { type: "application/xml" }));
+      if (payloads.some((p) => p.shape.coordinates.length > 1)) toast("CoT shapes have no holes; only outer boundaries exported.", "error", 3200);
+    }
+
+    if (share && navigator.canShare?.({ files })) {
+      try {
+        await navigator.share({ files, title: "Geofences" });
+        return;
+      } catch (err) {
+        if (err?.name === "AbortError") return;
+        console.warn("Share failed, downloading instead:", err);
+      }
+    } else if (share) {
+      toast("Sharing files isn’t supported here; downloading instead.", "error");
     }
-    return Math.abs(sum) / 2;
+    files.forEach((f, i) => setTimeout(() => downloadBlob(f, f.name), i * 300));
   }
 
-  function buildPayloadFromLL(ringLL, name, baseFenceId = null) {
-    const ring = toClosedRingLonLat(ringLL);
+  function payloadsToFeatureCollection(payloads) {
     return {
-      spec_version: "1.0",
-      fence_id: baseFenceId || `ui-${uuidv4()}`,
-      created_at: new Date().toISOString(),
-      crs: "EPSG:4326",
-      shape: { type: "Polygon", coordinates: [ring] },
-      properties: { name: name || "", notes: "Drawn on tablet" },
+      type: "FeatureCollection",
+      features: payloads.map((p) => ({
+        type: "Feature",
+        id: p.fence_id,
+        geometry: { type: "Polygon", coordinates: p.shape.coordinates },
+        properties: {
+          ...p.properties,
+          fence_id: p.fence_id,
+          created_at: p.created_at,
+          spec_version: p.spec_version,
+          ...(p.shape.source ? { shape_source: p.shape.source } : {}),
+        },
+      })),
     };
   }
 
-  function buildAndRenderPayload() {
-    if (!state.drawnLayer) {
-      state.geojson = null;
-      dom.btnSend.disabled = true;
-      renderStats();
-      renderJsonPreview();
-      return;
-    }
-    const ringLL = getRingLatLngs(state.drawnLayer);
-    const val = validateCoordsLL(ringLL);
-    if (!val.ok) {
-      state.geojson = null;
-      dom.btnSend.disabled = true;
-      renderStats();
-      renderJsonPreview(val.reason);
-      return;
-    }
-    // If editing a queue item, preserve its fence_id
-    const baseId = getLoadedQueueFenceId();
-    state.geojson = buildPayloadFromLL(ringLL, state.fenceName, baseId);
-    dom.btnSend.disabled = false;
-    renderStats(ringLL);
-    renderJsonPreview();
+  function payloadsToKML(payloads) {
+    const ringXml = (ring) => `<LinearRing><coordinates>${ring.map(([lon, lat]) => `${lon},${lat},0`).join(" ")}</coordinates></LinearRing>`;
+    const placemarks = payloads.map((p) => {
+      const [outer, ...holes] = p.shape.coordinates;
+      const props = fencePropsFrom(p.properties);
+      const color = fenceColor(props);
+      return `
+    <Placemark>
+      <name>${escapeHTML(p.properties?.name || p.fence_id)}</name>
+      <description>${escapeHTML(p.properties?.notes || "")}</description>
+      <Style>
+        <LineStyle><color>${hexToKmlColor(color, 0xff)}</color><width>2</width></LineStyle>
+        <PolyStyle><color>${hexToKmlColor(color, 0x40)}</color></PolyStyle>
+      </Style>
+      <ExtendedData>
+        <Data name="fence_id"><value>${escapeHTML(p.fence_id)}</value></Data>
+        <Data name="created_at"><value>${escapeHTML(p.created_at || "")}</value></Data>
+        <Data name="type"><value>${props.type}</value></Data>
+        <Data name="priority"><value>${props.priority}</value></Data>${props.altitude ? `
+        <Data name="altitude"><value>${escapeHTML(JSON.stringify(props.altitude))}</value></Data>` : ""}${props.schedule ? `
+        <Data name="schedule"><value>${escapeHTML(JSON.stringify(props.schedule))}</value></Data>` : ""}
+      </ExtendedData>
+      <Polygon>
+        <outerBoundaryIs>${ringXml(outer)}</outerBoundaryIs>${holes.map((h) => `
+        <innerBoundaryIs>${ringXml(h)}</innerBoundaryIs>`).join("")}
+      </Polygon>
+    </Placemark>`;
+    }).join("");
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Geofences</name>${placemarks}
+  </Document>
+</kml>
+`;
   }
 
-  // ====== I) Networking & Queue ======
-  async function sendGeofence() {
-    if (!state.geojson) return;
-    if (!API_URL) {
-      toast("Set API_URL in app.js to enable sending.", "error");
-      return;
-    }
-    setBusy(true);
-    state.mode = "sending";
-    renderButtons();
+  // CoT drawing shape: one <link point="lat,lon"/> per boundary vertex (closed), ARGB colours as signed ints.
+  // uid defaults to the fence_id so a re-send replaces the shape on TAK clients instead of duplicating it.
+  function buildCotEvent(payload, {
+    uid = payload.fence_id, staleMs = COT_STALE_MS, color = fenceColor(fencePropsFrom(payload.properties)), strokeWeight = COT_STROKE_WEIGHT,
+  } = {}) {
+    const outer = payload.shape.coordinates[0];
+    const open = outer.slice(0, -1);
+    const lat = open.reduce((s, c) => s + c[1], 0) / open.length;
+    const lon = open.reduce((s, c) => s + c[0], 0) / open.length;
+    const now = new Date();
+    const time = now.toISOString(), stale = new Date(now.getTime() + staleMs).toISOString();
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<event version="2.0" uid="${escapeHTML(uid)}" type="${COT_SHAPE_TYPE}" how="h-e" time="${time}" start="${time}" stale="${stale}">
+  <point lat="${round6(lat)}" lon="${round6(lon)}" hae="9999999.0" ce="9999999.0" le="9999999.0"/>
+  <detail>
+${outer.map(([x, y]) => `    <link point="${y},${x}"/>`).join("\n")}
+    <contact callsign="${escapeHTML(payload.properties?.name || payload.fence_id)}"/>
+    <strokeColor value="${hexToArgbInt(color, 0xff)}"/>
+    <strokeWeight value="${strokeWeight.toFixed(1)}"/>
+    <fillColor value="${hexToArgbInt(color, 0x40)}"/>
+    <labels_on value="true"/>
+    <archive/>
+    <remarks>${escapeHTML(payload.properties?.notes || "")}</remarks>
+  </detail>
+</event>
+`;
+  }
 
-    try {
-      const res = await fetch(API_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(state.geojson),
-      });
-      if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        throw new Error(`Server ${res.status}: ${txt || res.statusText}`);
-      }
-      toast("Geofence sent successfully.", "success");
+  function hexToRgb(hex) {
+    const n = parseInt(hex.replace("#", ""), 16);
+    return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+  }
 
-      // If this was a loaded queue item, remove it from queue
-      if (state.loadedQueueId) {
-        removeQueuedItemById(state.loadedQueueId);
-        state.loadedQueueId = null;
-      }
+  // KML colours are aabbggrr
+  function hexToKmlColor(hex, alpha) {
+    const [r, g, b] = hexToRgb(hex);
+    return [alpha, b, g, r].map((v) => v.toString(16).padStart(2, "0")).join("");
+  }
 
-      state.mode = "success";
-      renderButtons();
-      refreshQueueBadge();
-    } catch (err) {
-      console.error(err);
-      if (ENABLE_OFFLINE_QUEUE) {
-        enqueue(state.geojson, String(err.message || err));
-        toast("Send failed. Saved to queue.", "error");
-        refreshQueueBadge();
-      } else {
-        toast("Send failed.", "error");
-        state.mode = "error";
-      }
-      renderButtons();
-    } finally { setBusy(false); }
+  // TAK stores colours as signed 32-bit ARGB
+  function hexToArgbInt(hex, alpha) {
+    const [r, g, b] = hexToRgb(hex);
+    return (alpha << 24) | (r << 16) | (g << 8) | b;
   }
 
-  function enqueue(payload, last_error = "") {
-    state.queue.push({
-      id: `q-${uuidv4()}`,
-      payload,
-      enqueued_at: new Date().toISOString(),
-      attempts: 0,
-      last_error,
-    });
-    saveQueue();
+  function fileSlug(s) {
+    return String(s || "geofence").trim().replace(/[^\w.-]+/g, "_").slice(0, 60) || "geofence";
   }
 
-  async function sendOneQueueItem(id) {
-    const idx = state.queue.findIndex((x) => x.id === id);
-    if (idx === -1) return;
-    const item = state.queue[idx];
-    if (!API_URL) return toast("Set API_URL first.", "error");
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
 
-    try {
-      const r = await fetch(API_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(item.payload),
-      });
-      if (!r.ok) throw new Error(`Server ${r.status}`);
-      // success -> remove
-      state.queue.splice(idx, 1);
-      saveQueue();
-      toast("Queued item sent.", "success");
-      refreshQueuePanel(); refreshQueueBadge();
-    } catch (e) {
-      item.attempts += 1;
-      item.last_error = String(e.message || e);
-      saveQueue();
-      toast("Send failed for that item.", "error");
-      refreshQueuePanel(); refreshQueueBadge();
-    }
-  }
-
-  function removeQueuedItemById(id) {
-    const i = state.queue.findIndex((x) => x.id === id);
-    if (i >= 0) {
-      state.queue.splice(i, 1);
-      saveQueue();
-      refreshQueuePanel(); refreshQueueBadge();
+  // ====== J5) Settings ======
+  // How each config key is parsed/validated, whatever the source (config.json, localStorage, URL, form)
+  const CONFIG_FIELDS = {
+    apiUrl:             { type: "url", protocols: ["http:", "https:"], suffix: "/geofence" },
+    cotWsUrl:           { type: "url", protocols: ["ws:", "wss:"] },
+    cotHttpUrl:         { type: "url", protocols: ["http:", "https:"] },
+    enableOfflineQueue: { type: "bool" },
+    mapDefaultCenter:   { type: "latlon" },
+    mapDefaultZoom:     { type: "int", min: 1, max: 19 },
+    maxVertices:        { type: "int", min: 3, max: 5000 },
+    units:              { type: "enum", values: ["metric", "imperial", "nautical"] },
+    coordFormat:        { type: "enum", values: ["dd", "dms", "utm", "mgrs"] },
+    snapTolerancePx:    { type: "int", min: 4, max: 60 },
+    tileUrl:            { type: "url", protocols: ["http:", "https:"], template: true },
+    defaultFenceName:   { type: "text" },
+    defaultFenceNotes:  { type: "text" },
+    operatorName:       { type: "text" },
+  };
+
+  async function loadConfig() {
+    const warnings = [];
+    const fromFile = await fetchConfigFile(warnings);
+    state.configBase = mergeConfig(CONFIG_DEFAULTS, fromFile, "config.json", warnings);
+    state.configQuery = readQuerySettings(warnings);
+    applyConfigLayers(warnings);
+    if (warnings.length) {
+      console.warn("Ignored settings:", warnings);
+      toast(`Ignored ${warnings.length} invalid setting(s): ${warnings[0]}`, "error", 4000);
     }
   }
 
-  function saveQueue() {
-    try { localStorage.setItem("geofenceQueue", JSON.stringify(state.queue)); } catch (_) {}
+  // saved settings over config.json/defaults, URL query over everything
+  function applyConfigLayers(warnings = []) {
+    const saved = mergeConfig(state.configBase, readSavedSettings(), "saved settings", warnings);
+    Object.assign(config, mergeConfig(saved, state.configQuery, "URL", warnings));
   }
-  function loadQueue() {
+
+  async function fetchConfigFile(warnings) {
     try {
-      const raw = localStorage.getItem("geofenceQueue");
-      if (raw) state.queue = JSON.parse(raw) || [];
-    } catch (_) { state.queue = []; }
+      const res = await fetch("config.json", { cache: "no-store" });
+      if (!res.ok) return {}; // optional
+      const json = await res.json();
+      if (json && typeof json === "object" && !Array.isArray(json)) return json;
+      warnings.push("config.json: expected an object");
+    } catch (err) {
+      warnings.push(`config.json: ${err.message || err}`);
+    }
+    return {};
   }
 
-  // ====== J) Queue Panel (view/edit/remove/load) ======
-  function openQueuePanel() {
-    ensureQueuePanel();
-    dom.queuePanel.classList.remove("is-hidden");
-    refreshQueuePanel();
-    // Open the sheet if closed
-    dom.infoSheet.classList.add("open");
+  function readSavedSettings() {
+    try {
+      return JSON.parse(localStorage.getItem("geofenceSettings") || "{}") || {};
+    } catch {
+      return {};
+    }
   }
 
-  function closeQueuePanel() {
-    if (dom.queuePanel) dom.queuePanel.classList.add("is-hidden");
+  // Only valid parameters count as overrides (an invalid one must not lock its field in the panel)
+  function readQuerySettings(warnings) {
+    const out = {};
+    new URLSearchParams(location.search).forEach((value, key) => {
+      if (!CONFIG_FIELDS[key]) return;
+      const parsed = parseConfigValue(key, value);
+      if (parsed.error) warnings.push(`URL ${key}: ${parsed.error}`);
+      else out[key] = parsed.value;
+    });
+    return out;
   }
 
-  function refreshQueuePanel() {
-    ensureQueuePanel();
-    const list = dom.queueList;
-    list.innerHTML = "";
+  function mergeConfig(base, raw, sourceLabel, warnings) {
+    const out = { ...base };
+    for (const [key, value] of Object.entries(raw || {})) {
+      if (!CONFIG_FIELDS[key]) continue;
+      const parsed = parseConfigValue(key, value);
+      if (parsed.error) warnings.push(`${sourceLabel} ${key}: ${parsed.error}`);
+      else out[key] = parsed.value;
+    }
+    return out;
+  }
 
-    if (!state.queue.length) {
-      list.innerHTML = `<div style="padding:8px;color:var(--muted);">Queue is empty.</div>`;
-      return;
+  // Accepts typed values (config.json) and strings (URL query, form inputs); returns { value } or { error }
+  function parseConfigValue(key, raw) {
+    const field = CONFIG_FIELDS[key];
+    if (field.type === "url") {
+      const value = String(raw ?? "").trim();
+      let error = value ? validateUrl(value, field) : "";
+      if (field.template && !error && !/\{z\}.*\{x\}.*\{y\}/.test(value)) error = "needs {z}, {x} and {y} placeholders";
+      if (field.template && !value) error = "a tile URL is required";
+      return error ? { error } : { value };
+    }
+    if (field.type === "bool") {
+      if (typeof raw === "boolean") return { value: raw };
+      if (/^(1|true|yes|on)$/i.test(String(raw))) return { value: true };
+      if (/^(0|false|no|off)$/i.test(String(raw))) return { value: false };
+      return { error: "expected true or false" };
+    }
+    if (field.type === "latlon") {
+      const parts = Array.isArray(raw) ? raw : String(raw).split(",");
+      const [lat, lon] = parts.map(Number);
+      if (parts.length !== 2 || !isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return { error: "expected \"lat, lon\" in degrees" };
+      }
+      return { value: [lat, lon] };
+    }
+    if (field.type === "int") {
+      const n = Number(raw);
+      if (!Number.isInteger(n) || n < field.min || n > field.max) return { error: `expected a whole number ${field.min}–${field.max}` };
+      return { value: n };
     }
+    if (field.type === "enum") {
+      return field.values.includes(raw) ? { value: raw } : { error: `expected one of ${field.values.join(", ")}` };
+    }
+    return { value: String(raw ?? "") };
+  }
 
-    for (const item of state.queue) {
-      const li = document.createElement("div");
-      li.style.border = "1px solid var(--border)";
-      li.style.borderRadius = "6px";
-      li.style.padding = "8px";
-      li.style.marginBottom = "8px";
-      li.style.background = "var(--panel-2)";
+  function validateUrl(value, { protocols, suffix = "", template = false }) {
+    let url;
+    // Tile templates carry {s}/{z}/{x}/{y} placeholders, which aren't valid in a host
+    const probe = template ? value.replace(/\{s\}/g, "a").replace(/\{[a-z]+\}/g, "0") : value;
+    try { url = new URL(probe); } catch { return "not a valid URL"; }
+    if (!protocols.includes(url.protocol)) return `must start with ${protocols.map((p) => `${p}//`).join(" or ")}`;
+    if (suffix && !url.pathname.replace(/\/$/, "").endsWith(suffix)) return `should end in ${suffix} (e.g. http://host:5001/api${suffix})`;
+    // Browsers block http:// and ws:// requests from an https:// page (except to localhost)
+    if (location.protocol === "https:" && /^(http|ws):$/.test(url.protocol) && !/^(localhost|127\.0\.0\.1)$/.test(url.hostname)) {
+      return "this page is served over HTTPS, so the browser will block an insecure URL";
+    }
+    return "";
+  }
 
-      const name = item.payload?.properties?.name || "(unnamed)";
-      const idShort = item.id.slice(0, 8);
-      const pts = (item.payload?.shape?.coordinates?.[0]?.length || 1) - 1;
+  // GET list and CoT relay live next to the POST endpoint (server.py)
+  function serverSiblingUrl(apiUrl, path) {
+    return apiUrl ? apiUrl.replace(/\/geofence\/?$/, path) : "";
+  }
+  function apiListUrl() { return serverSiblingUrl(config.apiUrl, "/geofences"); }
+  function apiFenceUrl(fenceId) { return config.apiUrl ? `${config.apiUrl.replace(/\/$/, "")}/${encodeURIComponent(fenceId)}` : ""; }
+  function cotRelayUrl() { return serverSiblingUrl(config.apiUrl, "/cot"); }
+  function apiEventsUrl() { return serverSiblingUrl(config.apiUrl, "/events"); }
 
-      li.innerHTML = `
-        <div style="display:flex;justify-content:space-between;align-items:center;gap:8px;">
-          <div style="display:grid;gap:2px;">
-            <strong style="font-size:14px;">${escapeHTML(name)}</strong>
-            <span style="font-size:12px;color:var(--muted);">ID ${idShort} • ${pts} pts • ${new Date(item.enqueued_at).toLocaleString()}</span>
-            ${item.last_error ? `<span style="font-size:12px;color:var(--error);">Last error: ${escapeHTML(item.last_error)}</span>` : ""}
-          </div>
-          <div style="display:flex;gap:6px;">
-            <button class="btn btn-ghost" data-act="load" data-id="${item.id}">Load</button>
-            <button class="btn btn-ghost" data-act="send" data-id="${item.id}">Send</button>
-            <button class="btn" style="border-color:var(--error);color:var(--error);" data-act="remove" data-id="${item.id}">X</button>
-          </div>
-        </div>
-      `;
-      list.appendChild(li);
-    }
+  function defaultFenceName() {
+    return config.defaultFenceName.replace(/\{n\}/g, String(state.fences.length + 1));
   }
 
-  function ensureQueuePanel() {
-    if (dom.queuePanel) return;
+  function openSettingsPanel() {
+    ensureSettingsPanel();
+    fillSettingsForm();
+    dom.settingsPanel.classList.remove("is-hidden");
+    renderSheet(true);
+  }
 
-    const content = dom.infoSheet.querySelector(".sheet__content");
+  function ensureSettingsPanel() {
+    if (dom.settingsPanel) return;
     const panel = document.createElement("div");
-    panel.id = "queuePanel";
     panel.className = "sheet__row is-hidden";
+    const row = "display:flex;gap:8px;align-items:center;";
     panel.innerHTML = `
       <div style="display:flex;align-items:center;justify-content:space-between;">
-        <h3 style="margin:0;font-size:16px;">Queue</h3>
-        <div style="display:flex;gap:6px;">
-          <button id="btnQueueRetryAll" class="btn btn-ghost" type="button">Retry all</button>
-          <button id="btnQueueClose" class="btn" type="button">Close</button>
-        </div>
+        <h3 style="margin:0;font-size:16px;">Settings</h3>
+        <button class="btn" type="button" data-act="close">Close</button>
       </div>
-      <div id="queueList" style="margin-top:8px;"></div>
-      <div id="queueSaveBar" class="is-hidden" style="display:flex;gap:8px;justify-content:flex-end;margin-top:8px;border-top:1px dashed var(--border);padding-top:8px;">
-        <button id="btnQueueSaveChanges" class="btn btn-primary" type="button">Save changes to item</button>
+      <div style="display:grid;gap:6px;">
+        <label class="label" for="setApiUrl">Server URL (POST …/geofence)</label>
+        <div style="${row}">
+          <input id="setApiUrl" class="input" data-key="apiUrl" type="url" inputmode="url" placeholder="https://example.com/api/geofence" style="flex:1;" />
+          <button class="btn" type="button" data-act="test">Test connection</button>
+        </div>
+        <span data-role="test" style="font-size:12px;color:#667085;"></span>
+
+        <label style="${row}font-size:14px;"><input type="checkbox" data-key="enableOfflineQueue" /> Queue failed sends for retry</label>
+
+        <label class="label" for="setUnits">Units</label>
+        <select id="setUnits" class="input" data-key="units">
+          <option value="metric">Metric (m, km)</option>
+          <option value="imperial">Imperial (ft, mi, acres)</option>
+          <option value="nautical">Nautical (NM)</option>
+        </select>
+
+        <label class="label" for="setCoordFormat">Coordinate format (vertex popups, cursor readout)</label>
+        <select id="setCoordFormat" class="input" data-key="coordFormat">
+          <option value="dd">Decimal degrees (38.889500, -77.035300)</option>
+          <option value="dms">Degrees, minutes, seconds (38°53'22.20"N)</option>
+          <option value="utm">UTM (18S 323478mE 4306483mN)</option>
+          <option value="mgrs">MGRS (18S UJ 23478 06483)</option>
+        </select>
+
+        <label class="label" for="setTileUrl">Tile server URL ({s}, {z}, {x}, {y})</label>
+        <input id="setTileUrl" class="input" data-key="tileUrl" type="url" placeholder="http://192.168.1.10:8080/tiles/{z}/{x}/{y}.png" />
+
+        <label class="label" for="setCenter">Default map center (lat, lon — used when GPS is unavailable)</label>
+        <div style="${row}">
+          <input id="setCenter" class="input" data-key="mapDefaultCenter" type="text" inputmode="decimal" style="flex:1;" />
+          <input class="input" data-key="mapDefaultZoom" type="number" min="1" max="19" step="1" aria-label="Default zoom" style="width:72px;" />
+          <button class="btn btn-ghost" type="button" data-act="use-view">Use map view</button>
+        </div>
+
+        <label class="label" for="setMaxVertices">Max vertices per fence</label>
+        <input id="setMaxVertices" class="input" data-key="maxVertices" type="number" min="3" max="5000" step="1" />
+        <label class="label" for="setSnapTolerance">Snap distance (screen pixels)</label>
+        <input id="setSnapTolerance" class="input" data-key="snapTolerancePx" type="number" min="4" max="60" step="1" />
+
+        <label class="label" for="setFenceName">Default fence name ({n} = running number)</label>
+        <input id="setFenceName" class="input" data-key="defaultFenceName" type="text" placeholder="e.g. Fence {n}" />
+        <label class="label" for="setFenceNotes">Default notes</label>
+        <input id="setFenceNotes" class="input" data-key="defaultFenceNotes" type="text" />
+        <label class="label" for="setOperator">Your name / callsign (shown to other operators)</label>
+        <input id="setOperator" class="input" data-key="operatorName" type="text" placeholder="e.g. Alpha-2" />
+
+        <label class="label" for="setCotWs">TAK WebSocket URL (CoT)</label>
+        <input id="setCotWs" class="input" data-key="cotWsUrl" type="url" placeholder="wss://tak.example.com:8443/cot" />
+        <label class="label" for="setCotHttp">TAK HTTP bridge URL (CoT)</label>
+        <input id="setCotHttp" class="input" data-key="cotHttpUrl" type="url" placeholder="https://tak.example.com/cot" />
+
+        <span data-role="query" style="font-size:12px;color:#667085;"></span>
+        <div data-role="errors" style="display:grid;gap:2px;font-size:12px;color:var(--error);"></div>
+        <div style="display:flex;gap:8px;justify-content:flex-end;">
+          <button class="btn btn-ghost" type="button" data-act="reset">Reset to defaults</button>
+          <button class="btn btn-primary" type="button" data-act="save">Save</button>
+        </div>
       </div>
     `;
-    content.appendChild(panel);
-
-    dom.queuePanel = panel;
-    dom.queueList = panel.querySelector("#queueList");
-    dom.queueSaveBar = panel.querySelector("#queueSaveBar");
-    dom.btnQueueRetryAll = panel.querySelector("#btnQueueRetryAll");
-    dom.btnQueueClose = panel.querySelector("#btnQueueClose");
-    dom.btnQueueSaveChanges = panel.querySelector("#btnQueueSaveChanges");
-
-    // Delegated click handlers for list items
-    dom.queueList.addEventListener("click", (e) => {
-      const btn = e.target.closest("button[data-act]");
-      if (!btn) return;
-      const id = btn.getAttribute("data-id");
-      const act = btn.getAttribute("data-act");
-      if (act === "load") loadQueueItemToMap(id);
-      else if (act === "send") sendOneQueueItem(id);
-      else if (act === "remove") removeQueuedItemById(id);
+    dom.infoSheet.querySelector(".sheet__content").appendChild(panel);
+    dom.settingsPanel = panel;
+    panel.querySelector('[data-act="close"]').addEventListener("click", () => panel.classList.add("is-hidden"));
+    panel.querySelector('[data-act="test"]').addEventListener("click", testConnection);
+    panel.querySelector('[data-act="save"]').addEventListener("click", saveSettings);
+    panel.querySelector('[data-act="reset"]').addEventListener("click", resetSettings);
+    panel.querySelector('[data-act="use-view"]').addEventListener("click", () => {
+      const c = state.leafletMap.getCenter();
+      settingsInput("mapDefaultCenter").value = `${round6(c.lat)}, ${round6(c.lng)}`;
+      settingsInput("mapDefaultZoom").value = String(state.leafletMap.getZoom());
     });
-
-    dom.btnQueueRetryAll.addEventListener("click", retryAllQueued);
-    dom.btnQueueClose.addEventListener("click", closeQueuePanel);
-    dom.btnQueueSaveChanges.addEventListener("click", saveEditsBackToQueue);
   }
 
-  function retryAllQueued() {
-    if (!API_URL) return toast("Set API_URL first.", "error");
-    if (!state.queue.length) return toast("Queue is empty.", "success");
-    (async () => {
-      for (const item of [...state.queue]) {
-        await sendOneQueueItem(item.id);
-      }
-    })();
+  function settingsInput(key) {
+    return dom.settingsPanel.querySelector(`[data-key="${key}"]`);
   }
 
-  function loadQueueItemToMap(id) {
-    const item = state.queue.find((x) => x.id === id);
-    if (!item) return;
-
-    // Build layer from payload and enter edit mode
-    const ring = payloadToLatLngRing(item.payload);
-    if (!ring.length) return toast("Invalid geometry in item.", "error");
-
-    // Clear current polygon / draw state
-    if (state.mode === "drawing") cancelCustomDraw();
-    cleanupEditLayer();
-    if (state.drawnLayer) {
-      state.drawnItems.removeLayer(state.drawnLayer);
-      state.drawnLayer = null;
+  function fillSettingsForm() {
+    for (const key of Object.keys(CONFIG_FIELDS)) {
+      const input = settingsInput(key);
+      const value = config[key];
+      if (input.type === "checkbox") input.checked = value;
+      else input.value = Array.isArray(value) ? value.join(", ") : String(value);
+      // URL parameters win over anything saved here, so don't pretend they're editable
+      input.disabled = key in state.configQuery;
+      input.removeAttribute("aria-invalid");
     }
-
-    const poly = L.polygon(ring, { color: "#3b82f6", weight: 2, fillOpacity: 0.08 });
-    state.drawnItems.addLayer(poly);
-    state.drawnLayer = poly;
-
-    // Set name field
-    state.fenceName.value = item.payload?.properties?.name || "";
-    state.fenceName.dispatchEvent(new Event("input"));
-
-    // Track which queue item is loaded
-    state.loadedQueueId = id;
-
-    enterCustomEditMode(false);
-    buildAndRenderPayload();
-
-    // Show Save bar in panel
-    dom.queueSaveBar.classList.remove("is-hidden");
-    dom.infoSheet.classList.add("open");
-    toast("Loaded from queue. Edit via handles, then Save changes.", "success", 3200);
+    const fromQuery = Object.keys(state.configQuery);
+    dom.settingsPanel.querySelector('[data-role="query"]').textContent = fromQuery.length
+      ? `Set by the page URL (not editable here): ${fromQuery.join(", ")}`
+      : "";
+    dom.settingsPanel.querySelector('[data-role="errors"]').innerHTML = "";
+    dom.settingsPanel.querySelector('[data-role="test"]').textContent = "";
   }
 
-  function saveEditsBackToQueue() {
-    if (!state.loadedQueueId || !state.drawnLayer) {
-      return toast("No loaded queue item.", "error");
+  function saveSettings() {
+    const values = {}, errors = [];
+    for (const key of Object.keys(CONFIG_FIELDS)) {
+      const input = settingsInput(key);
+      if (input.disabled) continue;
+      const parsed = parseConfigValue(key, input.type === "checkbox" ? input.checked : input.value);
+      input.toggleAttribute("aria-invalid", !!parsed.error);
+      if (parsed.error) errors.push(`${input.labels?.[0]?.textContent || key}: ${parsed.error}`);
+      else values[key] = parsed.value;
     }
-    const idx = state.queue.findIndex((x) => x.id === state.loadedQueueId);
-    if (idx === -1) return toast("Queue item missing.", "error");
+    dom.settingsPanel.querySelector('[data-role="errors"]').innerHTML =
+      errors.map((e) => `<span>${escapeHTML(e)}</span>`).join("");
+    if (errors.length) return toast("Fix the highlighted settings.", "error");
+
+    // Persist only what differs from config.json/defaults, so later config.json changes still reach this device
+    const overrides = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (JSON.stringify(value) !== JSON.stringify(state.configBase[key])) overrides[key] = value;
+    }
+    localStorage.setItem("geofenceSettings", JSON.stringify(overrides));
+    applySettingsChange();
+    toast("Settings saved.", "success");
+  }
 
-    const ringLL = getRingLatLngs(state.drawnLayer);
-    const baseId = getLoadedQueueFenceId();
-    const updated = buildPayloadFromLL(ringLL, state.fenceName.value || "", baseId);
-    state.queue[idx].payload = updated;
-    saveQueue();
-    refreshQueuePanel();
-    toast("Changes saved to queue item.", "success");
+  function resetSettings() {
+    localStorage.removeItem("geofenceSettings");
+    applySettingsChange();
+    fillSettingsForm();
+    toast("Settings reset.", "success");
   }
 
-  function payloadToLatLngRing(payload) {
-    try {
-      const ring = payload?.shape?.coordinates?.[0] || [];
-      // Exclude closing duplicate if present
-      const open = [];
-      for (let i = 0; i < ring.length; i++) {
-        const [lon, lat] = ring[i];
-        if (i < ring.length - 1 || (lon !== ring[0][0] || lat !== ring[0][1])) {
-          open.push(L.latLng(lat, lon));
-        }
-      }
-      return open;
-    } catch {
-      return [];
-    }
+  // Shortcuts outside the panel (stats units, coordinate format) save like the panel does, same precedence
+  function saveSetting(key, value) {
+    const saved = readSavedSettings();
+    if (value === state.configBase[key]) delete saved[key];
+    else saved[key] = value;
+    localStorage.setItem("geofenceSettings", JSON.stringify(saved));
+    applySettingsChange();
+    const input = dom.settingsPanel && settingsInput(key);
+    if (input) input.value = config[key];
   }
 
-  function getLoadedQueueFenceId() {
-    if (!state.loadedQueueId) return null;
-    const item = state.queue.find((x) => x.id === state.loadedQueueId);
-    return item?.payload?.fence_id || null;
+  function renderUnitsSelect() {
+    dom.statUnits.value = config.units;
+    dom.statUnits.disabled = "units" in state.configQuery;
+    dom.statUnits.title = dom.statUnits.disabled ? "Set by the page URL" : "";
   }
 
-  function refreshQueueBadge() {
-    // Show/hide "Queue" button and maybe annotate count
-    const n = state.queue.length;
-    dom.btnQueue.hidden = false;
-    dom.btnQueue.textContent = n ? `Queue (${n})` : "Queue";
+  function applySettingsChange() {
+    const prevApiUrl = config.apiUrl, prevTileUrl = config.tileUrl;
+    applyConfigLayers();
+    renderUnitsSelect();
+    renderCoordReadout();
+    renderCoordPanel();
+    renderTransportOptions();
+    if (state.drawnLayer) buildAndRenderPayload();
+    else renderStats();
+    renderFenceList();
+    if (config.apiUrl !== prevApiUrl) {
+      disconnectLiveSync(); // the cursor belongs to the old server; the list reload subscribes again
+      loadServerFences(false);
+    } else renderServerFences();
+    if (config.tileUrl !== prevTileUrl && state.baseMap === "online") setBaseMap("online");
+    scheduleQueueSync(); // a newly configured transport may unblock the queue
+  }
+
+  async function testConnection() {
+    const out = dom.settingsPanel.querySelector('[data-role="test"]');
+    const input = settingsInput("apiUrl");
+    const parsed = parseConfigValue("apiUrl", input.value);
+    if (parsed.error || !parsed.value) {
+      out.textContent = parsed.error || "Enter a server URL first.";
+      return;
+    }
+    out.textContent = "Testing…";
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), CONNECTION_TEST_TIMEOUT_MS);
+    const started = performance.now();
+    try {
+      const res = await fetch(serverSiblingUrl(parsed.value, "/geofences"), { headers: { Accept: "application/json" }, signal: ctrl.signal });
+      if (!res.ok) throw new Error(`Server ${res.status}`);
+      const rows = await res.json();
+      const ms = Math.round(performance.now() - started);
+      out.textContent = `Connected in ${ms} ms — ${Array.isArray(rows) ? rows.length : "?"} fence(s) on the server.`;
+    } catch (err) {
+      out.textContent = err.name === "AbortError"
+        ? `No answer within ${CONNECTION_TEST_TIMEOUT_MS / 1000} s.`
+        : `Failed: ${err.message || err} (server down, wrong URL or CORS).`;
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   // ====== K) UI Wiring ======
@@ -844,6 +6118,12 @@
       else startCustomDraw();
     });
 
+    dom.btnHole.addEventListener("click", startHoleDraw);
+    dom.btnUndo.addEventListener("click", undo);
+    dom.btnRedo.addEventListener("click", redo);
+    document.addEventListener("keydown", onHistoryKey);
+    dom.shapeParam.addEventListener("input", onShapeParamInput);
+
     dom.btnEdit.addEventListener("click", () => {
       if (!state.drawnLayer) return;
       if (state.mode === "editing") exitCustomEditMode(true);
@@ -851,24 +6131,48 @@
     });
 
     dom.btnClear.addEventListener("click", () => {
+      if (state.mode === "drawing") return cancelCustomDraw();
       if (state.mode === "editing") exitCustomEditMode(true);
-      if (state.mode === "drawing") cancelCustomDraw();
       clearPolygon();
-      state.loadedQueueId = null;
-      if (dom.queueSaveBar) dom.queueSaveBar.classList.add("is-hidden");
     });
 
     dom.btnRecenter.addEventListener("click", updateGPS);
+    dom.btnSettings.addEventListener("click", openSettingsPanel);
     dom.btnSend.addEventListener("click", sendGeofence);
+    dom.btnSendAll.addEventListener("click", sendAllFences);
+    dom.btnImport.addEventListener("click", () => dom.importFile.click());
+    dom.importFile.addEventListener("change", onImportFileChosen);
+    dom.btnExport.addEventListener("click", openExportPanel);
+    dom.btnOfflineMap.addEventListener("click", openOfflineMapPanel);
+    dom.btnAlerts.addEventListener("click", openAlertsPanel);
+    dom.btnTrack.addEventListener("click", openTrackPanel);
+    dom.btnCoords.addEventListener("click", openCoordPanel);
+    dom.btnReshape.addEventListener("click", openReshapePanel);
+    dom.transport.addEventListener("change", onTransportChange);
+
+    dom.fenceList.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-act]");
+      if (!btn) return;
+      const id = btn.getAttribute("data-id");
+      if (btn.getAttribute("data-act") === "select") selectFence(id);
+      else removeFence(id);
+    });
 
     // Repurpose as Queue open button
     dom.btnQueue.hidden = false;
     dom.btnQueue.addEventListener("click", openQueuePanel);
 
+    dom.statUnits.addEventListener("change", (e) => saveSetting("units", e.target.value));
+
+    dom.fenceProps.addEventListener("input", readFencePropsForm);
+    dom.fenceProps.addEventListener("change", readFencePropsForm);
+
     dom.fenceName.addEventListener("input", (e) => {
       state.fenceName = e.target.value || "";
+      const fence = getActiveFence();
+      if (fence) fence.name = state.fenceName;
       if (state.drawnLayer) buildAndRenderPayload();
-      else if (state.mode === "drawing") liveUpdateStatsFromRing(state.drawRing);
+      else if (state.mode === "drawing") liveUpdateStatsFromRings(getDrawPreviewRings(), getDrawPreviewShape());
     });
 
     dom.infoSheet.querySelector(".sheet__handle").addEventListener("click", () => {
@@ -897,28 +6201,41 @@
     });
   }
 
+  // Removes the active fence from the workspace
   function clearPolygon() {
     cleanupEditLayer();
-    if (state.drawnLayer) {
-      state.drawnItems.removeLayer(state.drawnLayer);
-      state.drawnLayer = null;
+    const fence = getActiveFence();
+    if (fence) {
+      if (state.conflict?.fence === fence) closeConflictPanel();
+      state.drawnItems.removeLayer(fence.layer);
+      state.fences = state.fences.filter((f) => f !== fence);
     }
-    state.geojson = null;
+    deselectFence();
     state.mode = "idle";
     renderButtons();
     renderStats();
     renderJsonPreview();
-    renderSheet(false);
+    renderFenceList();
+    renderSheet(state.fences.length > 0);
   }
 
   function renderButtons() {
     const hasPoly = !!state.drawnLayer;
 
     dom.btnDraw.textContent = (state.mode === "drawing") ? "Finish" : "Draw";
+    dom.drawShape.disabled = state.mode === "drawing";
     dom.btnEdit.disabled  = !hasPoly || state.mode === "drawing";
+    dom.btnHole.disabled  = !hasPoly || state.mode === "drawing" || state.mode === "sending";
+    dom.btnReshape.disabled = !hasPoly || state.mode === "drawing" || state.mode === "sending";
     dom.btnClear.disabled = !hasPoly && state.mode !== "drawing";
     dom.btnEdit.textContent = (state.mode === "editing") ? "Done" : "Edit";
     dom.btnSend.disabled = !state.geojson || state.mode === "sending";
+    dom.btnSendAll.disabled = !state.fences.length || state.mode === "sending" || state.mode === "drawing";
+    const history = getHistory();
+    dom.btnUndo.disabled = !history?.undo.length || state.mode === "sending";
+    dom.btnRedo.disabled = !history?.redo.length || state.mode === "sending";
+    renderCoordPanel(); // its targets follow the mode
+    renderReshapePanel();
   }
 
   function renderSheet(open) {
@@ -927,34 +6244,40 @@
   }
 
   function renderJsonPreview(errorMsg) {
-    if (errorMsg) { dom.jsonPreview.value = `// ${errorMsg}`; return; }
+    if (errorMsg) { dom.jsonPreview.value = `// Cannot send: ${errorMsg}`; return; }
     dom.jsonPreview.value = state.geojson
       ? JSON.stringify(state.geojson, null, 2)
       : "// Draw a polygon to see the payload…";
   }
 
-  function renderStats(ringLL) {
-    if (!ringLL || ringLL.length < 3) {
+  function renderStats(ringsLL) {
+    if (!ringsLL || !ringsLL[0] || ringsLL[0].length < 3) {
       dom.statVertices.textContent  = "0";
       dom.statPerimeter.textContent = "—";
       dom.statArea.textContent      = "—";
-      return;
+    } else {
+      const { vertices, perimeter_m, area_m2 } = computeStatsLL(ringsLL);
+      dom.statVertices.textContent  = String(vertices);
+      dom.statPerimeter.textContent = formatMeters(perimeter_m);
+      dom.statArea.textContent      = formatSquareMeters(area_m2);
     }
-    const { vertices, perimeter_m, area_m2 } = computeStatsLL(ringLL);
-    dom.statVertices.textContent  = String(vertices);
-    dom.statPerimeter.textContent = formatMeters(perimeter_m);
-    dom.statArea.textContent      = formatSquareMeters(area_m2);
+    renderReshapePreview(); // G3: before → after while the panel is open
   }
 
-  function liveUpdateStatsFromRing(ringLL) {
-    if (!ringLL || ringLL.length < 3) {
+  function liveUpdateStatsFromRings(ringsLL, shape = getActiveFence()?.shape || null) {
+    if (!ringsLL || !ringsLL[0] || ringsLL[0].length < 3) {
       renderStats();
+      renderInvalidEdges();
       dom.jsonPreview.value = "// Add at least 3 vertices to preview payload…";
       return;
     }
-    renderStats(ringLL);
-    const baseId = getLoadedQueueFenceId();
-    const preview = buildPayloadFromLL(ringLL, state.fenceName, baseId);
+    renderStats(ringsLL);
+    const val = validateCoordsLL(ringsLL);
+    renderInvalidEdges(val.badEdges);
+    if (!val.ok) return renderJsonPreview(val.reason);
+    const fence = getActiveFence();
+    const baseId = fence?.fenceId || state.drawFenceId;
+    const preview = buildPayloadFromLL(ringsLL, state.fenceName, baseId, shape, fence ? nextRevision(fence) : 1, fence?.revision || 0, state.fenceProps);
     dom.jsonPreview.value = JSON.stringify(preview, null, 2);
   }
 
@@ -970,6 +6293,9 @@
   function onOnline() {
     state.online = true;
     toast("Back online.", "success");
+    checkForNewVersion();
+    syncQueue({ all: true });
+    if (state.eventRetryTimer) connectLiveSync(); // don't wait out the backoff
   }
   function onOffline() {
     state.online = false;
@@ -985,19 +6311,51 @@
     const h = [...b].map((x) => x.toString(16).padStart(2, "0"));
     return [h.slice(0,4).join(""),h.slice(4,6).join(""),h.slice(6,8).join(""),h.slice(8,10).join(""),h.slice(10,16).join("")].join("-");
   }
+  // Lengths/areas follow config.units
   function formatMeters(m) {
     if (!isFinite(m) || m <= 0) return "—";
+    if (config.units === "imperial") {
+      const ft = m / 0.3048;
+      return ft < 5280 ? `${ft.toFixed(0)} ft` : `${(ft / 5280).toFixed(2)} mi`;
+    }
+    if (config.units === "nautical") {
+      return m < 185.2 ? `${m.toFixed(0)} m` : `${(m / 1852).toFixed(2)} NM`;
+    }
     if (m < 1000) return `${m.toFixed(0)} m`;
     return `${(m / 1000).toFixed(2)} km`;
   }
   function formatSquareMeters(m2) {
     if (!isFinite(m2) || m2 <= 0) return "—";
+    if (config.units === "imperial") {
+      const acres = m2 / 4046.8564224;
+      if (acres < 1) return `${(m2 / 0.09290304).toFixed(0)} ft²`;
+      return acres < 640 ? `${acres.toFixed(2)} ac` : `${(acres / 640).toFixed(2)} mi²`;
+    }
+    if (config.units === "nautical") {
+      const nm2 = m2 / (1852 * 1852);
+      return nm2 < 0.01 ? `${m2.toFixed(0)} m²` : `${nm2.toFixed(2)} NM²`;
+    }
     if (m2 < 1e6) return `${m2.toFixed(0)} m²`;
     return `${(m2 / 1e6).toFixed(2)} km²`;
   }
+  function formatBytes(n) {
+    if (!isFinite(n) || n <= 0) return "0 B";
+    const units = ["B", "KB", "MB", "GB"];
+    const i = Math.min(units.length - 1, Math.floor(Math.log(n) / Math.log(1024)));
+    return `${(n / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`;
+  }
   function escapeHTML(s) {
     return String(s).replace(/[&<>"']/g, (c) => ({
       "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"
     }[c]));
   }
+
+  // The Node tests (tests/*.test.js) load this file into a sandbox without a page and set this flag
+  // to get the pure geometry helpers back; a browser never sets it.
+  if (window.__GEOFENCE_TEST__) {
+    window.__GEOFENCE_TEST__ = {
+      computeStatsLL, geodesicMeters, geodesicRingArea, corridorRingLL, validateCoordsLL, pointInRingLL,
+      simplifyRing, visvalingamRing, densifyRing, buildPayloadFromLL,
+    };
+  }
 })();
@@ -0,0 +1,226 @@
+// sw.js — Geofence UI service worker
+// - App shell: precached per APP_VERSION (the page registers sw.js?v=<APP_VERSION>). A new version
+//   installs next to the running one and waits until the page's "Update available" prompt lets it in.
+// - Map tiles: cache-first from IndexedDB "geofence-tiles" (the same DB the page's "Download area"
+//   and MBTiles import write to); misses go to the network and are stored for offline use. Tiles kept
+//   that way are trimmed, least recently used first, to TILE_CACHE_MAX_BYTES; pinned ones (downloaded
+//   areas, MBTiles) are never evicted.
+// - MBTiles datasets are served from a virtual same-origin path (…/tiles/mbtiles/<name>/{z}/{x}/{y}.png)
+// - Background Sync "geofence-queue": sending needs the page's transport settings, so the worker only
+//   wakes the open tabs to drain the queue
+
+const VERSION = new URL(self.location.href).searchParams.get("v") || "dev";
+const SHELL_CACHE = `geofence-shell-${VERSION}`;
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "app.js",
+  "style.css",
+  "manifest.webmanifest",
+  "icons/icon.svg",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "vendor/leaflet/leaflet.js",
+  "vendor/leaflet/leaflet.css",
+  "vendor/leaflet/images/layers.png",
+  "vendor/leaflet/images/layers-2x.png",
+  "vendor/leaflet/images/marker-icon.png",
+  "vendor/leaflet/images/marker-icon-2x.png",
+  "vendor/leaflet/images/marker-shadow.png",
+  "vendor/leaflet-draw/leaflet.draw.js",
+  "vendor/leaflet-draw/leaflet.draw.css",
+  "vendor/leaflet-draw/images/spritesheet.png",
+  "vendor/leaflet-draw/images/spritesheet-2x.png",
+  "vendor/leaflet-draw/images/spritesheet.svg",
+  "vendor/sql.js/sql-wasm.js",
+  "vendor/sql.js/sql-wasm.wasm",
+];
+// Deployment-specific and optional: network first, last good copy kept for offline starts
+const CONFIG_FILE = "config.json";
+
+const TILE_DB = "geofence-tiles";
+const TILE_STORE = "tiles";
+const TILE_PATH_RE = /\/\d+\/\d+\/\d+\.(png|jpe?g|webp)$/i;
+const MBTILES_PATH = "/tiles/mbtiles/";
+const TILE_CACHE_MAX_BYTES = 200 * 1024 * 1024; // unpinned tiles only
+const TILE_CACHE_TRIM_TO = 0.8;                   // a trim goes down to this share of the cap, so trims are rare
+const TILE_CACHE_TRIM_EVERY = 200;                // stored tiles between checks (each check reads every record)
+const TILE_TOUCH_MS = 24 * 60 * 60 * 1000;       // a hit refreshes the tile's "at" at most this often
+const QUEUE_SYNC_TAG = "geofence-queue"; // must match app.js
+
+self.addEventListener("install", (event) => {
+  // cache: "reload" so a new version never precaches stale files from the HTTP cache
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_FILES.map((f) => new Request(f, { cache: "reload" }))))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((k) => k.startsWith("geofence-shell-") && k !== SHELL_CACHE).map((k) => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === QUEUE_SYNC_TAG) event.waitUntil(wakeQueueSync());
+});
+
+async function wakeQueueSync() {
+  const tabs = await self.clients.matchAll({ type: "window" });
+  // Rejecting makes the browser keep the sync registered and fire it again later
+  if (!tabs.length) throw new Error("No open tab to send the queue");
+  for (const tab of tabs) tab.postMessage({ type: "SYNC_QUEUE" });
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (TILE_PATH_RE.test(url.pathname)) {
+    event.respondWith(serveTile(req, url));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+
+  const rel = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+  if (rel === CONFIG_FILE) {
+    event.respondWith(serveConfig(req));
+    return;
+  }
+  // The page's update check reads app.js with cache: "no-store"; let it reach the network
+  if (req.cache === "no-store") return;
+  const isStart = req.mode === "navigate" && (rel === "" || rel === "index.html");
+  if (isStart || SHELL_FILES.includes(rel)) event.respondWith(serveShell(req));
+});
+
+async function serveShell(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(req.mode === "navigate" ? "index.html" : req, { ignoreSearch: true });
+  return hit || fetch(req);
+}
+
+async function serveConfig(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) await cache.put(CONFIG_FILE, res.clone());
+    return res;
+  } catch {
+    return (await cache.match(CONFIG_FILE)) || new Response("", { status: 404 });
+  }
+}
+
+async function serveTile(req, url) {
+  const key = tileKey(url);
+  const cached = await tileGet(key).catch(() => null);
+  if (cached) {
+    if (!cached.pinned && Date.now() - cached.at > TILE_TOUCH_MS) tilePut(key, { ...cached, at: Date.now() }).catch(() => {});
+    return new Response(cached.blob, { headers: { "Content-Type": cached.type } });
+  }
+
+  // Imported MBTiles only exist locally
+  if (url.origin === self.location.origin && url.pathname.includes(MBTILES_PATH)) {
+    return new Response("", { status: 404 });
+  }
+
+  try {
+    // CORS so the body is readable (opaque responses can't be stored)
+    const res = await fetch(url.href, { mode: "cors", credentials: "omit" });
+    if (!res.ok) return res;
+    const blob = await res.blob();
+    await tilePut(key, { blob, type: blob.type || "image/png", size: blob.size, at: Date.now() }).catch(() => {});
+    if (++tilesSinceTrim >= TILE_CACHE_TRIM_EVERY) trimTileCache().catch(() => {});
+    return new Response(blob, { headers: { "Content-Type": blob.type || "image/png" } });
+  } catch {
+    // Offline, or a tile server without CORS headers: hand the original request through uncached
+    try {
+      return await fetch(req);
+    } catch {
+      return new Response("", { status: 504, statusText: "Offline and not cached" });
+    }
+  }
+}
+
+// Must match tileKey() in app.js: a/b/c subdomains share one cache entry
+function tileKey(url) {
+  return url.host.replace(/^[a-c]\./, "") + url.pathname;
+}
+
+let tileDbPromise = null;
+
+function openTileDb() {
+  tileDbPromise = tileDbPromise || new Promise((resolve, reject) => {
+    const req = indexedDB.open(TILE_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(TILE_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { tileDbPromise = null; reject(req.error); };
+  });
+  return tileDbPromise;
+}
+
+async function tileGet(key) {
+  const db = await openTileDb();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(TILE_STORE).objectStore(TILE_STORE).get(key);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function tilePut(key, record) {
+  const db = await openTileDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(TILE_STORE, "readwrite");
+    tx.objectStore(TILE_STORE).put(record, key);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// The first tile stored after the worker starts triggers a check too, since the count isn't persisted
+let tilesSinceTrim = TILE_CACHE_TRIM_EVERY - 1;
+
+// Deletes the least recently used unpinned tiles once they add up to more than TILE_CACHE_MAX_BYTES
+async function trimTileCache() {
+  tilesSinceTrim = 0;
+  const db = await openTileDb();
+  const entries = await new Promise((resolve, reject) => {
+    const out = [];
+    const req = db.transaction(TILE_STORE).objectStore(TILE_STORE).openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(out);
+      const { pinned, at, size } = cursor.value;
+      if (!pinned) out.push({ key: cursor.key, at: at || 0, size: size || 0 });
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+  let total = entries.reduce((sum, e) => sum + e.size, 0);
+  if (total <= TILE_CACHE_MAX_BYTES) return;
+
+  entries.sort((a, b) => a.at - b.at);
+  const victims = [];
+  for (const e of entries) {
+    if (total <= TILE_CACHE_MAX_BYTES * TILE_CACHE_TRIM_TO) break;
+    victims.push(e.key);
+    total -= e.size;
+  }
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(TILE_STORE, "readwrite");
+    const store = tx.objectStore(TILE_STORE);
+    // Skip any the page pinned since the scan (an area download running alongside)
+    for (const key of victims) {
+      const req = store.get(key);
+      req.onsuccess = () => { if (req.result && !req.result.pinned) store.delete(key); };
+    }
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
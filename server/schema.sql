@@ -0,0 +1,63 @@
+-- Geofence store. init_db() runs this on every start, so keep it idempotent;
+-- columns added later are also added to existing databases by migrate_db() in server.py.
+CREATE TABLE IF NOT EXISTS fences (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    fence_id TEXT NOT NULL,
+    name TEXT,
+    notes TEXT,
+    created_at TEXT,
+    coordinates TEXT,
+    properties TEXT,        -- JSON of the payload's properties (1.3: type, altitude, schedule, priority, color)
+    revision INTEGER NOT NULL DEFAULT 1,
+    idempotency_key TEXT,   -- "<fence_id>:<revision>" from the Idempotency-Key header
+    payload_hash TEXT,      -- sha256 of shape + properties, to spot a key reused for other content
+    stored_at TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS fences_idempotency_key ON fences (idempotency_key);
+
+-- Every Idempotency-Key a fence was stored under. fences.idempotency_key only holds the latest, so
+-- without this a retry of an earlier POST/PUT would look new after the next update. DELETE drops a
+-- fence's keys, so recreating it can start again at revision 1.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    idempotency_key TEXT PRIMARY KEY,
+    fence_id TEXT NOT NULL,
+    fence_row_id INTEGER,   -- fences.id
+    revision INTEGER,       -- the revision that request stored
+    payload_hash TEXT,
+    stored_at TEXT
+);
+
+-- Databases from before the table above: keep the keys their rows were stored under
+INSERT OR IGNORE INTO idempotency_keys (idempotency_key, fence_id, fence_row_id, revision, payload_hash, stored_at)
+    SELECT idempotency_key, fence_id, id, revision, payload_hash, stored_at FROM fences WHERE idempotency_key IS NOT NULL;
+
+-- Change feed for GET /api/events (Server-Sent Events). Clients resume with ?since=<id>.
+CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL,     -- created | updated | deleted
+    fence_id TEXT NOT NULL,
+    revision INTEGER,
+    fence TEXT,             -- JSON of the stored row (deleted: just fence_id and name)
+    operator TEXT,          -- X-Operator header: who made the change
+    origin TEXT,            -- X-Client-Id header: lets a client skip its own events
+    at TEXT
+);
+
+-- Geofence breach log sent by the GUI (POST /api/breaches). The GUI's event id makes re-sends harmless.
+CREATE TABLE IF NOT EXISTS breach_events (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,     -- enter | exit | dwell
+    fence_id TEXT NOT NULL,
+    fence_name TEXT,
+    at TEXT NOT NULL,       -- when the device detected it (ISO 8601)
+    lat REAL,
+    lon REAL,
+    accuracy_m REAL,
+    dwell_s INTEGER,        -- dwell only: seconds inside so far
+    operator TEXT,          -- X-Operator header
+    device TEXT,            -- X-Client-Id header
+    received_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS breach_events_at ON breach_events (at);
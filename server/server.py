@@ -1,12 +1,47 @@
-from flask import Flask, request, jsonify
+from flask import Flask, request, jsonify, Response, stream_with_context
 from flask_cors import CORS
 import sqlite3
 import json
+import hashlib
+import math
+import os
+import re
+import socket
+import time
+from datetime import datetime, timezone
+import xml.etree.ElementTree as ET
 
 app = Flask(__name__)
-CORS(app)
+# X-Event-Cursor on the fence list tells the GUI where to start /api/events
+CORS(app, expose_headers=["X-Event-Cursor"])
 
 DATABASE_FILE = "geofences.db"
+SCHEMA_FILE = os.path.join(os.path.dirname(os.path.abspath(__file__)), "schema.sql")
+
+# /api/events: how often an open stream looks for new rows, and the keep-alive interval that
+# stops proxies from closing an idle connection
+EVENT_POLL_SECONDS = 1.0
+EVENT_HEARTBEAT_SECONDS = 15
+
+# Columns added after the first release; migrate_db() adds any an older database lacks
+FENCE_COLUMNS = {
+    "revision": "INTEGER NOT NULL DEFAULT 1",
+    "idempotency_key": "TEXT",
+    "payload_hash": "TEXT",
+    "stored_at": "TEXT",
+    "properties": "TEXT",
+}
+
+# Fence semantics (spec 1.3): optional properties, checked by validate_properties()
+FENCE_TYPES = ("inclusion", "exclusion")
+ALTITUDE_REFS = ("AGL", "MSL")
+COLOR_RE = re.compile(r"^#[0-9a-fA-F]{6}$")
+
+# Where /api/cot relays CoT events. The defaults hit shared/UDP.py (a local mock receiver);
+# for a TAK server use its CoT input, e.g. TAK_COT_PROTO=tcp TAK_COT_PORT=8087.
+TAK_COT_HOST = os.environ.get("TAK_COT_HOST", "127.0.0.1")
+TAK_COT_PORT = int(os.environ.get("TAK_COT_PORT", "5005"))
+TAK_COT_PROTO = os.environ.get("TAK_COT_PROTO", "udp")  # "udp" or "tcp"
 
 def get_db_connection():
     """Establishes a connection to the database."""
@@ -18,47 +53,475 @@ def init_db():
     """Initializes the database and creates the table if it doesn't exist."""
     with app.app_context():
         conn = get_db_connection()
-        with open('schema.sql', 'r') as f:
+        migrate_db(conn)
+        with open(SCHEMA_FILE, 'r') as f:
             conn.executescript(f.read())
         conn.close()
         print("Database initialized.")
 
+def migrate_db(conn):
+    """Adds columns missing from a fences table created by an older version."""
+    existing = {row["name"] for row in conn.execute("PRAGMA table_info(fences)")}
+    if not existing:
+        return  # fresh database: schema.sql creates the full table
+    for column, decl in FENCE_COLUMNS.items():
+        if column not in existing:
+            conn.execute(f"ALTER TABLE fences ADD COLUMN {column} {decl}")
+            print(f"Migrated fences table: added {column}.")
+    conn.commit()
+
+def content_hash(data):
+    """Hash of what the fence is (shape and properties). created_at is left out: the GUI stamps it
+    again each time it rebuilds a payload, so a plain retry would otherwise look like new content."""
+    content = {"shape": data.get("shape"), "properties": data.get("properties")}
+    return hashlib.sha256(json.dumps(content, sort_keys=True, separators=(",", ":")).encode()).hexdigest()
+
+def fence_ack(row, duplicate=False):
+    """The structured reply to a stored (or already stored) fence."""
+    return {
+        "status": "success",
+        "id": row["id"],
+        "fence_id": row["fence_id"],
+        "revision": row["revision"],
+        "stored_at": row["stored_at"],
+        "duplicate": duplicate,
+    }
+
+def fence_fields(data):
+    """The columns stored for a geofence payload."""
+    properties = data.get("properties") or {}
+    return {
+        "fence_id": data.get("fence_id"),
+        "name": properties.get("name"),
+        "notes": properties.get("notes"),
+        "created_at": data.get("created_at"),
+        # We'll store the complex coordinates object as a JSON string
+        "coordinates": json.dumps((data.get("shape") or {}).get("coordinates")),
+        "properties": json.dumps(properties) if properties else None,
+        "payload_hash": content_hash(data),
+    }
+
+def fence_row(row):
+    """A stored fence as the API returns it (bookkeeping columns left out)."""
+    fence = dict(row)
+    fence.pop("idempotency_key", None)
+    fence.pop("payload_hash", None)
+    fence["properties"] = json.loads(fence["properties"]) if fence.get("properties") else None
+    return fence
+
+def parse_time(value):
+    """ISO 8601 to an aware datetime; times without an offset count as UTC."""
+    try:
+        parsed = datetime.fromisoformat(value.replace("Z", "+00:00"))
+    except (AttributeError, ValueError):
+        return None
+    return parsed if parsed.tzinfo else parsed.replace(tzinfo=timezone.utc)
+
+def is_number(value):
+    return isinstance(value, (int, float)) and not isinstance(value, bool)
+
+def is_revision(value):
+    """Revisions are positive integers (bool is an int in Python, so it is ruled out too)."""
+    return isinstance(value, int) and not isinstance(value, bool) and value >= 1
+
+def validate_properties(properties):
+    """The 1.3 fields are optional, but when present they must make sense. Returns an error message or None."""
+    if properties is None:
+        return None
+    if not isinstance(properties, dict):
+        return "properties must be an object"
+    if "type" in properties and properties["type"] not in FENCE_TYPES:
+        return f"properties.type must be one of {', '.join(FENCE_TYPES)}"
+    if "priority" in properties:
+        priority = properties["priority"]
+        if not isinstance(priority, int) or isinstance(priority, bool) or not 0 <= priority <= 100:
+            return "properties.priority must be a whole number 0-100"
+    if "color" in properties and not (isinstance(properties["color"], str) and COLOR_RE.match(properties["color"])):
+        return "properties.color must be #rrggbb"
+    altitude = properties.get("altitude")
+    if altitude is not None:
+        if not isinstance(altitude, dict):
+            return "properties.altitude must be an object"
+        low, high = altitude.get("min_m"), altitude.get("max_m")
+        if low is None and high is None:
+            return "properties.altitude needs min_m, max_m or both"
+        if any(v is not None and not (is_number(v) and math.isfinite(v)) for v in (low, high)):
+            return "properties.altitude min_m/max_m must be finite numbers"
+        if low is not None and high is not None and low >= high:
+            return "properties.altitude min_m must be below max_m"
+        if altitude.get("ref", "AGL") not in ALTITUDE_REFS:
+            return f"properties.altitude.ref must be one of {', '.join(ALTITUDE_REFS)}"
+    schedule = properties.get("schedule")
+    if schedule is not None:
+        if not isinstance(schedule, dict):
+            return "properties.schedule must be an object"
+        start, end = schedule.get("active_from"), schedule.get("active_until")
+        if start is None and end is None:
+            return "properties.schedule needs active_from, active_until or both"
+        times = [parse_time(v) if v is not None else None for v in (start, end)]
+        if any(v is not None and t is None for v, t in zip((start, end), times)):
+            return "properties.schedule times must be ISO 8601"
+        if times[0] and times[1] and times[0] >= times[1]:
+            return "properties.schedule active_from must be before active_until"
+    return None
+
+def latest_fence(conn, fence_id):
+    """The current row for a fence_id (databases from before revisions may hold several)."""
+    return conn.execute(
+        'SELECT * FROM fences WHERE fence_id = ? ORDER BY revision DESC, id DESC LIMIT 1', (fence_id,)
+    ).fetchone()
+
+def replay(conn, idempotency_key, payload_hash):
+    """The response for a request already handled under this Idempotency-Key, else None. The ack describes
+    what that request stored, even if the fence has been updated since."""
+    if not idempotency_key:
+        return None
+    row = conn.execute(
+        'SELECT fence_row_id AS id, fence_id, revision, payload_hash, stored_at FROM idempotency_keys WHERE idempotency_key = ?',
+        (idempotency_key,)
+    ).fetchone()
+    if not row:
+        return None
+    if row["payload_hash"] != payload_hash:
+        return jsonify({"status": "error", "message": f"Idempotency-Key {idempotency_key} was already used for different content"}), 422
+    print(f"Geofence '{row['fence_id']}' revision {row['revision']} already stored; not storing again.")
+    return jsonify(fence_ack(row, duplicate=True)), 200
+
+def remember_key(conn, idempotency_key, row):
+    """Records the key a request stored row under (in the caller's transaction). Raises IntegrityError
+    if a concurrent retry with the same key got there first."""
+    if idempotency_key:
+        conn.execute(
+            'INSERT INTO idempotency_keys (idempotency_key, fence_id, fence_row_id, revision, payload_hash, stored_at) '
+            'VALUES (?, ?, ?, ?, ?, ?)',
+            (idempotency_key, row["fence_id"], row["id"], row["revision"], row["payload_hash"], row["stored_at"])
+        )
+
+def key_clash(idempotency_key):
+    """409 for a write that hit a uniqueness constraint with nothing stored under its key to replay
+    (e.g. the fence that had it was deleted in between)."""
+    return jsonify({"status": "conflict", "message": f"Could not store under Idempotency-Key {idempotency_key}; reload and try again"}), 409
+
+def record_event(conn, kind, fence_id, revision, fence):
+    """Appends a created/updated/deleted event for /api/events (in the caller's transaction)."""
+    conn.execute(
+        "INSERT INTO events (kind, fence_id, revision, fence, operator, origin, at) "
+        "VALUES (?, ?, ?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))",
+        (kind, fence_id, revision, json.dumps(fence) if fence else None,
+         request.headers.get("X-Operator", "")[:64], request.headers.get("X-Client-Id", "")[:64])
+    )
+
+def event_cursor(conn):
+    """Id of the newest event; a client that has everything up to here passes it as ?since=."""
+    return conn.execute("SELECT COALESCE(MAX(id), 0) FROM events").fetchone()[0]
+
+def event_json(row):
+    return {
+        "id": row["id"],
+        "kind": row["kind"],
+        "fence_id": row["fence_id"],
+        "revision": row["revision"],
+        "fence": json.loads(row["fence"]) if row["fence"] else None,
+        "operator": row["operator"],
+        "origin": row["origin"],
+        "at": row["at"],
+    }
+
+def conflict(row, message):
+    """409 with the server's copy, so the client can offer overwrite or load-theirs."""
+    return jsonify({"status": "conflict", "message": message, "current": fence_row(row)}), 409
+
 @app.route("/api/geofence", methods=["POST"])
 def create_geofence():
-    data = request.get_json()
-    
-    # Extract data from the payload
-    fence_id = data.get("fence_id")
-    name = data.get("properties", {}).get("name")
-    notes = data.get("properties", {}).get("notes")
-    created_at = data.get("created_at")
-    # We'll store the complex coordinates object as a JSON string
-    coordinates_str = json.dumps(data.get("shape", {}).get("coordinates"))
-
-    # Insert the new geofence into the database
+    data = request.get_json(silent=True)
+    if not isinstance(data, dict) or not data.get("fence_id"):
+        return jsonify({"status": "error", "message": "Expected a geofence payload with a fence_id"}), 400
+    problem = validate_properties(data.get("properties"))
+    if problem:
+        return jsonify({"status": "error", "message": problem}), 400
+
+    revision = data.get("revision")
+    if revision is None:
+        revision = 1  # payloads from before 1.2
+    if not is_revision(revision):
+        return jsonify({"status": "error", "message": "revision must be a positive integer"}), 400
+
+    fields = fence_fields(data)
+    # A retried send carries the same Idempotency-Key: answer with what is already stored
+    idempotency_key = request.headers.get("Idempotency-Key") or None
+
     conn = get_db_connection()
-    conn.execute(
-        'INSERT INTO fences (fence_id, name, notes, created_at, coordinates) VALUES (?, ?, ?, ?, ?)',
-        (fence_id, name, notes, created_at, coordinates_str)
-    )
-    conn.commit()
-    conn.close()
-    
-    print(f"Saved geofence '{name}' to the database.")
-    return jsonify({"status": "success", "message": "Geofence created and stored"}), 201
+    try:
+        replayed = replay(conn, idempotency_key, fields["payload_hash"])
+        if replayed:
+            return replayed
+        existing = latest_fence(conn, fields["fence_id"])
+        if existing:
+            return conflict(existing, "A fence with this fence_id already exists; update it with PUT")
+
+        # Insert the new geofence into the database
+        try:
+            cur = conn.execute(
+                'INSERT INTO fences (fence_id, name, notes, created_at, coordinates, properties, revision, idempotency_key, payload_hash, stored_at) '
+                "VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))",
+                (fields["fence_id"], fields["name"], fields["notes"], fields["created_at"], fields["coordinates"],
+                 fields["properties"], revision, idempotency_key, fields["payload_hash"])
+            )
+            row = conn.execute('SELECT * FROM fences WHERE id = ?', (cur.lastrowid,)).fetchone()
+            remember_key(conn, idempotency_key, row)
+        except sqlite3.IntegrityError:
+            # A concurrent retry with the same key got there first
+            conn.rollback()
+            replayed = replay(conn, idempotency_key, fields["payload_hash"])
+            return replayed if replayed else key_clash(idempotency_key)
+        record_event(conn, "created", row["fence_id"], row["revision"], fence_row(row))
+        conn.commit()
+    finally:
+        conn.close()
+
+    print(f"Saved geofence '{fields['name']}' revision {revision} to the database.")
+    return jsonify(fence_ack(row)), 201
+
+@app.route("/api/geofence/<fence_id>", methods=["PUT"])
+def update_geofence(fence_id):
+    """Replaces a fence. base_revision must match the stored revision, otherwise 409."""
+    data = request.get_json(silent=True)
+    if not isinstance(data, dict) or data.get("fence_id") != fence_id:
+        return jsonify({"status": "error", "message": "Expected a geofence payload for this fence_id"}), 400
+    base_revision = data.get("base_revision")
+    if not is_revision(base_revision):
+        return jsonify({"status": "error", "message": "base_revision (the revision the edit started from) must be a positive integer"}), 400
+    requested_revision = data.get("revision")
+    if requested_revision is not None and not is_revision(requested_revision):
+        return jsonify({"status": "error", "message": "revision must be a positive integer"}), 400
+    problem = validate_properties(data.get("properties"))
+    if problem:
+        return jsonify({"status": "error", "message": problem}), 400
+
+    fields = fence_fields(data)
+    idempotency_key = request.headers.get("Idempotency-Key") or None
+
+    conn = get_db_connection()
+    try:
+        replayed = replay(conn, idempotency_key, fields["payload_hash"])
+        if replayed:
+            return replayed
+        row = latest_fence(conn, fence_id)
+        if not row:
+            return jsonify({"status": "error", "message": "No such fence; it may have been deleted"}), 404
+        if row["revision"] != base_revision:
+            return conflict(row, f"Fence changed on the server: revision {row['revision']}, edit based on {base_revision}")
+
+        # The server has the last word on revisions: always past the one it replaces
+        revision = max(requested_revision or 0, row["revision"] + 1)
+        try:
+            conn.execute(
+                'UPDATE fences SET name = ?, notes = ?, coordinates = ?, properties = ?, revision = ?, idempotency_key = ?, '
+                "payload_hash = ?, stored_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = ?",
+                (fields["name"], fields["notes"], fields["coordinates"], fields["properties"], revision, idempotency_key,
+                 fields["payload_hash"], row["id"])
+            )
+            row = conn.execute('SELECT * FROM fences WHERE id = ?', (row["id"],)).fetchone()
+            remember_key(conn, idempotency_key, row)
+        except sqlite3.IntegrityError:
+            conn.rollback()
+            replayed = replay(conn, idempotency_key, fields["payload_hash"])
+            return replayed if replayed else key_clash(idempotency_key)
+        record_event(conn, "updated", row["fence_id"], row["revision"], fence_row(row))
+        conn.commit()
+    finally:
+        conn.close()
+
+    print(f"Updated geofence '{fields['name']}' to revision {revision}.")
+    return jsonify(fence_ack(row)), 200
+
+@app.route("/api/geofence/<fence_id>", methods=["DELETE"])
+def delete_geofence(fence_id):
+    """Deletes a fence. With ?base_revision=N it only goes ahead if N is still current (else 409)."""
+    # Read the raw string: type=int would turn "abc" into None and delete without any check
+    raw = request.args.get("base_revision")
+    base_revision = None
+    if raw is not None:
+        base_revision = int(raw) if re.fullmatch(r"[0-9]+", raw) else None
+        if not is_revision(base_revision):
+            return jsonify({"status": "error", "message": "base_revision (the revision the delete is based on) must be a positive integer"}), 400
+
+    conn = get_db_connection()
+    try:
+        row = latest_fence(conn, fence_id)
+        if not row:
+            return jsonify({"status": "error", "message": "No such fence"}), 404
+        if base_revision is not None and row["revision"] != base_revision:
+            return conflict(row, f"Fence changed on the server: revision {row['revision']}, delete based on {base_revision}")
+        conn.execute('DELETE FROM fences WHERE fence_id = ?', (fence_id,))
+        conn.execute('DELETE FROM idempotency_keys WHERE fence_id = ?', (fence_id,))
+        record_event(conn, "deleted", fence_id, row["revision"], {"fence_id": fence_id, "name": row["name"]})
+        conn.commit()
+    finally:
+        conn.close()
+
+    print(f"Deleted geofence '{row['name']}' ({fence_id}).")
+    return jsonify({"status": "deleted", "fence_id": fence_id, "revision": row["revision"]}), 200
 
 @app.route("/api/geofences", methods=["GET"])
 def get_geofences():
     conn = get_db_connection()
-    fences_rows = conn.execute('SELECT * FROM fences').fetchall()
+    # Both reads in one transaction, so the cursor matches the list exactly: a write landing in between
+    # would otherwise be missing from the list with its event already behind the cursor
+    conn.execute("BEGIN")
+    # One row per fence: the current revision
+    fences_rows = conn.execute(
+        'SELECT * FROM fences f WHERE id = (SELECT id FROM fences WHERE fence_id = f.fence_id ORDER BY revision DESC, id DESC LIMIT 1)'
+    ).fetchall()
+    cursor = event_cursor(conn)
+    conn.commit()
     conn.close()
     
     # Convert the database rows into a list of dictionaries
-    fences_list = [dict(row) for row in fences_rows]
+    fences_list = [fence_row(row) for row in fences_rows]
     print(f"Retrieved {len(fences_list)} geofences from the database.")
-    return jsonify(fences_list)
+    response = jsonify(fences_list)
+    response.headers["X-Event-Cursor"] = str(cursor)
+    return response
+
+@app.route("/api/events", methods=["GET"])
+def stream_events():
+    """Server-Sent Events: one "fence" event per create/update/delete after the cursor.
+    The cursor is ?since=<event id> (from X-Event-Cursor or the last event seen); a reconnecting
+    EventSource sends Last-Event-ID instead. Without either the stream starts at "now"."""
+    since = request.headers.get("Last-Event-ID") or request.args.get("since")
+    try:
+        cursor = int(since)
+    except (TypeError, ValueError):
+        conn = get_db_connection()
+        cursor = event_cursor(conn)
+        conn.close()
+
+    def generate(cursor):
+        yield "retry: 3000\n\n"  # EventSource reconnect delay, ms
+        last_sent = time.monotonic()
+        while True:
+            conn = get_db_connection()
+            rows = conn.execute('SELECT * FROM events WHERE id > ? ORDER BY id LIMIT 100', (cursor,)).fetchall()
+            conn.close()
+            for row in rows:
+                cursor = row["id"]
+                yield f"id: {cursor}\nevent: fence\ndata: {json.dumps(event_json(row))}\n\n"
+                last_sent = time.monotonic()
+            if rows:
+                continue
+            if time.monotonic() - last_sent >= EVENT_HEARTBEAT_SECONDS:
+                yield ": keep-alive\n\n"
+                last_sent = time.monotonic()
+            time.sleep(EVENT_POLL_SECONDS)
+
+    return Response(
+        stream_with_context(generate(cursor)),
+        mimetype="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+
+BREACH_KINDS = ("enter", "exit", "dwell")
+BREACH_ID_MAX = 64
+
+def breach_problem(ev):
+    """What is wrong with one posted breach event, or None. Checked up front so a bad field is a 400,
+    not a value sqlite cannot bind."""
+    if not isinstance(ev, dict) or not ev.get("id") or not ev.get("fence_id") or not ev.get("at") \
+            or ev.get("kind") not in BREACH_KINDS:
+        return "Each event needs id, kind (enter/exit/dwell), fence_id and at"
+    for field in ("id", "fence_id", "at"):
+        if not isinstance(ev[field], str):
+            return f"{field} must be a string"
+    if len(ev["id"]) > BREACH_ID_MAX:
+        return f"id must be at most {BREACH_ID_MAX} characters"
+    for field in ("lat", "lon", "accuracy_m", "dwell_s"):
+        value = ev.get(field)
+        if value is not None and not (is_number(value) and math.isfinite(value)):
+            return f"{field} must be a finite number or null"
+    if ev.get("fence_name") is not None and not isinstance(ev["fence_name"], str):
+        return "fence_name must be a string or null"
+    return None
+
+@app.route("/api/breaches", methods=["POST"])
+def store_breaches():
+    """Stores a batch of the GUI's breach events; ids already stored are skipped, so a retry is safe."""
+    data = request.get_json(silent=True)
+    events = data.get("events") if isinstance(data, dict) else None
+    if not isinstance(events, list):
+        return jsonify({"status": "error", "message": "Expected {\"events\": [...]}"}), 400
+    for ev in events:
+        problem = breach_problem(ev)
+        if problem:
+            return jsonify({"status": "error", "message": problem}), 400
+
+    operator = request.headers.get("X-Operator", "")[:64]
+    device = request.headers.get("X-Client-Id", "")[:64]
+    conn = get_db_connection()
+    try:
+        stored = 0
+        for ev in events:
+            cur = conn.execute(
+                "INSERT OR IGNORE INTO breach_events (id, kind, fence_id, fence_name, at, lat, lon, accuracy_m, dwell_s, "
+                "operator, device, received_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))",
+                (ev["id"], ev["kind"], ev["fence_id"], ev.get("fence_name"), ev["at"], ev.get("lat"), ev.get("lon"),
+                 ev.get("accuracy_m"), ev.get("dwell_s"), operator, device)
+            )
+            stored += cur.rowcount
+        conn.commit()
+    finally:
+        conn.close()
+
+    print(f"Stored {stored} breach event(s) from {operator or device or 'unknown device'}.")
+    return jsonify({"status": "success", "stored": stored, "duplicates": len(events) - stored}), 200
+
+@app.route("/api/breaches", methods=["GET"])
+def get_breaches():
+    """Newest breach events first; ?fence_id= narrows to one fence, ?limit= (max 1000) caps the list."""
+    try:
+        limit = min(max(int(request.args.get("limit", 200)), 1), 1000)
+    except ValueError:
+        return jsonify({"status": "error", "message": "limit must be a number"}), 400
+    fence_id = request.args.get("fence_id")
+    conn = get_db_connection()
+    if fence_id:
+        rows = conn.execute("SELECT * FROM breach_events WHERE fence_id = ? ORDER BY at DESC LIMIT ?", (fence_id, limit)).fetchall()
+    else:
+        rows = conn.execute("SELECT * FROM breach_events ORDER BY at DESC LIMIT ?", (limit,)).fetchall()
+    conn.close()
+    return jsonify([dict(row) for row in rows])
+
+def relay_cot(event_xml):
+    """Sends one CoT event to the configured TAK endpoint over UDP or TCP."""
+    if TAK_COT_PROTO == "tcp":
+        with socket.create_connection((TAK_COT_HOST, TAK_COT_PORT), timeout=5) as sock:
+            sock.sendall(event_xml)
+    else:
+        with socket.socket(socket.AF_INET, socket.SOCK_DGRAM) as sock:
+            sock.sendto(event_xml, (TAK_COT_HOST, TAK_COT_PORT))
+
+@app.route("/api/cot", methods=["POST"])
+def relay_cot_event():
+    event_xml = request.get_data()
+
+    # Only pass on well-formed CoT events
+    try:
+        root = ET.fromstring(event_xml)
+    except ET.ParseError as e:
+        return jsonify({"status": "error", "message": f"Not valid XML: {e}"}), 400
+    if root.tag != "event" or not root.get("uid"):
+        return jsonify({"status": "error", "message": "Expected a CoT <event> with a uid"}), 400
+
+    try:
+        relay_cot(event_xml)
+    except OSError as e:
+        return jsonify({"status": "error", "message": f"Relay to TAK failed: {e}"}), 502
+
+    print(f"Relayed CoT event '{root.get('uid')}' to {TAK_COT_PROTO}://{TAK_COT_HOST}:{TAK_COT_PORT}.")
+    return jsonify({"status": "success", "message": "CoT event relayed"}), 202
 
 if __name__ == "__main__":
-    # Create the database and table before starting the server
-    # init_db() 
-    app.run(host="0.0.0.0", port=5001, debug=True)
\ No newline at end of file
+    # Create the database and table (or add new columns) before starting the server
+    init_db()
+    # threaded: each open /api/events stream holds a worker
+    app.run(host="0.0.0.0", port=5001, debug=True, threaded=True)
\ No newline at end of file
@@ -1,7 +1,7 @@
 import socket
 
 UDP_PORT = 5005   # change if you like
-BUF_SIZE = 4096
+BUF_SIZE = 65535  # a CoT drawing shape with many vertices exceeds 4 KB
 
 sock = socket.socket(socket.AF_INET, socket.SOCK_DGRAM)
 sock.bind(("0.0.0.0", UDP_PORT))
@@ -0,0 +1,43 @@
+// Corridor outlines (H: corridorRingLL) must stay simple polygons that pass validateCoordsLL,
+// including sharp turns and segments shorter than the corridor is wide.
+// Run: node --test tests/
+"use strict";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, metresAt } = require("./helpers/load-app.js");
+
+const { corridorRingLL, validateCoordsLL, computeStatsLL, pointInRingLL, L } = loadApp();
+
+const at = metresAt(L);
+const corridor = (line, halfWidthM) => corridorRingLL(line.map(at), halfWidthM);
+
+function assertValid(ring) {
+  const val = validateCoordsLL([ring]);
+  assert.ok(val.ok, val.reason);
+}
+
+test("straight corridor covers 2h·L plus the round ends", () => {
+  const ring = corridor([[0, 0], [1000, 0]], 50);
+  assertValid(ring);
+  const expected = 100 * 1000 + Math.PI * 50 * 50;
+  const area = computeStatsLL([ring]).area_m2;
+  assert.ok(Math.abs(area - expected) / expected < 1e-3, `area ${area} vs ${expected}`);
+});
+
+const CASES = [
+  ["gentle bend", [[0, 0], [400, 0], [800, 150]], 40],
+  ["right-angle turn", [[0, 0], [400, 0], [400, 400]], 60],
+  ["hairpin (≈170° turn)", [[0, 0], [500, 0], [0, 60]], 50],
+  ["hairpin narrower than the width", [[0, 0], [500, 0], [0, 20]], 50],
+  ["segment shorter than the width", [[0, 0], [500, 0], [520, 20], [0, 300]], 60],
+  ["zigzag of short segments", [[0, 0], [30, 40], [60, 0], [90, 40], [120, 0], [150, 40]], 45],
+  ["turns both ways", [[0, 0], [300, 0], [310, 200], [0, 210], [-10, 500]], 70],
+];
+
+for (const [name, line, h] of CASES) {
+  test(name, () => {
+    const ring = corridor(line, h);
+    assertValid(ring);
+    for (const p of line) assert.ok(pointInRingLL(at(p), ring), `centerline point ${p} outside the outline`);
+  });
+}
@@ -0,0 +1,72 @@
+// Perimeter/area on the WGS84 ellipsoid (H: geodesicMeters, geodesicRingArea, computeStatsLL)
+// checked against GeographicLib (Geodesic.WGS84.Polygon with geodesic edges).
+// Run: node --test tests/
+"use strict";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./helpers/load-app.js");
+
+const { computeStatsLL, geodesicMeters, L } = loadApp();
+
+// [lon, lat] rings, outer first, like the payload
+const rings = (...list) => list.map((ring) => ring.map(([lon, lat]) => L.latLng(lat, lon)));
+
+function assertClose(actual, expected, relTol, what) {
+  const rel = Math.abs(actual - expected) / expected;
+  assert.ok(rel <= relTol, `${what}: ${actual} vs ${expected} (relative error ${rel.toExponential(2)})`);
+}
+
+const CASES = [
+  {
+    name: "1°×1° cell on the equator",
+    rings: rings([[0, 0], [1, 0], [1, 1], [0, 1]]),
+    perimeter_m: 443770.917, area_m2: 12308778361.5,
+  },
+  {
+    name: "1°×1° cell across the antimeridian",
+    rings: rings([[179.5, -0.5], [-179.5, -0.5], [-179.5, 0.5], [179.5, 0.5]]),
+    perimeter_m: 443779.169, area_m2: 12309234582.5,
+  },
+  {
+    name: "1°×1° cell at 45°N with a 0.5°×0.5° hole",
+    rings: rings(
+      [[10, 45], [11, 45], [11, 46], [10, 46]],
+      [[10.25, 45.25], [10.75, 45.25], [10.75, 45.75], [10.25, 45.75]],
+    ),
+    perimeter_m: 567890.959, area_m2: 6514741549.9,
+  },
+  {
+    name: "fence-sized square in Washington, DC",
+    rings: rings([[-77.0365, 38.8895], [-77.0305, 38.8895], [-77.0305, 38.8935], [-77.0365, 38.8935]]),
+    perimeter_m: 1929.210, area_m2: 231152.7,
+  },
+];
+
+for (const c of CASES) {
+  test(c.name, () => {
+    const stats = computeStatsLL(c.rings);
+    assertClose(stats.perimeter_m, c.perimeter_m, 1e-6, "perimeter");
+    assertClose(stats.area_m2, c.area_m2, 1e-6, "area");
+  });
+}
+
+test("ring around the north pole (8 vertices at 85°N)", () => {
+  const ring = [];
+  for (let lon = 0; lon < 360; lon += 45) ring.push([lon, 85]);
+  const stats = computeStatsLL(rings(ring));
+  assertClose(stats.perimeter_m, 3415682.425, 1e-6, "perimeter");
+  // Authalic-sphere area: looser than elsewhere this close to the pole
+  assertClose(stats.area_m2, 882040402974.7, 1e-4, "area");
+});
+
+test("area does not depend on winding order", () => {
+  const ccw = CASES[0].rings[0];
+  assert.equal(computeStatsLL([[...ccw].reverse()]).area_m2, computeStatsLL([ccw]).area_m2);
+});
+
+test("geodesic distances", () => {
+  assertClose(geodesicMeters(0, 0, 0, 1), 111319.490793, 1e-9, "1° along the equator");
+  assertClose(geodesicMeters(0, 0, 1, 0), 110574.388558, 1e-9, "1° along a meridian");
+  assertClose(geodesicMeters(38.8895, -77.0353, 51.5007, -0.1246), 5914565.2054, 1e-9, "Washington–London");
+  assert.equal(geodesicMeters(12.5, 45, 12.5, 45), 0);
+});
@@ -0,0 +1,48 @@
+// Loads the vendored Leaflet and GUI/app.js into a bare vm sandbox (no DOM, nothing boots: the app
+// only starts on DOMContentLoaded) and returns the helpers app.js exposes to tests, plus L.
+"use strict";
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { webcrypto } = require("crypto");
+
+const GUI = path.join(__dirname, "..", "..", "GUI");
+
+function loadApp() {
+  const noop = () => {};
+  const element = () => ({ style: {}, getContext: () => null, setAttribute: noop, appendChild: noop, addEventListener: noop });
+  const storage = new Map();
+  const window = {
+    document: {
+      documentElement: element(),
+      createElement: element,
+      createElementNS: () => ({}),
+      getElementById: () => null,
+      addEventListener: noop,
+    },
+    navigator: { userAgent: "node", platform: "node", onLine: true },
+    localStorage: {
+      getItem: (k) => (storage.has(k) ? storage.get(k) : null),
+      setItem: (k, v) => storage.set(k, String(v)),
+      removeItem: (k) => storage.delete(k),
+    },
+    crypto: webcrypto,
+    devicePixelRatio: 1,
+    addEventListener: noop,
+    __GEOFENCE_TEST__: true,
+  };
+  window.window = window;
+  const ctx = vm.createContext(window);
+  for (const file of ["vendor/leaflet/leaflet.js", "app.js"]) {
+    vm.runInContext(fs.readFileSync(path.join(GUI, file), "utf8"), ctx, { filename: file });
+  }
+  return { ...window.__GEOFENCE_TEST__, L: window.L };
+}
+
+// [x, y] in metres east/north of a point in Washington, DC, to a LatLng of the sandbox's Leaflet
+const M_PER_DEG = 111195;
+function metresAt(L) {
+  return ([x, y]) => L.latLng(38.9 + y / M_PER_DEG, -77 + x / (M_PER_DEG * Math.cos((38.9 * Math.PI) / 180)));
+}
+
+module.exports = { loadApp, metresAt };
@@ -0,0 +1,95 @@
+// Simplify and densify (G3: simplifyRing, visvalingamRing, densifyRing) on closed rings of LatLngs.
+// Run: node --test tests/
+"use strict";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, metresAt } = require("./helpers/load-app.js");
+
+const { simplifyRing, visvalingamRing, densifyRing, buildPayloadFromLL, validateCoordsLL, L } = loadApp();
+
+const at = metresAt(L);
+
+// A 1 km square with a vertex every 100 m along each side, each pushed out by `wobble` metres
+function wobblySquare(wobble) {
+  const pts = [];
+  for (let i = 0; i < 10; i++) pts.push([i * 100, i % 2 ? -wobble : 0]);
+  for (let i = 0; i < 10; i++) pts.push([1000 + (i % 2 ? wobble : 0), i * 100]);
+  for (let i = 0; i < 10; i++) pts.push([1000 - i * 100, 1000 + (i % 2 ? wobble : 0)]);
+  for (let i = 0; i < 10; i++) pts.push([i % 2 ? -wobble : 0, 1000 - i * 100]);
+  return pts.map(at);
+}
+
+const CORNERS = [[0, 0], [1000, 0], [1000, 1000], [0, 1000]].map(at);
+// Array.from: rings built inside the sandbox have its Array prototype, which deepEqual would reject
+const key = (ring) => Array.from(ring, (p) => `${p.lat.toFixed(7)},${p.lng.toFixed(7)}`).sort();
+const sameVertices = (ring, expected) => assert.deepEqual(key(ring), key(expected));
+
+test("Douglas-Peucker drops wobbles under the tolerance and keeps the corners", () => {
+  const ring = wobblySquare(2);
+  sameVertices(simplifyRing(ring, 5, "dp"), CORNERS);
+  assert.equal(simplifyRing(ring, 1, "dp").length, ring.length);
+});
+
+test("Visvalingam drops corners whose triangle is under tolerance² and keeps the square", () => {
+  // A wobble's triangle is 200 m² between its first neighbours and at most 1000 m² along a whole side;
+  // a corner's is far larger
+  const ring = wobblySquare(2);
+  sameVertices(simplifyRing(ring, 40, "vw"), CORNERS);
+  assert.equal(visvalingamRing(ring, 50).length, ring.length);
+});
+
+test("Visvalingam stops at 3 vertices and a triangle is left as it is", () => {
+  assert.equal(visvalingamRing(wobblySquare(2), 1e12).length, 3);
+  assert.equal(simplifyRing(CORNERS.slice(0, 3), 1e6, "dp").length, 3);
+  assert.equal(simplifyRing(CORNERS.slice(0, 3), 1e6, "vw").length, 3);
+});
+
+test("an oversized boundary passes import's checks and Simplify brings it under maxVertices", () => {
+  // 4 km of wobbly outline every 10 m, as a GPS trace or a detailed KML would give
+  const ring = densifyRing(wobblySquare(2), 10);
+  assert.ok(ring.length > 200, String(ring.length));
+  assert.match(validateCoordsLL([ring]).reason, /Too many vertices/);
+  assert.ok(validateCoordsLL([ring], Infinity).ok);
+  const simplified = simplifyRing(ring, 5, "dp");
+  sameVertices(simplified, CORNERS);
+  assert.ok(validateCoordsLL([simplified]).ok);
+});
+
+test("densify splits every edge into equal great-circle steps no longer than the limit", () => {
+  const out = densifyRing(CORNERS, 300);
+  // Each 1 km side becomes 4 steps of ~250 m
+  assert.equal(out.length, 16);
+  for (let i = 0; i < out.length; i++) {
+    const d = out[i].distanceTo(out[(i + 1) % out.length]);
+    assert.ok(d <= 300 && d > 240, `edge ${i}: ${d} m`);
+  }
+  // The original vertices are kept, in order
+  assert.deepEqual([0, 4, 8, 12].map((i) => out[i]), CORNERS);
+  // A meridian edge stays on its meridian
+  assert.ok(Math.abs(out[5].lng - CORNERS[1].lng) < 1e-12);
+});
+
+test("densify keeps longitudes continuous across the antimeridian", () => {
+  const ring = [[179.9, 0], [-179.9, 0], [-179.9, 0.1], [179.9, 0.1]].map(([lng, lat]) => L.latLng(lat, lng));
+  const out = densifyRing(ring, 1000);
+  const crossing = out.slice(1, out.indexOf(ring[1]));
+  assert.ok(crossing.length > 10);
+  for (const p of crossing) assert.ok(p.lng > 179.9 && p.lng < 180.1, String(p.lng));
+  // The payload wraps them back into [-180, 180] and keeps the outer ring counterclockwise
+  const [outer] = buildPayloadFromLL([out], "Dateline").shape.coordinates;
+  assert.equal(outer.length, out.length + 1);
+  for (const [lng] of outer) assert.ok(Math.abs(lng) <= 180, String(lng));
+  assert.deepEqual([...outer[out.indexOf(ring[1])]], [-179.9, 0]);
+});
+
+test("densify refuses, without building it, a ring over maxVertices", () => {
+  assert.equal(densifyRing(CORNERS, 300, 16).length, 16);
+  assert.equal(densifyRing(CORNERS, 300, 15), null);
+  // 4000 km of edges at 1 mm would be 4e9 points
+  assert.equal(densifyRing(CORNERS.map((p) => L.latLng(p.lat * 20, p.lng / 4)), 0.001, 5000), null);
+});
+
+test("densify leaves short edges and repeated points alone", () => {
+  assert.equal(densifyRing(CORNERS, 5000).length, 4);
+  assert.equal(densifyRing([CORNERS[0], CORNERS[0], CORNERS[1], CORNERS[2]], 5000).length, 4);
+});
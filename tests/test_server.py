@@ -0,0 +1,215 @@
+"""Server tests. They need Flask and Flask-CORS (as for running the server):
+
+    python3 -m unittest discover -s tests
+"""
+import os
+import socket
+import sqlite3
+import sys
+import tempfile
+import unittest
+from unittest import mock
+
+sys.path.insert(0, os.path.join(os.path.dirname(os.path.abspath(__file__)), "..", "server"))
+import server  # noqa: E402
+
+
+class CotRelayTest(unittest.TestCase):
+    """POST /api/cot against a UDP socket standing in for shared/UDP.py."""
+
+    def setUp(self):
+        self.receiver = socket.socket(socket.AF_INET, socket.SOCK_DGRAM)
+        self.receiver.bind(("127.0.0.1", 0))
+        self.receiver.settimeout(2)
+        self.saved = (server.TAK_COT_HOST, server.TAK_COT_PORT, server.TAK_COT_PROTO)
+        server.TAK_COT_HOST, server.TAK_COT_PORT = self.receiver.getsockname()
+        server.TAK_COT_PROTO = "udp"
+        self.client = server.app.test_client()
+
+    def tearDown(self):
+        server.TAK_COT_HOST, server.TAK_COT_PORT, server.TAK_COT_PROTO = self.saved
+        self.receiver.close()
+
+    def post(self, body):
+        return self.client.post("/api/cot", data=body, headers={"Content-Type": "application/xml"})
+
+    def test_relays_event_unchanged(self):
+        event = (b'<?xml version="1.0" encoding="UTF-8"?>'
+                 b'<event version="2.0" uid="GEOFENCE-F1" type="u-d-f" how="h-e">'
+                 b'<point lat="38.9" lon="-77.0" hae="0" ce="9999999" le="9999999"/></event>')
+        res = self.post(event)
+        self.assertEqual(res.status_code, 202)
+        datagram, _ = self.receiver.recvfrom(65535)
+        self.assertEqual(datagram, event)
+
+    def test_rejects_bad_xml(self):
+        res = self.post(b"<event uid='x'>")
+        self.assertEqual(res.status_code, 400)
+        self.assertIn("Not valid XML", res.get_json()["message"])
+
+    def test_rejects_event_without_uid(self):
+        self.assertEqual(self.post(b'<event version="2.0"/>').status_code, 400)
+        self.assertEqual(self.post(b'<point uid="x"/>').status_code, 400)
+
+    def test_reports_unreachable_receiver(self):
+        server.TAK_COT_PROTO = "tcp"
+        # A port that was just free: nothing listens there
+        with socket.socket() as probe:
+            probe.bind(("127.0.0.1", 0))
+            server.TAK_COT_PORT = probe.getsockname()[1]
+        res = self.post(b'<event version="2.0" uid="x"/>')
+        self.assertEqual(res.status_code, 502)
+
+
+SHAPE = {"type": "Polygon", "coordinates": [[[-77.0, 38.0], [-77.0, 38.01], [-77.01, 38.01], [-77.0, 38.0]]]}
+
+
+def payload(fence_id="F1", revision=1, name="Alpha", **extra):
+    return {"fence_id": fence_id, "revision": revision, "shape": SHAPE, "properties": {"name": name}, **extra}
+
+
+class TempDatabaseTestCase(unittest.TestCase):
+    """Runs each test against a fresh database in a temporary directory."""
+
+    def setUp(self):
+        self.tmp = tempfile.TemporaryDirectory()
+        self.saved_db = server.DATABASE_FILE
+        server.DATABASE_FILE = os.path.join(self.tmp.name, "geofences.db")
+        server.init_db()
+        self.client = server.app.test_client()
+
+    def tearDown(self):
+        server.DATABASE_FILE = self.saved_db
+        self.tmp.cleanup()
+
+
+class FenceApiTest(TempDatabaseTestCase):
+    """The geofence endpoints."""
+
+    def post(self, body, key=None):
+        return self.client.post("/api/geofence", json=body, headers={"Idempotency-Key": key} if key else {})
+
+    def put(self, body, key=None):
+        return self.client.put(f"/api/geofence/{body['fence_id']}", json=body, headers={"Idempotency-Key": key} if key else {})
+
+    def test_rejects_bad_revisions(self):
+        for revision in ("abc", "2", True, 0, -1, 1.5):
+            self.assertEqual(self.post(payload(revision=revision)).status_code, 400, revision)
+        self.assertEqual(self.post(payload()).status_code, 201)
+        for base in ("abc", "1", True, 0, None):
+            self.assertEqual(self.put(payload(revision=2, base_revision=base)).status_code, 400, base)
+        for revision in ("x", False, 0):
+            self.assertEqual(self.put(payload(revision=revision, base_revision=1)).status_code, 400, revision)
+        self.assertEqual(self.put({**payload(base_revision=1), "revision": None}).status_code, 200)
+
+    def test_delete_checks_base_revision(self):
+        self.assertEqual(self.post(payload()).status_code, 201)
+        for base in ("abc", "0", "-1", "1.5", ""):
+            self.assertEqual(self.client.delete(f"/api/geofence/F1?base_revision={base}").status_code, 400, base)
+        self.assertEqual(self.client.delete("/api/geofence/F1?base_revision=2").status_code, 409)
+        self.assertEqual([f["fence_id"] for f in self.client.get("/api/geofences").get_json()], ["F1"])
+        self.assertEqual(self.client.delete("/api/geofence/F1?base_revision=1").status_code, 200)
+
+    def test_rejects_non_finite_altitudes(self):
+        # NaN would be stored and then break the fence list as invalid JSON for every client
+        for low, high in ((float("nan"), None), (None, float("inf")), (float("-inf"), 100)):
+            altitude = {"min_m": low, "max_m": high}
+            res = self.post({**payload(), "properties": {"name": "Alpha", "altitude": altitude}})
+            self.assertEqual(res.status_code, 400, altitude)
+        self.assertEqual(self.client.get("/api/geofences").get_json(), [])
+
+    def test_earlier_keys_still_replay_after_an_update(self):
+        self.assertEqual(self.post(payload(), "F1:1").status_code, 201)
+        self.assertEqual(self.put(payload(revision=2, name="Bravo", base_revision=1), "F1:2").status_code, 200)
+        self.assertEqual(self.put(payload(revision=3, name="Charlie", base_revision=2), "F1:3").status_code, 200)
+
+        first = self.post(payload(), "F1:1")
+        self.assertEqual(first.status_code, 200)
+        self.assertEqual((first.get_json()["revision"], first.get_json()["duplicate"]), (1, True))
+        second = self.put(payload(revision=2, name="Bravo", base_revision=1), "F1:2")
+        self.assertEqual(second.status_code, 200)
+        self.assertEqual((second.get_json()["revision"], second.get_json()["duplicate"]), (2, True))
+        self.assertEqual(self.post(payload(name="Other"), "F1:1").status_code, 422)
+
+        current = self.client.get("/api/geofences").get_json()
+        self.assertEqual([(f["fence_id"], f["revision"], f["name"]) for f in current], [("F1", 3, "Charlie")])
+
+    def test_key_clash_without_a_stored_key_is_a_conflict(self):
+        with mock.patch.object(server, "remember_key", side_effect=sqlite3.IntegrityError):
+            self.assertEqual(self.post(payload(), "F1:1").status_code, 409)
+        self.assertEqual(self.post(payload(), "F1:1").status_code, 201)
+        with mock.patch.object(server, "remember_key", side_effect=sqlite3.IntegrityError):
+            self.assertEqual(self.put(payload(revision=2, base_revision=1), "F1:2").status_code, 409)
+        self.assertEqual(self.client.get("/api/geofences").get_json()[0]["revision"], 1)
+
+    def test_delete_frees_the_keys(self):
+        self.assertEqual(self.post(payload(), "F1:1").status_code, 201)
+        self.assertEqual(self.client.delete("/api/geofence/F1").status_code, 200)
+        recreated = self.post(payload(name="Again"), "F1:1")
+        self.assertEqual(recreated.status_code, 201)
+        self.assertFalse(recreated.get_json()["duplicate"])
+
+    def test_list_and_cursor_come_from_one_snapshot(self):
+        self.assertEqual(self.post(payload()).status_code, 201)
+        read_cursor = server.event_cursor
+
+        def cursor_with_a_write_in_between(conn):
+            # Another client's change arriving between the two reads must wait until both are done
+            other = sqlite3.connect(server.DATABASE_FILE, timeout=0)
+            with self.assertRaises(sqlite3.OperationalError):
+                other.execute("INSERT INTO events (kind, fence_id) VALUES ('created', 'F2')")
+                other.commit()
+            other.close()
+            return read_cursor(conn)
+
+        with mock.patch.object(server, "event_cursor", cursor_with_a_write_in_between):
+            res = self.client.get("/api/geofences")
+        self.assertEqual(res.headers["X-Event-Cursor"], "1")
+        self.assertEqual([f["fence_id"] for f in res.get_json()], ["F1"])
+
+
+def breach(id="b1", kind="enter", fence_id="F1", at="2026-10-18T12:00:00.000Z", **extra):
+    return {"id": id, "kind": kind, "fence_id": fence_id, "fence_name": "Alpha", "at": at,
+            "lat": 38.005, "lon": -77.005, "accuracy_m": 8, **extra}
+
+
+class BreachApiTest(TempDatabaseTestCase):
+    """POST and GET /api/breaches."""
+
+    def post(self, *events):
+        return self.client.post("/api/breaches", json={"events": list(events)})
+
+    def test_stores_a_batch_and_counts_replays_as_duplicates(self):
+        batch = [breach("b1"), breach("b2", kind="dwell", dwell_s=120), breach("b3", kind="exit", lat=None, lon=None)]
+        res = self.post(*batch)
+        self.assertEqual(res.status_code, 200)
+        self.assertEqual((res.get_json()["stored"], res.get_json()["duplicates"]), (3, 0))
+
+        res = self.post(*batch, breach("b4"))
+        self.assertEqual((res.get_json()["stored"], res.get_json()["duplicates"]), (1, 3))
+        self.assertEqual(len(self.client.get("/api/breaches").get_json()), 4)
+
+    def test_rejects_bad_fields(self):
+        for bad in (breach(kind="near"), breach(id=""), breach(id=7), breach(fence_id=["x"]), breach(at=1),
+                    breach(lat={"a": 1}), breach(lon="-77"), breach(accuracy_m=True), breach(dwell_s=float("nan")),
+                    breach(fence_name=5), "b1"):
+            self.assertEqual(self.post(bad).status_code, 400, bad)
+        self.assertEqual(self.client.post("/api/breaches", json=[breach()]).status_code, 400)
+        self.assertEqual(self.client.get("/api/breaches").get_json(), [])
+
+    def test_rejects_long_ids_instead_of_truncating(self):
+        prefix = "x" * server.BREACH_ID_MAX
+        self.assertEqual(self.post(breach(prefix)).status_code, 200)
+        self.assertEqual(self.post(breach(prefix + "a"), breach(prefix + "b")).status_code, 400)
+        self.assertEqual([b["id"] for b in self.client.get("/api/breaches").get_json()], [prefix])
+
+    def test_filters_by_fence_and_limits(self):
+        self.post(breach("b1", at="2026-10-18T12:00:00Z"), breach("b2", fence_id="F2", at="2026-10-18T12:01:00Z"),
+                  breach("b3", kind="exit", at="2026-10-18T12:02:00Z"))
+        self.assertEqual([b["id"] for b in self.client.get("/api/breaches?fence_id=F1").get_json()], ["b3", "b1"])
+        self.assertEqual([b["id"] for b in self.client.get("/api/breaches?limit=2").get_json()], ["b3", "b2"])
+        self.assertEqual(self.client.get("/api/breaches?limit=many").status_code, 400)
+
+
+if __name__ == "__main__":
+    unittest.main()